@@ -0,0 +1,35 @@
+import { parseCommand } from '../src/commands/parser.js';
+import { COMMAND_PHRASES } from '../src/commands/phrases.js';
+import { demoDevices } from '../src/devices/demoHome.js';
+
+// Checks the command bar phrase corpus (src/commands/phrases.js) against the parser on the
+// demo home: every phrase must set, suggest or turn down exactly what the corpus says.
+// Run it with `npm run check:phrases`; it exits non-zero when a phrase doesn't match.
+
+// What a phrase did, in the shape of its corpus entry.
+const describeResult = (result) => {
+  if (result.commands) {
+    const sets = {};
+    result.commands.forEach(({ device, property, value }) => {
+      sets[device.name] = { ...sets[device.name], [property]: value };
+    });
+    return { sets };
+  }
+  return result.suggestions?.length > 0 ? { suggests: result.suggestions } : { error: true };
+};
+
+const expectedResult = ({ sets, suggests, error }) => (sets ? { sets } : suggests ? { suggests } : { error: Boolean(error) });
+
+const failures = COMMAND_PHRASES.filter(entry => {
+  const actual = JSON.stringify(describeResult(parseCommand(entry.phrase, demoDevices)));
+  const expected = JSON.stringify(expectedResult(entry));
+  if (actual === expected) return false;
+  console.error(`"${entry.phrase}"\n  expected ${expected}\n  got      ${actual}`);
+  return true;
+});
+
+if (failures.length > 0) {
+  console.error(`${failures.length} of ${COMMAND_PHRASES.length} phrases don't match the corpus.`);
+  process.exit(1);
+}
+console.log(`All ${COMMAND_PHRASES.length} phrases match the corpus.`);
@@ -1,497 +1,1472 @@
-import React, { useState, useEffect } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously } from 'firebase/auth';
-import { getFirestore, doc, setDoc, updateDoc, collection, onSnapshot, getDocs, query, where, addDoc } from 'firebase/firestore';
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
-import { Thermometer, Lightbulb, Fan, Droplet, Sun, Zap, Check, X, Plus } from 'lucide-react';
-
-// Firebase configuration and initialization from global variables
-// These variables are provided by the hosting environment for seamless deployment.
-// For local development, you would replace these with your own Firebase project credentials.
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-// Initialize Firebase services
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
-const auth = getAuth(app);
-
-// Mock device data for initial setup when the Firestore collection is empty.
-const mockDevices = [
-  { id: 'thermostat-1', name: 'Living Room Thermostat', type: 'thermostat', targetTemp: 72, currentTemp: 75, room: 'Living Room' },
-  { id: 'light-1', name: 'Main Living Light', type: 'light', isOn: true, brightness: 80, room: 'Living Room' },
-  { id: 'fan-1', name: 'Ceiling Fan', type: 'fan', isOn: false, speed: 0, room: 'Living Room' },
-  { id: 'light-2', name: 'Kitchen Light', type: 'light', isOn: false, brightness: 50, room: 'Kitchen' },
-  { id: 'humidity-1', name: 'Bedroom Humidifier', type: 'humidity', humidity: 45, room: 'Bedroom' },
-  { id: 'light-3', name: 'Bedroom Lamp', type: 'light', isOn: true, brightness: 60, room: 'Bedroom' },
-];
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Sun, Zap, Check, X, Plus, Pencil, Copy, Trash2, AlertTriangle, Clock, Timer, Film, Settings, Home, LayoutGrid, Radio, Bell, FileJson, Users, WifiOff } from 'lucide-react';
+import * as config from './config.js';
+import { createStorage, appScope, userScope, homeScope } from './storage/index.js';
+import { stepRules, getTriggerSnapshot, getRuleConditions, describeConditions, validateConditions, findMissingDevices, getReferencedDevices, flattenConditions } from './rules/engine.js';
+import { getRuleActions, validateActions, resolveActionChanges, applyActionChanges, describeActions, pruneRuleRuns } from './rules/actions.js';
+import { checkSchedule, getNextRun, describeTrigger, validateTrigger } from './schedules/scheduler.js';
+import { demoDevices } from './devices/demoHome.js';
+import { getDeviceHealth, getStaleDeviceIds, isDeviceOffline } from './devices/health.js';
+import { sortDevices, createDevice, planReorder, planDemoHome, planDeviceRemoval, chunkOperations } from './devices/management.js';
+import { getRooms, groupDevicesByRoom, planRoomRename } from './rooms/rooms.js';
+import { diffHistoryEntries } from './history/history.js';
+import { ROLLUP_RESOLUTIONS, compactHistory } from './history/retention.js';
+import { createSimulator } from './simulator/simulator.js';
+import { createDeviceBridge } from './bridge/bridge.js';
+import { createMqttTransport, createWebSocketTransport } from './bridge/transports.js';
+import { ENERGY_COLLECTION, createEnergyMeter, withEnergyReadings, toDateKey } from './energy/energy.js';
+import {
+  NOTIFICATIONS_COLLECTION,
+  NOTIFICATION_HISTORY_LIMIT,
+  createToast,
+  planMarkRead,
+  getBrowserDelivery,
+  setBrowserDelivery,
+  deliverToBrowser,
+} from './notifications/notifications.js';
+import { stepAlerts, getRuleFailureAlerts, validateAlert } from './notifications/alerts.js';
+import { AUDIT_COLLECTION, AUDIT_SOURCES, USER_SOURCE, planStateWrites, planUndo, planMarkUndone, pruneAuditLog } from './audit/audit.js';
+import { createCommandQueue, applyCommands, getDeviceCommand } from './commands/commandQueue.js';
+import {
+  HOUSE_MODES,
+  MODES_COLLECTION,
+  HOUSE_MODE_COLLECTION,
+  CURRENT_MODE_ID,
+  DEFAULT_MODE,
+  getModeLabel,
+  isActiveInMode,
+  describeModes,
+  resolveModeDefaults,
+  planModeChange,
+  createPresenceSimulator,
+} from './modes/modes.js';
+import {
+  HOMES_COLLECTION,
+  MEMBERS_COLLECTION,
+  INVITES_COLLECTION,
+  MEMBERSHIPS_COLLECTION,
+  membershipsPath,
+  can,
+  getRoleLabel,
+  createHomeId,
+  normalizeInviteCode,
+  getDefaultMemberName,
+  planHomeCreation,
+  createInvite,
+  validateInvite,
+  planJoin,
+  planLeave,
+  pickHome,
+  getLastHome,
+  setLastHome,
+  createFirstHome,
+  claimHub,
+  releaseHub,
+  HUB_RENEW_INTERVAL_MS,
+} from './households/households.js';
+import DeviceCard from './components/DeviceCard.jsx';
+import RoomSection from './components/RoomSection.jsx';
+import RoomManagerModal from './components/RoomManagerModal.jsx';
+import RuleModal from './components/RuleModal.jsx';
+import ScheduleModal from './components/ScheduleModal.jsx';
+import DeviceManagerModal from './components/DeviceManagerModal.jsx';
+import SceneModal from './components/SceneModal.jsx';
+import HistoryExplorer from './components/HistoryExplorer.jsx';
+import EnergyPanel from './components/EnergyPanel.jsx';
+import Toasts from './components/Toasts.jsx';
+import NotificationCenter from './components/NotificationCenter.jsx';
+import HomeConfigModal from './components/HomeConfigModal.jsx';
+import ActivityFeed from './components/ActivityFeed.jsx';
+import HouseholdModal from './components/HouseholdModal.jsx';
+import HouseModeModal from './components/HouseModeModal.jsx';
+import CommandBar from './components/CommandBar.jsx';
+
+// Storage backend (Firestore or local) selected through config.
+const storage = createStorage(config);
+const { appId, homeLocation, historyRetention, simulation, deviceBridge, energyTariff, deviceHealth } = config;
+
+// Identifies this dashboard when claiming the hub lease, so two tabs of one user are told apart.
+const sessionId = Math.random().toString(36).slice(2, 10);
+
+// How often the schedule runner checks for due schedules.
+const SCHEDULE_CHECK_INTERVAL_MS = 15 * 1000;
+
+// How often old history is rolled up and pruned.
+const HISTORY_COMPACTION_INTERVAL_MS = 60 * 60 * 1000;
 
 // Helper to convert Firebase Timestamp object to a readable time string.
 const formatTimestamp = (timestamp) => {
   if (!timestamp) return '';
-  const date = timestamp.toDate();
+  const date = new Date(timestamp);
   return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
 };
 
-// Main App Component
-const App = () => {
+// Dashboard for one home. `appStore` reaches the app's shared collections (homes, invites)
+// and `userStore` the signed-in user's own (notifications, the homes they belong to).
+const HomeDashboard = ({ homeId, userId, appStore, userStore, memberships, onSelectHome, onLeaveHome }) => {
   // State variables for managing application data and UI
-  const [userId, setUserId] = useState(null);
+  const store = useMemo(() => storage.scoped(homeScope(appId, homeId)), [homeId]);
+  const [home, setHome] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [isHub, setIsHub] = useState(false);
+  const [showHousehold, setShowHousehold] = useState(false);
   const [devices, setDevices] = useState([]);
-  const [historyData, setHistoryData] = useState([]);
-  const [isAuthReady, setIsAuthReady] = useState(false);
+  // People's device changes not yet confirmed by the store (see commands/commandQueue.js).
+  const [commands, setCommands] = useState([]);
   const [rules, setRules] = useState([]);
+  // The latest rule runs, newest first; null until the log first loads.
+  const [ruleRuns, setRuleRuns] = useState(null);
   const [showRuleModal, setShowRuleModal] = useState(false);
-  const [newRule, setNewRule] = useState({
-    name: '',
-    triggerDevice: '',
-    triggerCondition: '',
-    triggerValue: '',
-    actionDevice: '',
-    actionType: '',
-    actionValue: '',
-  });
-  const [feedback, setFeedback] = useState({ message: '', type: '' });
-
-  // 1. Firebase Authentication and Initialization
-  // This useEffect runs once on component mount to handle user authentication.
+  const [editingRule, setEditingRule] = useState(null);
+  const [schedules, setSchedules] = useState([]);
+  const [showScheduleModal, setShowScheduleModal] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+  const [scenes, setScenes] = useState([]);
+  const [showSceneModal, setShowSceneModal] = useState(false);
+  // The home's house mode, null until it loads, and each mode's default device states.
+  const [houseMode, setHouseMode] = useState(null);
+  const [modeDocs, setModeDocs] = useState([]);
+  const [showModeSettings, setShowModeSettings] = useState(false);
+  const [showDeviceManager, setShowDeviceManager] = useState(false);
+  const [roomDocs, setRoomDocs] = useState([]);
+  const [roomFilter, setRoomFilter] = useState('');
+  const [showRoomManager, setShowRoomManager] = useState(false);
+  const [bridgeStatus, setBridgeStatus] = useState(deviceBridge ? 'connecting' : '');
+  const [todayUsage, setTodayUsage] = useState([]);
+  const [toasts, setToasts] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [showNotificationCenter, setShowNotificationCenter] = useState(false);
+  const [showHomeConfig, setShowHomeConfig] = useState(false);
+  const [browserDelivery, setBrowserDeliveryState] = useState(getBrowserDelivery);
+  // Edge-trigger state of each rule, carried between device snapshots.
+  const ruleStateRef = useRef({});
+  // Edge-trigger state of each alert condition, carried between device snapshots.
+  const alertStateRef = useRef({});
+  // Rule runs already seen, so only new failures raise alerts.
+  const seenRuleRunsRef = useRef(null);
+  const commandQueueRef = useRef(null);
+  // Latest schedules and devices for the schedule runner and simulator, which tick independently of renders.
+  const schedulesRef = useRef([]);
+  const devicesRef = useRef([]);
+  const scenesRef = useRef([]);
+  const houseModeRef = useRef(null);
+  const modeDocsRef = useRef([]);
+  // Run time last handled per schedule, so a run isn't repeated before its `lastRunAt` update arrives.
+  const handledRunsRef = useRef({});
+  // Previous device snapshot, compared against the next one by the history recorder.
+  const previousDevicesRef = useRef([]);
+  // Running device bridge, if one is configured.
+  const bridgeRef = useRef(null);
+  // Running energy meter.
+  const energyMeterRef = useRef(null);
+  // Set once the user is leaving the home, or has lost access to it.
+  const isLeavingRef = useRef(false);
+
+  // Shows a toast. Notifications from a `source` ('rule', 'schedule' or 'alert') are also
+  // kept in the user's notification history.
+  const notify = useCallback((message, severity = 'info', source = null) => {
+    setToasts(previous => [...previous, createToast(message, severity)]);
+    if (!source) return;
+    userStore.add(NOTIFICATIONS_COLLECTION, { message, severity, source, timestamp: new Date(), read: false })
+      .catch(e => console.error("Error recording notification:", e));
+  }, [userStore]);
+
+  // Raises fired alerts, which are also delivered by the browser when the user turned that on.
+  const raiseAlerts = useCallback((fired) => {
+    fired.forEach(({ alert, message }) => {
+      notify(message, alert.severity, 'alert');
+      deliverToBrowser(message, alert.severity);
+    });
+  }, [notify]);
+
+  const dismissToast = useCallback((id) => setToasts(previous => previous.filter(toast => toast.id !== id)), []);
+
+  // The user's role in this home decides what the dashboard lets them change. Their name
+  // here marks their changes in the activity log, and homes they create or join start with it.
+  const role = members.find(member => member.id === userId)?.role || null;
+  const memberName = members.find(member => member.id === userId)?.name || getDefaultMemberName(userId);
+  const userSource = { ...USER_SOURCE, name: memberName, actorId: userId };
+
+  // Drops the home from the user's homes once they no longer have access to it,
+  // and opens another of their homes. Not when they left it themselves.
+  const leaveLostHome = useCallback((name) => {
+    if (isLeavingRef.current) return;
+    isLeavingRef.current = true;
+    window.alert(`You no longer have access to ${name || 'this home'}.`);
+    userStore.remove(MEMBERSHIPS_COLLECTION, homeId).catch(e => console.error("Error dropping home:", e));
+    onLeaveHome(homeId);
+  }, [homeId, userStore, onLeaveHome]);
+
+  // 1. Home and Members
+  // This useEffect loads the home and listens for its members. A member the owner removed
+  // is told so and moved to another home.
+  const membershipName = memberships.find(m => m.id === homeId)?.homeName;
   useEffect(() => {
-    const initializeAppAndAuth = async () => {
-      try {
-        if (initialAuthToken) {
-          await signInWithCustomToken(auth, initialAuthToken);
-        } else {
-          await signInAnonymously(auth);
-        }
-        setUserId(auth.currentUser.uid);
-        setIsAuthReady(true);
-      } catch (e) {
-        console.error("Error during authentication:", e);
-        setIsAuthReady(true); // Still proceed to allow anonymous use in case of error.
+    appStore.get(HOMES_COLLECTION, homeId).then(homeDoc => {
+      if (!homeDoc) {
+        leaveLostHome(membershipName);
+        return;
       }
-    };
-    initializeAppAndAuth();
-  }, []);
+      setHome(homeDoc);
+      // Keep the home switcher's name in step after the owner renamed the home.
+      if (homeDoc.name !== membershipName) {
+        userStore.update(MEMBERSHIPS_COLLECTION, homeId, { homeName: homeDoc.name })
+          .catch(e => console.error("Error updating home name:", e));
+      }
+    }).catch(e => {
+      console.error("Error loading home:", e);
+      if (e.code === 'permission-denied') leaveLostHome(membershipName);
+    });
+
+    return store.subscribe(MEMBERS_COLLECTION, (memberList) => {
+      setMembers(memberList);
+      if (memberList.length > 0 && !memberList.some(member => member.id === userId)) leaveLostHome(membershipName);
+    });
+  }, [appStore, userStore, store, homeId, userId, membershipName, leaveLostHome]);
 
-  // 2. Real-time data synchronization from Firestore
-  // This useEffect sets up listeners for devices, history, and rules.
+  // Hub lease
+  // This useEffect keeps trying to make this dashboard the home's hub, the one dashboard
+  // that runs the simulator, rules, schedules, history and energy writers and the device
+  // bridge (effects 3 to 9). Guests' dashboards never run them.
+  const canRunHub = can(role, 'runHub');
   useEffect(() => {
-    if (!isAuthReady || !userId) return;
-
-    // Define Firestore collection references
-    const deviceCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/devices`);
-    const historyCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/history`);
-    const rulesCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/rules`);
-
-    // Listen for real-time device changes
-    const unsubDevices = onSnapshot(deviceCollectionRef, (snapshot) => {
-      const deviceList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setDevices(deviceList);
-
-      // If no devices exist, initialize the collection with mock data
-      if (deviceList.length === 0) {
-        mockDevices.forEach(async (device) => {
-          await setDoc(doc(deviceCollectionRef, device.id), device);
+    if (!canRunHub) return;
+
+    const claim = () => {
+      claimHub(store, sessionId, userId)
+        .then(setIsHub)
+        .catch(e => {
+          console.error("Error claiming the hub:", e);
+          setIsHub(false);
         });
-      }
-    });
+    };
+
+    claim();
+    const intervalId = setInterval(claim, HUB_RENEW_INTERVAL_MS);
+    return () => {
+      clearInterval(intervalId);
+      setIsHub(false);
+      releaseHub(store, sessionId).catch(e => console.error("Error releasing the hub:", e));
+    };
+  }, [store, userId, canRunHub]);
+
+  // 2. Real-time data synchronization from the storage backend
+  // This useEffect sets up listeners for the home's devices, rooms, rules, rule runs,
+  // schedules, scenes and alerts, and the user's notification history, and the queue
+  // people's device changes are written through.
+  // History is queried by the history explorer for the devices and range it shows.
+  useEffect(() => {
+    // Queue device changes, replaying those left from an earlier visit once devices load
+    const commandQueue = createCommandQueue({ store, homeId, onChange: setCommands });
+    commandQueueRef.current = commandQueue;
+    setCommands(commandQueue.commands);
 
-    // Listen for real-time history data changes
-    const unsubHistory = onSnapshot(historyCollectionRef, (snapshot) => {
-      const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      // Filter for a specific device and sort to prepare for charting.
-      data.sort((a, b) => a.timestamp.toDate() - b.timestamp.toDate());
-      const filteredHistory = data.filter(d => d.deviceId === 'thermostat-1');
-      setHistoryData(filteredHistory.slice(-30)); // Keep only the last 30 data points for performance.
+    // Listen for real-time device changes, in the user's chosen order
+    const unsubDevices = store.subscribe('devices', (deviceList) => {
+      setDevices(sortDevices(deviceList));
+      commandQueue.handleDevices(deviceList);
     });
 
+    // Listen for rooms created before they have any devices
+    const unsubRooms = store.subscribe('rooms', setRoomDocs);
+
     // Listen for real-time automation rules changes
-    const unsubRules = onSnapshot(rulesCollectionRef, (snapshot) => {
-      setRules(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    const unsubRules = store.subscribe('rules', setRules);
+
+    // Listen for the latest runs in the rule execution log, newest first.
+    const unsubRuleRuns = store.subscribe('ruleRuns', setRuleRuns, { orderBy: ['timestamp', 'desc'], limit: 10 });
+
+    // Listen for real-time schedule changes
+    const unsubSchedules = store.subscribe('schedules', setSchedules);
+
+    // Listen for real-time scene changes
+    const unsubScenes = store.subscribe('scenes', setScenes);
+
+    // Listen for the house mode and each mode's default device states
+    const unsubHouseMode = store.subscribe(HOUSE_MODE_COLLECTION, (docs) =>
+      setHouseMode(docs.find(doc => doc.id === CURRENT_MODE_ID)?.mode || DEFAULT_MODE));
+    const unsubModes = store.subscribe(MODES_COLLECTION, setModeDocs);
+
+    // Listen for alert conditions and the latest notifications
+    const unsubAlerts = store.subscribe('alerts', setAlerts);
+    const unsubNotifications = userStore.subscribe(NOTIFICATIONS_COLLECTION, setNotifications, {
+      orderBy: ['timestamp', 'desc'],
+      limit: NOTIFICATION_HISTORY_LIMIT,
     });
 
     // Cleanup function to detach listeners when the component unmounts
     return () => {
+      commandQueue.stop();
       unsubDevices();
-      unsubHistory();
+      unsubRooms();
       unsubRules();
+      unsubRuleRuns();
+      unsubSchedules();
+      unsubScenes();
+      unsubHouseMode();
+      unsubModes();
+      unsubAlerts();
+      unsubNotifications();
     };
-  }, [isAuthReady, userId]);
+  }, [store, homeId, userStore]);
 
   // 3. Simulated IoT Hub (generates mock data)
-  // This useEffect simulates an external system generating data and pushing it to Firestore.
+  // This useEffect runs the device simulator, which pushes readings for every simulated
+  // device to storage. It reads the latest devices through a ref, so device updates
+  // don't restart it.
   useEffect(() => {
-    if (!isAuthReady || !userId) return;
-
-    const historyCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/history`);
-
-    const intervalId = setInterval(() => {
-      const now = new Date();
-      // Generate mock data every minute.
-      if (now.getMinutes() % 1 === 0 && now.getSeconds() === 0) {
-        // Generate a random temperature change.
-        const randomTempChange = (Math.random() - 0.5) * 1.5;
-        const newTemp = devices.find(d => d.id === 'thermostat-1')?.currentTemp + randomTempChange || 75;
-
-        // Add a new document to the history collection.
-        addDoc(historyCollectionRef, {
-          deviceId: 'thermostat-1',
-          value: newTemp,
-          timestamp: now,
-        }).catch(e => console.error("Error adding history data: ", e));
-
-        // Update the current device state in the devices collection.
-        updateDoc(doc(db, `artifacts/${appId}/users/${userId}/devices/thermostat-1`), {
-          currentTemp: newTemp
-        }).catch(e => console.error("Error updating device temp: ", e));
-      }
-    }, 1000); // Check every second to be precise on the minute mark.
+    if (!isHub) return;
 
-    return () => clearInterval(intervalId);
-  }, [devices, isAuthReady, userId]);
+    const simulator = createSimulator({ store, getDevices: () => devicesRef.current, actorId: userId, ...simulation });
+    return simulator.stop;
+  }, [isHub, store, userId]);
+
+  // Devices with their energy readings and the whole-home meter, for rule conditions.
+  const energyDevices = useMemo(() => withEnergyReadings(devices, todayUsage), [devices, todayUsage]);
 
   // 4. Automation Rules Engine
-  // This useEffect checks the rules against the current device states in real time.
+  // This useEffect feeds every device snapshot to the rules engine, which fires rules
+  // on the transition into their condition. Only rules and scenes for the current house
+  // mode take part, and the readings of offline devices are left out.
   useEffect(() => {
-    if (!isAuthReady || !userId) return;
-    
-    // Iterate through all configured rules.
-    rules.forEach(rule => {
-      const triggerDevice = devices.find(d => d.id === rule.triggerDevice);
-      if (!triggerDevice) return; // Skip if the trigger device doesn't exist.
-
-      let conditionMet = false;
-      const triggerValue = parseFloat(rule.triggerValue);
-
-      // Check the rule's condition based on the device's type.
-      switch (rule.triggerCondition) {
-        case '>':
-          if (triggerDevice.currentTemp > triggerValue) conditionMet = true;
-          break;
-        case '<':
-          if (triggerDevice.currentTemp < triggerValue) conditionMet = true;
-          break;
-        case '==':
-          if (triggerDevice.isOn === (rule.triggerValue === 'on')) conditionMet = true;
-          break;
-      }
+    if (!isHub || devices.length === 0 || !houseMode) return;
+    const modeScenes = scenes.filter(scene => isActiveInMode(scene, houseMode));
 
-      // If the condition is met, trigger the action.
-      if (conditionMet) {
-        const actionDeviceRef = doc(db, `artifacts/${appId}/users/${userId}/devices/${rule.actionDevice}`);
-        const actionValue = rule.actionType === 'toggle' ? (rule.actionValue === 'on') : parseFloat(rule.actionValue);
-        
-        // Prevent infinite loops by ensuring the action is not already in the desired state.
-        const actionDevice = devices.find(d => d.id === rule.actionDevice);
-        if (actionDevice && actionDevice.isOn !== actionValue) {
-           updateDoc(actionDeviceRef, {
-            isOn: actionValue
-          }).catch(e => console.error("Error updating action device:", e));
-          setFeedback({ message: `Rule triggered: ${rule.name}`, type: 'success' });
-        }
+    // Applies a fired rule's actions and records the outcome in the execution log.
+    const executeRule = async (rule) => {
+      // Only write properties not already in the desired state.
+      const changes = resolveActionChanges(getRuleActions(rule), devices, modeScenes);
+      const failure = await applyActionChanges(store, changes, { type: 'rule', name: rule.name, actorId: userId });
+      if (failure) console.error("Error updating action device:", failure);
+
+      const result = failure ? 'error' : changes.length === 0 ? 'noop' : 'success';
+      store.add('ruleRuns', {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        timestamp: new Date(),
+        trigger: getTriggerSnapshot(rule, energyDevices),
+        changes,
+        result,
+        error: failure ? String(failure.message || failure) : null,
+      }).catch(e => console.error("Error logging rule run:", e));
+
+      if (result === 'success') {
+        notify(`Rule triggered: ${rule.name}`, 'success', 'rule');
+      } else if (result === 'error') {
+        notify(`Rule failed: ${rule.name}`, 'error', 'rule');
       }
+    };
+
+    const modeRules = rules.filter(rule => isActiveInMode(rule, houseMode));
+    const checkedAt = Date.now();
+    const staleDeviceIds = getStaleDeviceIds(devices, checkedAt, deviceHealth.offlineMinutes);
+    const { fired, state } = stepRules(modeRules, energyDevices, ruleStateRef.current, checkedAt, staleDeviceIds);
+    ruleStateRef.current = state;
+    fired.forEach(executeRule);
+  }, [devices, energyDevices, rules, scenes, houseMode, isHub, store, userId, notify]);
+
+  // 5. Schedule Runner
+  // This useEffect checks for due schedules on a fixed interval and runs their actions.
+  // It also ticks the clock on every dashboard, hub or not.
+  useEffect(() => {
+    schedulesRef.current = schedules;
+    devicesRef.current = devices;
+    scenesRef.current = scenes;
+    houseModeRef.current = houseMode;
+    modeDocsRef.current = modeDocs;
+  }, [schedules, devices, scenes, houseMode, modeDocs]);
+
+  useEffect(() => {
+    const runDueSchedules = () => {
+      const current = new Date();
+      setNow(current);
+      if (!isHub) return;
+
+      schedulesRef.current.forEach(schedule => {
+        const { status, runAt } = checkSchedule(schedule, current, homeLocation);
+        if (status === 'idle' || handledRunsRef.current[schedule.id] === runAt.getTime()) return;
+        handledRunsRef.current[schedule.id] = runAt.getTime();
+
+        // One-off timers disable themselves once they have run (or were missed).
+        const scheduleChanges = { lastRunAt: current };
+        if (schedule.trigger.type === 'once') scheduleChanges.enabled = false;
+        store.update('schedules', schedule.id, scheduleChanges)
+          .catch(e => console.error("Error updating schedule:", e));
+
+        if (status === 'missed') return;
+        // A schedule that switches the mode applies the mode's defaults first, then its own actions.
+        const source = { type: 'schedule', name: schedule.name, actorId: userId };
+        const mode = schedule.mode || houseModeRef.current;
+        const context = { devices: devicesRef.current, modeDocs: modeDocsRef.current, scenes: scenesRef.current };
+        const defaults = schedule.mode ? resolveModeDefaults(schedule.mode, context) : [];
+        const afterMode = devicesRef.current.map(device => ({ ...device, ...defaults.find(c => c.deviceId === device.id)?.changes }));
+        const changes = resolveActionChanges(schedule.actions || [], afterMode, scenesRef.current.filter(scene => isActiveInMode(scene, mode)));
+        const operations = [...(schedule.mode ? planModeChange(schedule.mode, source, context, current) : []), ...planStateWrites(changes, source, current)];
+        store.batch(operations).then(() => {
+          notify(`Schedule ran: ${schedule.name}`, 'success', 'schedule');
+        }, failure => {
+          console.error("Error running schedule:", failure);
+          notify(`Schedule failed: ${schedule.name}`, 'error', 'schedule');
+        });
+      });
+    };
+
+    runDueSchedules();
+    const intervalId = setInterval(runDueSchedules, SCHEDULE_CHECK_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [isHub, store, userId, notify]);
+
+  // 6. History Recorder
+  // This useEffect records every change to a recorded property, whether it came from the
+  // simulator, the UI, a rule or a schedule, so the history explorer can chart it.
+  useEffect(() => {
+    const previous = previousDevicesRef.current;
+    previousDevicesRef.current = devices;
+    if (!isHub) return;
+
+    diffHistoryEntries(previous, devices, new Date()).forEach(entry => {
+      store.add('history', entry).catch(e => console.error("Error adding history data: ", e));
+    });
+  }, [devices, isHub, store]);
+
+  // 7. History Retention
+  // This useEffect rolls raw history past the retention window into hourly and daily
+  // rollups, and prunes expired hourly rollups, audit entries and rule runs, on startup and then every hour.
+  useEffect(() => {
+    if (!isHub) return;
+
+    const compact = () => {
+      compactHistory(store, devicesRef.current, historyRetention)
+        .catch(e => console.error("Error compacting history:", e));
+      pruneAuditLog(store).catch(e => console.error("Error pruning the audit log:", e));
+      pruneRuleRuns(store).catch(e => console.error("Error pruning rule runs:", e));
+    };
+
+    compact();
+    const intervalId = setInterval(compact, HISTORY_COMPACTION_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [isHub, store]);
+
+  // 8. Device Bridge
+  // This useEffect connects bridged devices to hardware over MQTT or a WebSocket stand-in:
+  // state reports update the devices, and device changes made here are sent out as commands.
+  useEffect(() => {
+    if (!isHub || !deviceBridge) return;
+
+    const transport = deviceBridge.transport === 'websocket'
+      ? createWebSocketTransport(deviceBridge)
+      : createMqttTransport(deviceBridge);
+    const bridge = createDeviceBridge({
+      transport,
+      store,
+      getDevices: () => devicesRef.current,
+      actorId: userId,
+      prefix: deviceBridge.prefix,
+      onStatusChange: setBridgeStatus,
     });
-  }, [devices, rules, isAuthReady, userId]);
+    bridgeRef.current = bridge;
+    return () => {
+      bridge.close();
+      bridgeRef.current = null;
+    };
+  }, [isHub, store, userId]);
+
+  useEffect(() => {
+    bridgeRef.current?.handleDevices(devices);
+  }, [devices]);
+
+  // 9. Energy Meter
+  // This useEffect meters every device's power draw into daily usage documents. The meter
+  // is updated on every device change, so usage follows state changes to the moment.
+  useEffect(() => {
+    if (!isHub) return;
+
+    const meter = createEnergyMeter({ store, getDevices: () => devicesRef.current, tariff: energyTariff });
+    energyMeterRef.current = meter;
+    return () => {
+      meter.stop();
+      energyMeterRef.current = null;
+    };
+  }, [isHub, store]);
+
+  useEffect(() => {
+    energyMeterRef.current?.update();
+  }, [devices]);
+
+  // Listen for today's usage, which rule conditions on energy thresholds compare against.
+  // The listener moves to the new day's documents at midnight.
+  const today = toDateKey(now);
+  useEffect(() => {
+    return store.subscribe(ENERGY_COLLECTION, setTodayUsage, { filters: [['date', '==', today]] });
+  }, [store, today]);
+
+  // 10. Alerts
+  // This useEffect checks the home's alert conditions against every device snapshot, and
+  // again as the clock ticks so devices that stop reporting are noticed. Every member's
+  // dashboard checks them, so everyone is alerted.
+  useEffect(() => {
+    const { fired, state } = stepAlerts(alerts, energyDevices, alertStateRef.current, now.getTime());
+    alertStateRef.current = state;
+    raiseAlerts(fired);
+  }, [alerts, energyDevices, now, raiseAlerts]);
+
+  // Rule failures are raised from the rule execution log, which the hub writes, so they
+  // reach every member too. Runs already logged when the dashboard opened are skipped.
+  useEffect(() => {
+    if (!ruleRuns) return;
+    const seen = seenRuleRunsRef.current;
+    seenRuleRunsRef.current = new Set(ruleRuns.map(run => run.id));
+    if (!seen) return;
+    ruleRuns
+      .filter(run => run.result === 'error' && !seen.has(run.id))
+      .forEach(run => raiseAlerts(getRuleFailureAlerts(alerts, { id: run.ruleId, name: run.ruleName })));
+  }, [ruleRuns, alerts, raiseAlerts]);
+
+  // 11. Vacation Presence Simulation
+  // While the home is on vacation, the hub switches lights on and off through the evening.
+  useEffect(() => {
+    if (!isHub || houseMode !== 'vacation') return;
+
+    const presence = createPresenceSimulator({ store, getDevices: () => devicesRef.current, actorId: userId, location: homeLocation });
+    return presence.stop;
+  }, [isHub, houseMode, store, userId]);
 
   // --- UI Handlers ---
 
-  // Handles toggling a device's on/off state.
-  const handleToggle = (id, currentStatus) => {
-    const deviceRef = doc(db, `artifacts/${appId}/users/${userId}/devices/${id}`);
-    updateDoc(deviceRef, { isOn: !currentStatus }).catch(e => console.error("Error toggling device:", e));
+  // Handles toggling a boolean device property, on/off by default. Sent straight away.
+  const handleToggle = (id, currentStatus, key = 'isOn') => {
+    const device = devices.find(d => d.id === id);
+    if (device) commandQueueRef.current.enqueue(device, { [key]: !currentStatus }, userSource, { immediate: true });
   };
 
-  // Handles slider changes for devices like thermostats and lights.
+  // Handles slider changes for devices like thermostats and lights. A drag is written once
+  // it pauses.
   const handleSliderChange = (id, key, value) => {
-    const deviceRef = doc(db, `artifacts/${appId}/users/${userId}/devices/${id}`);
-    updateDoc(deviceRef, { [key]: value }).catch(e => console.error("Error updating device value:", e));
+    const device = devices.find(d => d.id === id);
+    if (device) commandQueueRef.current.enqueue(device, { [key]: value }, userSource);
+  };
+
+  // Runs the changes of a command bar phrase the way the device cards would make them.
+  const handleCommandRun = (commands) => {
+    commands.forEach(({ device, property, value }) => {
+      if (typeof value === 'boolean') handleToggle(device.id, !value, property);
+      else handleSliderChange(device.id, property, value);
+    });
   };
 
-  // Handles the submission of a new automation rule form.
-  const handleRuleSubmit = async (e) => {
-    e.preventDefault();
-    if (!newRule.name || !newRule.triggerDevice || !newRule.actionDevice) {
-      setFeedback({ message: 'All fields are required.', type: 'error' });
+  // Undoes the change an audit entry belongs to, with every device it changed. Properties
+  // changed again since are left as they are.
+  const handleUndo = async (entry) => {
+    try {
+      const entries = await store.list(AUDIT_COLLECTION, { filters: [['changeId', '==', entry.changeId]] });
+      const { changes, undone, skipped } = planUndo(entries, devices);
+      if (changes.length === 0) {
+        notify('Nothing to undo: the devices have changed since.', 'warning');
+        return;
+      }
+      const label = AUDIT_SOURCES.find(s => s.value === entry.source)?.label || entry.source;
+      const source = { type: 'undo', name: entry.sourceName || label, actorId: userId };
+      await store.batch([...planStateWrites(changes, source), ...planMarkUndone(undone)]);
+      notify(skipped > 0 ? `Undone, except ${skipped} setting(s) changed since.` : 'Change undone.', 'success');
+    } catch (e) {
+      console.error("Error undoing change:", e);
+      notify('Failed to undo change.', 'error');
+    }
+  };
+
+  // Opens the rule modal, prefilled when editing an existing rule.
+  const openRuleModal = (rule = null) => {
+    setEditingRule(rule);
+    setShowRuleModal(true);
+  };
+
+  const closeRuleModal = () => {
+    setShowRuleModal(false);
+    setEditingRule(null);
+  };
+
+  // Handles the submission of the rule form, creating a new rule or saving an edited one.
+  const handleRuleSubmit = async ({ id, ...ruleData }) => {
+    if (!ruleData.name) {
+      notify('All fields are required.', 'error');
+      return;
+    }
+    const validationError = validateConditions(ruleData.conditions) || validateActions(ruleData.actions, devices, scenes);
+    if (validationError) {
+      notify(validationError, 'error');
       return;
     }
 
     try {
-      const rulesCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/rules`);
-      await addDoc(rulesCollectionRef, newRule);
-      setFeedback({ message: 'Rule created successfully!', type: 'success' });
-      setShowRuleModal(false);
-      // Reset the form after successful submission.
-      setNewRule({
-        name: '', triggerDevice: '', triggerCondition: '', triggerValue: '',
-        actionDevice: '', actionType: '', actionValue: ''
-      });
+      if (id) {
+        await store.set('rules', id, ruleData);
+        notify('Rule saved successfully!', 'success');
+      } else {
+        await store.add('rules', ruleData);
+        notify('Rule created successfully!', 'success');
+      }
+      closeRuleModal();
     } catch (e) {
-      console.error("Error adding rule: ", e);
-      setFeedback({ message: 'Failed to create rule.', type: 'error' });
+      console.error("Error saving rule: ", e);
+      notify('Failed to save rule.', 'error');
     }
   };
+
+  // Pauses or resumes a rule. The engine skips rules with `enabled: false`.
+  const handleRuleEnabledToggle = (rule) => {
+    store.update('rules', rule.id, { enabled: rule.enabled === false })
+      .catch(e => console.error("Error toggling rule:", e));
+  };
+
+  // Deletes a rule after the user confirms.
+  const handleRuleDelete = (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? This cannot be undone.`)) return;
+    store.remove('rules', rule.id)
+      .then(() => notify('Rule deleted.', 'success'))
+      .catch(e => {
+        console.error("Error deleting rule:", e);
+        notify('Failed to delete rule.', 'error');
+      });
+  };
+
+  // Creates a copy of a rule. Copies start disabled so they don't fire alongside the original.
+  const handleRuleDuplicate = (rule) => {
+    const copy = { ...rule, name: `${rule.name} (copy)`, enabled: false };
+    delete copy.id;
+    store.add('rules', copy)
+      .then(() => notify('Rule duplicated.', 'success'))
+      .catch(e => {
+        console.error("Error duplicating rule:", e);
+        notify('Failed to duplicate rule.', 'error');
+      });
+  };
   
-  // --- UI Components ---
+  // Handles the submission of the schedule form.
+  const handleScheduleSubmit = async (schedule) => {
+    if (!schedule.name) {
+      notify('All fields are required.', 'error');
+      return;
+    }
+    // A schedule that switches the house mode needn't set anything else.
+    const validationError = validateTrigger(schedule.trigger, homeLocation)
+      || (schedule.mode && schedule.actions.length === 0 ? null : validateActions(schedule.actions, devices, scenes));
+    if (validationError) {
+      notify(validationError, 'error');
+      return;
+    }
 
-  // Renders a single device card based on its type.
-  const renderDeviceCard = (device) => {
-    const cardBaseClasses = "relative bg-white/50 backdrop-blur-md rounded-2xl shadow-xl p-6 transition-transform duration-300 ease-in-out hover:scale-[1.02] transform-gpu border border-white/20";
-    const titleClasses = "text-xl font-semibold mb-1 flex items-center gap-2";
-    const subTitleClasses = "text-sm text-gray-700";
-    
-    switch (device.type) {
-      case 'thermostat':
-        return (
-          <div key={device.id} className={`${cardBaseClasses} bg-gradient-to-br from-blue-100 to-blue-200`}>
-            <div className={titleClasses}>
-              <Thermometer className="w-6 h-6 text-blue-600" />
-              {device.name}
-            </div>
-            <p className={subTitleClasses}>{device.room}</p>
-            <div className="flex flex-col items-center justify-center my-4">
-              <div className="text-6xl font-extrabold text-blue-800">{Math.round(device.currentTemp)}°F</div>
-              <p className="mt-1 text-sm text-gray-600">Target: {device.targetTemp}°F</p>
-            </div>
-            <input
-              type="range"
-              min="60"
-              max="85"
-              value={device.targetTemp}
-              onChange={(e) => handleSliderChange(device.id, 'targetTemp', parseFloat(e.target.value))}
-              className="w-full h-2 bg-blue-300 rounded-lg appearance-none cursor-pointer"
-            />
-          </div>
-        );
-      case 'light':
-        return (
-          <div key={device.id} className={`${cardBaseClasses} ${device.isOn ? 'bg-gradient-to-br from-yellow-100 to-yellow-200' : 'bg-gradient-to-br from-gray-100 to-gray-200'}`}>
-            <div className={titleClasses}>
-              <Lightbulb className={`w-6 h-6 ${device.isOn ? 'text-yellow-600' : 'text-gray-600'}`} />
-              {device.name}
-            </div>
-            <p className={subTitleClasses}>{device.room}</p>
-            <div className="flex items-center justify-between mt-4">
-              <button
-                onClick={() => handleToggle(device.id, device.isOn)}
-                className={`flex-1 px-4 py-2 rounded-xl font-bold transition-colors duration-300 ${
-                  device.isOn ? 'bg-yellow-500 hover:bg-yellow-600 text-white shadow-lg' : 'bg-gray-400 hover:bg-gray-500 text-gray-800'
-                }`}
-              >
-                {device.isOn ? 'ON' : 'OFF'}
-              </button>
-            </div>
-            {device.isOn && (
-              <div className="mt-4">
-                <p className="text-gray-700 text-sm mb-2">Brightness: {device.brightness}%</p>
-                <input
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={device.brightness}
-                  onChange={(e) => handleSliderChange(device.id, 'brightness', parseFloat(e.target.value))}
-                  className="w-full h-2 bg-yellow-300 rounded-lg appearance-none cursor-pointer"
-                />
-              </div>
-            )}
-          </div>
-        );
-      case 'fan':
-        return (
-          <div key={device.id} className={`${cardBaseClasses} ${device.isOn ? 'bg-gradient-to-br from-teal-100 to-teal-200' : 'bg-gradient-to-br from-gray-100 to-gray-200'}`}>
-            <div className={titleClasses}>
-              <Fan className={`w-6 h-6 ${device.isOn ? 'text-teal-600' : 'text-gray-600'}`} />
-              {device.name}
-            </div>
-            <p className={subTitleClasses}>{device.room}</p>
-            <div className="flex items-center justify-between mt-4">
-              <button
-                onClick={() => handleToggle(device.id, device.isOn)}
-                className={`flex-1 px-4 py-2 rounded-xl font-bold transition-colors duration-300 ${
-                  device.isOn ? 'bg-teal-500 hover:bg-teal-600 text-white shadow-lg' : 'bg-gray-400 hover:bg-gray-500 text-gray-800'
-                }`}
-              >
-                {device.isOn ? 'ON' : 'OFF'}
-              </button>
-            </div>
-          </div>
-        );
-      case 'humidity':
-        return (
-          <div key={device.id} className={`${cardBaseClasses} bg-gradient-to-br from-indigo-100 to-indigo-200`}>
-            <div className={titleClasses}>
-              <Droplet className="w-6 h-6 text-indigo-600" />
-              {device.name}
-            </div>
-            <p className={subTitleClasses}>{device.room}</p>
-            <div className="flex flex-col items-center justify-center my-4">
-              <div className="text-5xl font-extrabold text-indigo-800">{device.humidity}%</div>
-              <p className="mt-1 text-sm text-gray-600">Current Humidity</p>
-            </div>
-          </div>
-        );
-      default:
-        return null;
+    try {
+      await store.add('schedules', { ...schedule, createdAt: new Date(), lastRunAt: null });
+      notify('Schedule created successfully!', 'success');
+      setShowScheduleModal(false);
+    } catch (e) {
+      console.error("Error adding schedule: ", e);
+      notify('Failed to create schedule.', 'error');
     }
   };
 
-  // Renders the modal for creating a new automation rule.
-  const renderRuleModal = () => (
-    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
-      <div className="bg-white rounded-2xl p-8 max-w-lg w-full shadow-2xl transform transition-all scale-95 duration-300 ease-out sm:scale-100">
-        <h2 className="text-2xl font-bold mb-6 text-gray-800">Create Automation Rule</h2>
-        <form onSubmit={handleRuleSubmit}>
-          <div className="mb-4">
-            <label className="block text-gray-700 text-sm font-bold mb-2">Rule Name</label>
-            <input
-              type="text"
-              className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-              value={newRule.name}
-              onChange={(e) => setNewRule({ ...newRule, name: e.target.value })}
-              required
-            />
-          </div>
-          <div className="grid grid-cols-2 gap-4 mb-4">
-            <div>
-              <label className="block text-gray-700 text-sm font-bold mb-2">If this device...</label>
-              <select
-                className="shadow border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                value={newRule.triggerDevice}
-                onChange={(e) => setNewRule({ ...newRule, triggerDevice: e.target.value })}
-                required
-              >
-                <option value="">Select Device</option>
-                {devices.map(d => (
-                  <option key={d.id} value={d.id}>{d.name}</option>
-                ))}
-              </select>
-            </div>
-            <div>
-              <label className="block text-gray-700 text-sm font-bold mb-2">is...</label>
-              <select
-                className="shadow border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                value={newRule.triggerCondition}
-                onChange={(e) => setNewRule({ ...newRule, triggerCondition: e.target.value })}
-                required
-              >
-                <option value="">Condition</option>
-                <option value=">">Greater than</option>
-                <option value="<">Less than</option>
-                <option value="==">is on/off</option>
-              </select>
-            </div>
-          </div>
-          <div className="mb-4">
-            <label className="block text-gray-700 text-sm font-bold mb-2">Then set its value to...</label>
-            <input
-              type="text"
-              className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-              placeholder="e.g., 75, on, off"
-              value={newRule.triggerValue}
-              onChange={(e) => setNewRule({ ...newRule, triggerValue: e.target.value })}
-              required
-            />
-          </div>
-          <div className="grid grid-cols-2 gap-4 mb-6">
-            <div>
-              <label className="block text-gray-700 text-sm font-bold mb-2">Then this device...</label>
-              <select
-                className="shadow border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                value={newRule.actionDevice}
-                onChange={(e) => setNewRule({ ...newRule, actionDevice: e.target.value })}
-                required
-              >
-                <option value="">Select Device</option>
-                {devices.map(d => (
-                  <option key={d.id} value={d.id}>{d.name}</option>
-                ))}
-              </select>
-            </div>
-            <div>
-              <label className="block text-gray-700 text-sm font-bold mb-2">Is set to...</label>
-              <input
-                type="text"
-                className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                placeholder="e.g., on, off, 75"
-                value={newRule.actionValue}
-                onChange={(e) => setNewRule({ ...newRule, actionValue: e.target.value })}
-                required
-              />
-            </div>
-          </div>
-          <div className="flex items-center justify-between">
-            <button
-              type="button"
-              onClick={() => setShowRuleModal(false)}
-              className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
-            >
-              Create Rule
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
+  // Pauses or resumes a schedule.
+  const handleScheduleEnabledToggle = (schedule) => {
+    store.update('schedules', schedule.id, { enabled: schedule.enabled === false })
+      .catch(e => console.error("Error toggling schedule:", e));
+  };
+
+  // Deletes a schedule after the user confirms.
+  const handleScheduleDelete = (schedule) => {
+    if (!window.confirm(`Delete the schedule "${schedule.name}"?`)) return;
+    store.remove('schedules', schedule.id)
+      .catch(e => {
+        console.error("Error deleting schedule:", e);
+        notify('Failed to delete schedule.', 'error');
+      });
+  };
+
+  // Applies every device state in a scene as one batched write.
+  const handleSceneApply = async (scene) => {
+    const changes = resolveActionChanges(scene.actions || [], devices);
+    const failure = await applyActionChanges(store, changes, { type: 'scene', name: scene.name, actorId: userId });
+    if (failure) {
+      console.error("Error applying scene:", failure);
+      notify(`Failed to apply scene: ${scene.name}`, 'error');
+    } else {
+      notify(`Scene applied: ${scene.name}`, 'success');
+    }
+  };
+
+  // Handles the submission of the scene form.
+  const handleSceneSubmit = async (scene) => {
+    const validationError = !scene.name ? 'All fields are required.' : validateActions(scene.actions, devices);
+    if (validationError) {
+      notify(validationError, 'error');
+      return;
+    }
+
+    try {
+      await store.add('scenes', scene);
+      notify('Scene created successfully!', 'success');
+      setShowSceneModal(false);
+    } catch (e) {
+      console.error("Error adding scene: ", e);
+      notify('Failed to create scene.', 'error');
+    }
+  };
+
+  // Deletes a scene after the user confirms. Rules that activate it are flagged by `describeActions`.
+  const handleSceneDelete = (scene) => {
+    if (!window.confirm(`Delete the scene "${scene.name}"?`)) return;
+    store.remove('scenes', scene.id)
+      .catch(e => {
+        console.error("Error deleting scene:", e);
+        notify('Failed to delete scene.', 'error');
+      });
+  };
+
+  // Switches the house mode, applying the new mode's default device states.
+  const handleModeChange = async (mode) => {
+    try {
+      await writeOperations(planModeChange(mode, userSource, { devices, modeDocs, scenes }));
+      notify(`House mode: ${getModeLabel(mode)}`, 'success');
+    } catch (e) {
+      console.error("Error changing house mode:", e);
+      notify('Failed to change house mode.', 'error');
+    }
+  };
+
+  // Saves the default device states of a house mode.
+  const handleModeDefaultsSubmit = async (mode, actions) => {
+    const validationError = actions.length > 0 ? validateActions(actions, devices, scenes) : null;
+    if (validationError) {
+      notify(validationError, 'error');
+      return;
+    }
+
+    try {
+      await store.set(MODES_COLLECTION, mode, { name: getModeLabel(mode), actions });
+      notify(`${getModeLabel(mode)} defaults saved.`, 'success');
+    } catch (e) {
+      console.error("Error saving mode defaults:", e);
+      notify('Failed to save mode defaults.', 'error');
+    }
+  };
+
+  // Writes a list of batch operations, split into backend-sized batches, to the home or
+  // another `target` store.
+  const writeOperations = async (operations, target = store) => {
+    for (const chunk of chunkOperations(operations)) {
+      await target.batch(chunk);
+    }
+  };
+
+  // Adds a device of a registry type. Resolves to true on success so the form can reset.
+  const handleDeviceAdd = async (device) => {
+    if (!device.name.trim() || !device.room.trim()) {
+      notify('All fields are required.', 'error');
+      return false;
+    }
+    try {
+      await store.add('devices', createDevice(device, devices.length));
+      notify(`Added ${device.name.trim()}.`, 'success');
+      return true;
+    } catch (e) {
+      console.error("Error adding device:", e);
+      notify('Failed to add device.', 'error');
+      return false;
+    }
+  };
+
+  // Renames a device or moves it to another room.
+  const handleDeviceUpdate = (id, changes) => {
+    store.update('devices', id, changes).catch(e => {
+      console.error("Error updating device:", e);
+      notify('Failed to update device.', 'error');
+    });
+  };
+
+  // Moves a device one place up or down in the dashboard order.
+  const handleDeviceMove = (id, direction) => {
+    writeOperations(planReorder(devices, id, direction)).catch(e => console.error("Error reordering devices:", e));
+  };
+
+  // Deletes a device with its history, disables the rules that use it, and drops
+  // schedule and scene actions that target it.
+  const handleDeviceDelete = async (device) => {
+    const affectedRules = rules.filter(rule => rule.enabled !== false && getReferencedDevices(rule).includes(device.id));
+    const warning = affectedRules.length > 0
+      ? ` ${affectedRules.length} rule(s) that use it will be disabled: ${affectedRules.map(r => r.name).join(', ')}.`
+      : '';
+    if (!window.confirm(`Delete "${device.name}" and its history?${warning}`)) return;
+
+    try {
+      const byDevice = { filters: [['deviceId', '==', device.id]] };
+      const history = await store.list('history', byDevice);
+      const rollups = await Promise.all(Object.values(ROLLUP_RESOLUTIONS).map(({ collection }) =>
+        store.list(collection, byDevice).then(docs => docs.map(doc => ({ name: collection, id: doc.id })))));
+      await writeOperations(planDeviceRemoval(device.id, { rules, schedules, scenes, history, rollups: rollups.flat(), alerts }));
+      notify(`Deleted ${device.name}.`, 'success');
+    } catch (e) {
+      console.error("Error deleting device:", e);
+      notify('Failed to delete device.', 'error');
+    }
+  };
+
+  // Loads the demo home's devices, replacing any existing demo devices.
+  const handleLoadDemoHome = async () => {
+    if (devices.length > 0 && !window.confirm('Load the demo home? Existing demo devices will be reset.')) return;
+    try {
+      await writeOperations(planDemoHome(demoDevices, devices));
+      notify('Demo home loaded.', 'success');
+    } catch (e) {
+      console.error("Error loading demo home:", e);
+      notify('Failed to load demo home.', 'error');
+    }
+  };
+
+  // Applies one setting to every device of a type in a room, e.g. all Kitchen lights off,
+  // as a command per device, like the cards: switches are sent at once, a slider drag once
+  // it pauses.
+  const handleRoomAction = (room, deviceType, property, value) => {
+    const source = { type: 'room', name: room, actorId: userId };
+    resolveActionChanges([{ room, deviceType, property, value }], devices).forEach(({ deviceId, changes }) => {
+      const device = devices.find(d => d.id === deviceId);
+      if (device) commandQueueRef.current.enqueue(device, changes, source, { immediate: typeof value === 'boolean' });
+    });
+  };
+
+  // Creates an empty room. Resolves to true on success so the form can reset.
+  const handleRoomCreate = async (name) => {
+    const room = name.trim();
+    if (!room || rooms.includes(room)) {
+      notify(room ? `${room} already exists.` : 'Enter a room name.', 'error');
+      return false;
+    }
+    try {
+      await store.add('rooms', { name: room });
+      return true;
+    } catch (e) {
+      console.error("Error adding room:", e);
+      notify('Failed to add room.', 'error');
+      return false;
+    }
+  };
+
+  // Renames a room, or merges it into another when renamed to an existing room's name.
+  const handleRoomRename = async (from, to) => {
+    const operations = planRoomRename(from, to, { devices, roomDocs, rules, schedules, scenes });
+    if (operations.length === 0) return;
+    const isMerge = rooms.includes(to.trim());
+    if (isMerge && !window.confirm(`Merge ${from} into ${to.trim()}? All of its devices will move.`)) return;
+    try {
+      await writeOperations(operations);
+      if (roomFilter === from) setRoomFilter(to.trim());
+      notify(isMerge ? `Merged ${from} into ${to.trim()}.` : `Renamed ${from} to ${to.trim()}.`, 'success');
+    } catch (e) {
+      console.error("Error renaming room:", e);
+      notify('Failed to update room.', 'error');
+    }
+  };
+
+  // Deletes an empty room.
+  const handleRoomDelete = (room) => {
+    const operations = roomDocs.filter(r => r.name === room).map(r => ({ type: 'remove', name: 'rooms', id: r.id }));
+    writeOperations(operations).catch(e => console.error("Error deleting room:", e));
+    if (roomFilter === room) setRoomFilter('');
+  };
+
+  // Writes a planned configuration import. Resolves to true on success so the form can reset.
+  const handleConfigImport = async (operations) => {
+    try {
+      await writeOperations(operations);
+      notify('Configuration imported.', 'success');
+      return true;
+    } catch (e) {
+      console.error("Error importing configuration:", e);
+      notify('Failed to import configuration. Part of it may have been written; import it again to finish.', 'error');
+      return false;
+    }
+  };
+
+  // Closes the notification center, marking the notifications it listed as read.
+  const closeNotificationCenter = () => {
+    setShowNotificationCenter(false);
+    writeOperations(planMarkRead(notifications), userStore).catch(e => console.error("Error marking notifications read:", e));
+  };
+
+  // Deletes the whole notification history after the user confirms.
+  const handleNotificationsClear = async () => {
+    if (!window.confirm('Clear the notification history?')) return;
+    try {
+      const all = await userStore.list(NOTIFICATIONS_COLLECTION);
+      await writeOperations(all.map(notification => ({ type: 'remove', name: NOTIFICATIONS_COLLECTION, id: notification.id })), userStore);
+    } catch (e) {
+      console.error("Error clearing notifications:", e);
+      notify('Failed to clear notifications.', 'error');
+    }
+  };
+
+  // Turns browser delivery of alerts on or off. Turning it on asks for permission first.
+  const handleBrowserDeliveryChange = async (enabled) => {
+    const isOn = await setBrowserDelivery(enabled);
+    setBrowserDeliveryState(isOn);
+    if (enabled && !isOn) notify('Browser notifications are blocked. Allow them in your browser settings.', 'warning');
+  };
+
+  // Adds an alert condition. Resolves to true on success so the form can reset.
+  const handleAlertAdd = async (alert) => {
+    const validationError = validateAlert(alert);
+    if (validationError) {
+      notify(validationError, 'error');
+      return false;
+    }
+    try {
+      await store.add('alerts', { ...alert, name: alert.name.trim() });
+      notify('Alert created.', 'success');
+      return true;
+    } catch (e) {
+      console.error("Error adding alert:", e);
+      notify('Failed to create alert.', 'error');
+      return false;
+    }
+  };
+
+  // Pauses or resumes an alert.
+  const handleAlertToggle = (alert) => {
+    store.update('alerts', alert.id, { enabled: alert.enabled === false })
+      .catch(e => console.error("Error toggling alert:", e));
+  };
+
+  // Deletes an alert after the user confirms.
+  const handleAlertDelete = (alert) => {
+    if (!window.confirm(`Delete the alert "${alert.name}"?`)) return;
+    store.remove('alerts', alert.id)
+      .catch(e => {
+        console.error("Error deleting alert:", e);
+        notify('Failed to delete alert.', 'error');
+      });
+  };
+
+  // Renames the home, for every member.
+  const handleHomeRename = async (name) => {
+    try {
+      await appStore.update(HOMES_COLLECTION, homeId, { name });
+      await userStore.update(MEMBERSHIPS_COLLECTION, homeId, { homeName: name });
+      setHome({ ...home, name });
+    } catch (e) {
+      console.error("Error renaming home:", e);
+      notify('Failed to rename home.', 'error');
+    }
+  };
+
+  // Changes the name the user is shown by in this home.
+  const handleMemberNameChange = (name) => {
+    store.update(MEMBERS_COLLECTION, userId, { name })
+      .catch(e => console.error("Error renaming member:", e));
+  };
+
+  // Changes another member's role. Only the owner can.
+  const handleMemberRoleChange = (member, memberRole) => {
+    store.update(MEMBERS_COLLECTION, member.id, { role: memberRole })
+      .then(() => notify(`${member.name} is now a ${getRoleLabel(memberRole).toLowerCase()}.`, 'success'))
+      .catch(e => {
+        console.error("Error changing role:", e);
+        notify('Failed to change role.', 'error');
+      });
+  };
+
+  // Removes a member from the home after the owner confirms.
+  const handleMemberRemove = (member) => {
+    if (!window.confirm(`Remove ${member.name} from ${home.name}? They will lose access to its devices.`)) return;
+    appStore.batch(planLeave(homeId, member.id, false))
+      .catch(e => {
+        console.error("Error removing member:", e);
+        notify('Failed to remove member.', 'error');
+      });
+  };
+
+  // Leaves the home after the user confirms, and opens another of their homes.
+  const handleHomeLeave = () => {
+    if (!window.confirm(`Leave ${home.name}? You'll need a new invite to come back.`)) return;
+    isLeavingRef.current = true;
+    appStore.batch(planLeave(homeId, userId, true))
+      .then(() => onLeaveHome(homeId))
+      .catch(e => {
+        isLeavingRef.current = false;
+        console.error("Error leaving home:", e);
+        notify('Failed to leave home.', 'error');
+      });
+  };
+
+  // Creates a single-use invite code for the given role. Resolves to the invite, or null.
+  const handleInviteCreate = async (inviteRole) => {
+    const invite = createInvite(home, inviteRole, userId);
+    try {
+      await appStore.set(INVITES_COLLECTION, invite.code, invite.data);
+      return invite;
+    } catch (e) {
+      console.error("Error creating invite:", e);
+      notify('Failed to create invite.', 'error');
+      return null;
+    }
+  };
+
+  // Joins the home an invite code is for and opens it. Resolves to true on success.
+  const handleHomeJoin = async (code) => {
+    try {
+      const invite = await appStore.get(INVITES_COLLECTION, normalizeInviteCode(code));
+      const validationError = validateInvite(invite, memberships);
+      if (validationError) {
+        notify(validationError, 'error');
+        return false;
+      }
+      await appStore.batch(planJoin(invite, userId, memberName));
+      notify(`Joined ${invite.homeName} as a ${getRoleLabel(invite.role).toLowerCase()}.`, 'success');
+      onSelectHome(invite.homeId);
+      return true;
+    } catch (e) {
+      console.error("Error joining home:", e);
+      notify('Failed to join home.', 'error');
+      return false;
+    }
+  };
+
+  // Creates a new, empty home owned by the user and opens it. Resolves to true on success.
+  const handleHomeCreate = async (name) => {
+    if (!name.trim()) {
+      notify('Enter a home name.', 'error');
+      return false;
+    }
+    const newHomeId = createHomeId();
+    try {
+      await appStore.batch(planHomeCreation(newHomeId, name.trim(), userId, memberName));
+      onSelectHome(newHomeId);
+      return true;
+    } catch (e) {
+      console.error("Error creating home:", e);
+      notify('Failed to create home.', 'error');
+      return false;
+    }
+  };
+
+  const canEditAutomations = can(role, 'editAutomations');
+  const canEditDevices = can(role, 'editDevices');
+  const rooms = getRooms(devices, roomDocs);
+  const unreadCount = notifications.filter(notification => !notification.read).length;
+  // The cards show people's changes before the store confirms them.
+  const shownDevices = applyCommands(devices, commands);
+  const offlineDevices = devices.filter(device => isDeviceOffline(device, now, deviceHealth.offlineMinutes));
+  const roomGroups = groupDevicesByRoom(shownDevices, rooms).filter(group => !roomFilter || group.room === roomFilter);
+
+  // --- UI Components ---
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-100 to-gray-200 font-sans text-gray-800 p-4 sm:p-8 flex flex-col items-center">
-      {/* Feedback Message */}
-      {feedback.message && (
-        <div className={`fixed top-4 right-4 p-4 rounded-lg shadow-xl text-white z-50 transition-transform duration-300 transform ${feedback.type === 'success' ? 'bg-green-500' : 'bg-red-500'}`}>
-          {feedback.message}
-        </div>
-      )}
-
       {/* Main Dashboard */}
       <div className="w-full max-w-7xl flex flex-col md:flex-row gap-6">
         
         {/* Left Panel: Devices & Automation */}
         <div className="flex-1">
           <header className="mb-6">
-            <h1 className="text-4xl sm:text-5xl font-extrabold text-gray-900 mb-2">Smart Home Dashboard</h1>
+            <div className="flex items-start justify-between gap-4">
+              <h1 className="text-4xl sm:text-5xl font-extrabold text-gray-900 mb-2">Smart Home Dashboard</h1>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setShowHousehold(true)}
+                  className="bg-white/70 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg"
+                  title="Household members, invites and homes"
+                >
+                  <Users className="w-6 h-6" />
+                </button>
+                <button
+                  onClick={() => setShowNotificationCenter(true)}
+                  className="relative bg-white/70 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg"
+                  title="Notifications and alerts"
+                >
+                  <Bell className="w-6 h-6" />
+                  {unreadCount > 0 && (
+                    <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs font-bold rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+                      {unreadCount}
+                    </span>
+                  )}
+                </button>
+              </div>
+            </div>
             <p className="text-gray-600">Your connected devices at a glance.</p>
-            {userId && (
-              <p className="mt-2 text-sm text-gray-500 break-words">User ID: {userId}</p>
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-500">
+              {memberships.length > 1 ? (
+                <select
+                  className="shadow border rounded-lg py-1 px-2 text-sm font-semibold text-gray-700 focus:outline-none focus:shadow-outline"
+                  value={homeId}
+                  onChange={(e) => onSelectHome(e.target.value)}
+                  aria-label="Home"
+                >
+                  {memberships.map(membership => (
+                    <option key={membership.id} value={membership.id}>{membership.homeName}</option>
+                  ))}
+                </select>
+              ) : (
+                <span className="font-semibold text-gray-700">{home?.name || membershipName}</span>
+              )}
+              {role && <span>{getRoleLabel(role)}</span>}
+              {isHub && (
+                <span className="text-green-700" title="This dashboard runs the home's simulator, rules, schedules and history">· Hub</span>
+              )}
+              {offlineDevices.length > 0 && (
+                <span className="flex items-center gap-1 text-gray-600" title={offlineDevices.map(device => device.name).join(', ')}>
+                  · <WifiOff className="w-4 h-4" /> {offlineDevices.length} offline
+                </span>
+              )}
+            </div>
+            <p className="mt-1 text-sm text-gray-500 break-words">User ID: {userId}</p>
+            {bridgeStatus && (
+              <p className="mt-1 text-sm text-gray-500 flex items-center gap-1" title={deviceBridge.url}>
+                <Radio className={`w-4 h-4 ${bridgeStatus === 'connected' ? 'text-green-600' : bridgeStatus === 'connecting' ? 'text-amber-500' : 'text-red-600'}`} />
+                Device bridge {bridgeStatus}
+              </p>
             )}
+            <CommandBar devices={shownDevices} disabled={!can(role, 'controlDevices')} onRun={handleCommandRun} />
           </header>
 
           <section className="mb-8">
-            <h2 className="text-2xl font-bold mb-4 text-gray-800">My Devices</h2>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-              {devices.map(renderDeviceCard)}
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-800">House Mode</h2>
+              {canEditAutomations && (
+                <button
+                  onClick={() => setShowModeSettings(true)}
+                  className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-full shadow-lg transition-transform duration-300 hover:scale-105"
+                  title="Default device states of each mode"
+                >
+                  <Settings className="w-6 h-6" />
+                </button>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {HOUSE_MODES.map(({ value, label, icon }) => {
+                const Icon = icon;
+                const defaults = modeDocs.find(doc => doc.id === value)?.actions || [];
+                return (
+                  <button
+                    key={value}
+                    onClick={() => handleModeChange(value)}
+                    disabled={!can(role, 'controlDevices') || value === houseMode}
+                    className={`flex items-center gap-2 px-4 py-2 rounded-xl shadow-md font-bold border border-white/20 ${
+                      value === houseMode ? 'bg-purple-600 text-white' : 'bg-white/70 text-gray-800 hover:text-purple-700 disabled:opacity-50'
+                    }`}
+                    title={defaults.length > 0 ? `Sets ${describeActions(defaults, devices, scenes)}` : undefined}
+                  >
+                    <Icon className="w-5 h-5" /> {label}
+                  </button>
+                );
+              })}
+            </div>
+            {houseMode === 'vacation' && (
+              <p className="mt-2 text-sm text-gray-500">Lights go on and off at random in the evening while you're away.</p>
+            )}
+          </section>
+
+          <section className="mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-800">Scenes</h2>
+              {canEditAutomations && (
+                <button
+                  onClick={() => setShowSceneModal(true)}
+                  className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-full shadow-lg transition-transform duration-300 hover:scale-105"
+                  title="Create new scene"
+                >
+                  <Plus className="w-6 h-6" />
+                </button>
+              )}
+            </div>
+            {scenes.length === 0 ? (
+              <p className="text-gray-500 italic">
+                {canEditAutomations ? "No scenes yet. Click the '+' button to save your favourite device settings." : 'No scenes yet.'}
+              </p>
+            ) : (
+              <div className="flex gap-3 overflow-x-auto pb-2">
+                {scenes.map(scene => (
+                  <div key={scene.id} className="flex items-center flex-shrink-0 bg-white/70 rounded-xl shadow-md border border-white/20">
+                    <button
+                      onClick={() => handleSceneApply(scene)}
+                      disabled={!isActiveInMode(scene, houseMode)}
+                      className="flex items-center gap-2 px-4 py-2 font-bold text-gray-800 hover:text-purple-700 disabled:opacity-50 disabled:hover:text-gray-800"
+                      title={isActiveInMode(scene, houseMode)
+                        ? describeActions(scene.actions || [], devices)
+                        : `Only in ${describeModes(scene.modes)} mode`}
+                    >
+                      <Film className="w-5 h-5 text-purple-600" />
+                      {scene.name}
+                    </button>
+                    {canEditAutomations && (
+                      <button onClick={() => handleSceneDelete(scene)} className="pr-3 text-gray-400 hover:text-red-600" title="Delete scene">
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+
+          <section className="mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-800">My Devices</h2>
+              <div className="flex items-center gap-2">
+                <select
+                  className="shadow border rounded-lg py-2 px-3 text-sm text-gray-700 focus:outline-none focus:shadow-outline"
+                  value={roomFilter}
+                  onChange={(e) => setRoomFilter(e.target.value)}
+                  aria-label="Filter by room"
+                >
+                  <option value="">All rooms</option>
+                  {rooms.map(room => (
+                    <option key={room} value={room}>{room}</option>
+                  ))}
+                </select>
+                {canEditDevices && (
+                  <>
+                    <button
+                      onClick={() => setShowRoomManager(true)}
+                      className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-full shadow-lg transition-transform duration-300 hover:scale-105"
+                      title="Manage rooms"
+                    >
+                      <LayoutGrid className="w-6 h-6" />
+                    </button>
+                    <button
+                      onClick={() => setShowDeviceManager(true)}
+                      className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-full shadow-lg transition-transform duration-300 hover:scale-105"
+                      title="Manage devices"
+                    >
+                      <Settings className="w-6 h-6" />
+                    </button>
+                  </>
+                )}
+                <button
+                  onClick={() => setShowHomeConfig(true)}
+                  className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-full shadow-lg transition-transform duration-300 hover:scale-105"
+                  title="Back up or restore the home configuration"
+                >
+                  <FileJson className="w-6 h-6" />
+                </button>
+              </div>
             </div>
+            {devices.length === 0 ? (
+              <div className="bg-white/50 backdrop-blur-md rounded-2xl p-6 shadow-xl border border-white/20 text-center">
+                <p className="text-gray-500 italic mb-4">
+                  {canEditDevices ? 'No devices yet. Add your own or start from the demo home.' : 'No devices yet.'}
+                </p>
+                {canEditDevices && (
+                  <div className="flex justify-center gap-3">
+                    <button
+                      onClick={() => setShowDeviceManager(true)}
+                      className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-xl flex items-center gap-2"
+                    >
+                      <Plus className="w-4 h-4" /> Add a device
+                    </button>
+                    <button
+                      onClick={handleLoadDemoHome}
+                      className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl flex items-center gap-2"
+                    >
+                      <Home className="w-4 h-4" /> Load demo home
+                    </button>
+                  </div>
+                )}
+              </div>
+            ) : (
+              roomGroups.map(({ room, devices: roomDevices }) => (
+                <RoomSection key={room} room={room} devices={roomDevices} onRoomAction={handleRoomAction}>
+                  {roomDevices.map(device => (
+                    <DeviceCard
+                      key={device.id}
+                      device={device}
+                      command={getDeviceCommand(commands, device.id)}
+                      health={getDeviceHealth(device, now, deviceHealth.offlineMinutes)}
+                      now={now}
+                      onToggle={handleToggle}
+                      onSliderChange={handleSliderChange}
+                      onRetry={(commandId) => commandQueueRef.current.retry(commandId)}
+                      onDiscard={(commandId) => commandQueueRef.current.discard(commandId)}
+                    />
+                  ))}
+                </RoomSection>
+              ))
+            )}
           </section>
 
           <section>
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-2xl font-bold text-gray-800">Automation Rules</h2>
-              <button
-                onClick={() => setShowRuleModal(true)}
-                className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-full shadow-lg transition-transform duration-300 hover:scale-105"
-                title="Create new rule"
-              >
-                <Plus className="w-6 h-6" />
-              </button>
+              {canEditAutomations && (
+                <button
+                  onClick={() => openRuleModal()}
+                  className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-full shadow-lg transition-transform duration-300 hover:scale-105"
+                  title="Create new rule"
+                >
+                  <Plus className="w-6 h-6" />
+                </button>
+              )}
             </div>
             <div className="bg-white/50 backdrop-blur-md rounded-2xl p-4 shadow-xl border border-white/20">
               {rules.length === 0 ? (
-                <p className="text-gray-500 italic">No rules configured. Click the '+' button to add one.</p>
+                <p className="text-gray-500 italic">
+                  {canEditAutomations ? "No rules configured. Click the '+' button to add one." : 'No rules configured.'}
+                </p>
               ) : (
                 <ul className="space-y-4">
-                  {rules.map(rule => (
-                    <li key={rule.id} className="p-4 bg-white rounded-xl shadow-md border border-gray-100">
-                      <p className="text-lg font-semibold text-gray-800 mb-1">{rule.name}</p>
-                      <p className="text-sm text-gray-600">
-                        If <span className="font-bold">{devices.find(d => d.id === rule.triggerDevice)?.name || 'Device'}</span> is {rule.triggerCondition} <span className="font-bold">{rule.triggerValue}</span>, then set <span className="font-bold">{devices.find(d => d.id === rule.actionDevice)?.name || 'Device'}</span> to <span className="font-bold">{rule.actionValue}</span>.
-                      </p>
-                    </li>
-                  ))}
+                  {rules.map(rule => {
+                    const missingDevices = findMissingDevices(rule, energyDevices);
+                    const conditionDeviceIds = flattenConditions(getRuleConditions(rule)).map(c => c.deviceId);
+                    const offlineTriggers = offlineDevices.filter(device => conditionDeviceIds.includes(device.id));
+                    const isEnabled = rule.enabled !== false;
+                    return (
+                      <li key={rule.id} className={`p-4 bg-white rounded-xl shadow-md border ${missingDevices.length > 0 ? 'border-amber-300' : 'border-gray-100'} ${isEnabled ? '' : 'opacity-60'}`}>
+                        <div className="flex items-start justify-between gap-2 mb-1">
+                          <p className="text-lg font-semibold text-gray-800">
+                            {rule.name}
+                            {!isEnabled && <span className="ml-2 text-xs font-bold uppercase text-gray-500">Paused</span>}
+                          </p>
+                          {canEditAutomations && (
+                            <div className="flex items-center gap-2 flex-shrink-0">
+                              <button
+                                onClick={() => handleRuleEnabledToggle(rule)}
+                                className={`px-3 py-1 rounded-full text-xs font-bold transition-colors duration-300 ${
+                                  isEnabled ? 'bg-green-500 hover:bg-green-600 text-white' : 'bg-gray-300 hover:bg-gray-400 text-gray-700'
+                                }`}
+                                title={isEnabled ? 'Pause rule' : 'Resume rule'}
+                              >
+                                {isEnabled ? 'Enabled' : 'Disabled'}
+                              </button>
+                              <button onClick={() => openRuleModal(rule)} className="text-gray-500 hover:text-blue-600" title="Edit rule">
+                                <Pencil className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => handleRuleDuplicate(rule)} className="text-gray-500 hover:text-purple-600" title="Duplicate rule">
+                                <Copy className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => handleRuleDelete(rule)} className="text-gray-500 hover:text-red-600" title="Delete rule">
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-600">
+                          If <span className="font-bold">{describeConditions(getRuleConditions(rule), energyDevices)}</span>, then set <span className="font-bold">{describeActions(getRuleActions(rule), devices, scenes)}</span>.
+                        </p>
+                        {rule.modes?.length > 0 && (
+                          <p className={`mt-1 text-xs ${isActiveInMode(rule, houseMode) ? 'text-gray-500' : 'font-semibold text-purple-700'}`}>
+                            Only in {describeModes(rule.modes)} mode{!isActiveInMode(rule, houseMode) && ', so not running now'}.
+                          </p>
+                        )}
+                        {(rule.hysteresis > 0 || rule.cooldownSeconds > 0) && (
+                          <p className="mt-1 text-xs text-gray-500">
+                            {rule.hysteresis > 0 && `Hysteresis ±${rule.hysteresis}. `}
+                            {rule.cooldownSeconds > 0 && `Cooldown ${rule.cooldownSeconds}s.`}
+                          </p>
+                        )}
+                        {offlineTriggers.length > 0 && (
+                          <p className="mt-1 flex items-center gap-1 text-xs text-gray-500">
+                            <WifiOff className="w-4 h-4" />
+                            {offlineTriggers.map(device => device.name).join(', ')} {offlineTriggers.length === 1 ? 'is' : 'are'} offline, so {offlineTriggers.length === 1 ? 'its' : 'their'} readings are left out until {offlineTriggers.length === 1 ? 'it reports' : 'they report'} again.
+                          </p>
+                        )}
+                        {missingDevices.length > 0 && (
+                          <p className="mt-2 flex items-center gap-1 text-xs font-semibold text-amber-700">
+                            <AlertTriangle className="w-4 h-4" />
+                            Refers to {missingDevices.length === 1 ? 'a device' : `${missingDevices.length} devices`} that no longer exist ({missingDevices.join(', ')}). Edit the rule to fix it.
+                          </p>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+              {ruleRuns?.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-lg font-bold text-gray-800 mb-2">Recent Rule Runs</h3>
+                  <ul className="space-y-2">
+                    {ruleRuns.map(run => (
+                      <li key={run.id} className="flex items-start gap-2 text-sm text-gray-700">
+                        {run.result === 'error'
+                          ? <X className="w-4 h-4 mt-0.5 text-red-600 flex-shrink-0" />
+                          : <Check className="w-4 h-4 mt-0.5 text-green-600 flex-shrink-0" />}
+                        <div>
+                          <span className="text-gray-500">{formatTimestamp(run.timestamp)}</span>{' '}
+                          <span className="font-bold">{run.ruleName}</span>
+                          {run.result === 'noop' && ' (devices already set)'}
+                          {run.result === 'error' && ` failed: ${run.error}`}
+                          <p className="text-xs text-gray-500">
+                            Triggered by {(run.trigger || []).map(t =>
+                              `${devices.find(d => d.id === t.deviceId)?.name || t.deviceId} ${t.property} = ${t.value}`).join(', ')}
+                            {run.changes?.length > 0 && ` → ${run.changes.map(c =>
+                              `${devices.find(d => d.id === c.deviceId)?.name || c.deviceId} ${Object.entries(c.changes).map(([k, v]) => `${k}: ${v}`).join(', ')}`).join('; ')}`}
+                          </p>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </section>
+          <section className="mt-8">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-800">Schedules</h2>
+              {canEditAutomations && (
+                <button
+                  onClick={() => setShowScheduleModal(true)}
+                  className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-full shadow-lg transition-transform duration-300 hover:scale-105"
+                  title="Create new schedule"
+                >
+                  <Plus className="w-6 h-6" />
+                </button>
+              )}
+            </div>
+            <div className="bg-white/50 backdrop-blur-md rounded-2xl p-4 shadow-xl border border-white/20">
+              {schedules.length === 0 ? (
+                <p className="text-gray-500 italic">
+                  {canEditAutomations ? "No schedules yet. Click the '+' button to add one." : 'No schedules yet.'}
+                </p>
+              ) : (
+                <ul className="space-y-4">
+                  {schedules.map(schedule => {
+                    const isEnabled = schedule.enabled !== false;
+                    const nextRun = isEnabled ? getNextRun(schedule, now, homeLocation) : null;
+                    const TriggerIcon = schedule.trigger?.type === 'sun' ? Sun : schedule.trigger?.type === 'once' ? Timer : Clock;
+                    return (
+                      <li key={schedule.id} className={`p-4 bg-white rounded-xl shadow-md border border-gray-100 ${isEnabled ? '' : 'opacity-60'}`}>
+                        <div className="flex items-start justify-between gap-2 mb-1">
+                          <p className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+                            <TriggerIcon className={`w-5 h-5 ${schedule.trigger?.type === 'sun' ? 'text-amber-500' : 'text-purple-600'}`} />
+                            {schedule.name}
+                          </p>
+                          {canEditAutomations && (
+                            <div className="flex items-center gap-2 flex-shrink-0">
+                              <button
+                                onClick={() => handleScheduleEnabledToggle(schedule)}
+                                className={`px-3 py-1 rounded-full text-xs font-bold transition-colors duration-300 ${
+                                  isEnabled ? 'bg-green-500 hover:bg-green-600 text-white' : 'bg-gray-300 hover:bg-gray-400 text-gray-700'
+                                }`}
+                                title={isEnabled ? 'Pause schedule' : 'Resume schedule'}
+                              >
+                                {isEnabled ? 'Enabled' : 'Disabled'}
+                              </button>
+                              <button onClick={() => handleScheduleDelete(schedule)} className="text-gray-500 hover:text-red-600" title="Delete schedule">
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-600">
+                          {describeTrigger(schedule.trigger)},{' '}
+                          {schedule.mode && <>switch to <span className="font-bold">{getModeLabel(schedule.mode)}</span> mode{schedule.actions?.length > 0 && ' and '}</>}
+                          {schedule.actions?.length > 0 && <>set <span className="font-bold">{describeActions(schedule.actions, devices, scenes)}</span></>}.
+                        </p>
+                        <p className="mt-1 text-xs text-gray-500">
+                          {nextRun
+                            ? `Next run: ${nextRun.toLocaleString('en-US', { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`
+                            : 'No upcoming run.'}
+                          {schedule.lastRunAt && ` Last run: ${formatTimestamp(schedule.lastRunAt)}.`}
+                        </p>
+                      </li>
+                    );
+                  })}
                 </ul>
               )}
             </div>
@@ -500,56 +1475,205 @@ const App = () => {
 
         {/* Right Panel: Charts */}
         <div className="w-full md:w-2/5 lg:w-1/3 flex-shrink-0">
-          <div className="bg-white/50 backdrop-blur-md rounded-2xl shadow-xl p-6 border border-white/20 h-full flex flex-col">
+          <div className="bg-white/50 backdrop-blur-md rounded-2xl shadow-xl p-6 border border-white/20 flex flex-col">
             <h2 className="text-2xl font-bold mb-4 text-gray-800">Historical Data</h2>
-            <p className="text-sm text-gray-600 mb-6">Living Room Thermostat Temperature Over Time</p>
-            <div className="flex-1 min-h-[300px]">
-              {historyData.length > 0 ? (
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={historyData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
-                    <XAxis
-                      dataKey="timestamp"
-                      tickFormatter={formatTimestamp}
-                      angle={-45}
-                      textAnchor="end"
-                      height={50}
-                      tick={{ fill: '#4b5563', fontSize: 12 }}
-                      axisLine={{ stroke: '#d1d5db' }}
-                    />
-                    <YAxis
-                      label={{ value: '°F', angle: -90, position: 'insideLeft', style: { textAnchor: 'middle', fill: '#4b5563' } }}
-                      tick={{ fill: '#4b5563', fontSize: 12 }}
-                      axisLine={{ stroke: '#d1d5db' }}
-                    />
-                    <Tooltip
-                      labelFormatter={formatTimestamp}
-                      formatter={(value) => `${value}°F`}
-                      contentStyle={{ backgroundColor: 'rgba(255,255,255,0.8)', border: 'none', borderRadius: '10px' }}
-                    />
-                    <Line
-                      type="monotone"
-                      dataKey="value"
-                      stroke="#3b82f6"
-                      strokeWidth={3}
-                      dot={{ stroke: '#3b82f6', strokeWidth: 2, r: 4 }}
-                    />
-                  </LineChart>
-                </ResponsiveContainer>
-              ) : (
-                <div className="flex items-center justify-center h-full text-gray-500 italic">
-                  <span className="animate-pulse">Loading historical data...</span>
-                </div>
-              )}
-            </div>
+            <p className="text-sm text-gray-600 mb-6">Overlay device readings over a time range.</p>
+            <HistoryExplorer store={store} devices={devices} retention={historyRetention} offlineMinutes={deviceHealth.offlineMinutes} now={now} />
+          </div>
+          <div className="bg-white/50 backdrop-blur-md rounded-2xl shadow-xl p-6 border border-white/20 mt-8">
+            <h2 className="text-2xl font-bold mb-4 text-gray-800">Energy</h2>
+            <p className="text-sm text-gray-600 mb-6">Power draw, usage and cost per room and device.</p>
+            <EnergyPanel store={store} devices={devices} tariff={energyTariff} />
+          </div>
+          <div className="bg-white/50 backdrop-blur-md rounded-2xl shadow-xl p-6 border border-white/20 mt-8">
+            <h2 className="text-2xl font-bold mb-4 text-gray-800">Activity</h2>
+            <p className="text-sm text-gray-600 mb-6">Every device change and what made it, with undo.</p>
+            <ActivityFeed store={store} devices={devices} onUndo={handleUndo} />
           </div>
         </div>
 
       </div>
 
-      {showRuleModal && renderRuleModal()}
+      {showRuleModal && (
+        <RuleModal
+          store={store}
+          devices={devices}
+          scenes={scenes}
+          rules={rules}
+          retention={historyRetention}
+          initialRule={editingRule}
+          onSubmit={handleRuleSubmit}
+          onCancel={closeRuleModal}
+        />
+      )}
+      {showScheduleModal && (
+        <ScheduleModal
+          devices={devices}
+          scenes={scenes}
+          location={homeLocation}
+          onSubmit={handleScheduleSubmit}
+          onCancel={() => setShowScheduleModal(false)}
+        />
+      )}
+      {showDeviceManager && (
+        <DeviceManagerModal
+          devices={devices}
+          rooms={rooms}
+          onAdd={handleDeviceAdd}
+          onUpdate={handleDeviceUpdate}
+          onMove={handleDeviceMove}
+          onDelete={can(role, 'deleteDevices') ? handleDeviceDelete : null}
+          onLoadDemo={handleLoadDemoHome}
+          bridgePrefix={deviceBridge?.prefix}
+          onClose={() => setShowDeviceManager(false)}
+        />
+      )}
+      {showRoomManager && (
+        <RoomManagerModal
+          rooms={rooms}
+          devices={devices}
+          onCreate={handleRoomCreate}
+          onRename={handleRoomRename}
+          onDelete={handleRoomDelete}
+          onClose={() => setShowRoomManager(false)}
+        />
+      )}
+      {showModeSettings && (
+        <HouseModeModal
+          devices={devices}
+          scenes={scenes}
+          modeDocs={modeDocs}
+          initialMode={houseMode || DEFAULT_MODE}
+          onSubmit={handleModeDefaultsSubmit}
+          onClose={() => setShowModeSettings(false)}
+        />
+      )}
+      {showSceneModal && (
+        <SceneModal devices={devices} onSubmit={handleSceneSubmit} onCancel={() => setShowSceneModal(false)} />
+      )}
+      {showNotificationCenter && (
+        <NotificationCenter
+          notifications={notifications}
+          alerts={alerts}
+          devices={energyDevices}
+          rules={rules}
+          canEditAlerts={canEditAutomations}
+          browserDelivery={browserDelivery}
+          onBrowserDeliveryChange={handleBrowserDeliveryChange}
+          onClear={handleNotificationsClear}
+          onAlertAdd={handleAlertAdd}
+          onAlertToggle={handleAlertToggle}
+          onAlertDelete={handleAlertDelete}
+          onClose={closeNotificationCenter}
+        />
+      )}
+
+      {showHomeConfig && (
+        <HomeConfigModal
+          current={{ devices, roomDocs, scenes, modes: modeDocs, rules, schedules, alerts }}
+          appId={appId}
+          location={homeLocation}
+          canImport={canEditDevices && canEditAutomations}
+          canReplace={can(role, 'deleteDevices')}
+          onApply={handleConfigImport}
+          onClose={() => setShowHomeConfig(false)}
+        />
+      )}
+
+      {showHousehold && (
+        <HouseholdModal
+          home={home}
+          members={members}
+          userId={userId}
+          role={role}
+          onRename={handleHomeRename}
+          onMemberNameChange={handleMemberNameChange}
+          onMemberRoleChange={handleMemberRoleChange}
+          onMemberRemove={handleMemberRemove}
+          onCreateInvite={handleInviteCreate}
+          onJoin={handleHomeJoin}
+          onCreateHome={handleHomeCreate}
+          onLeave={handleHomeLeave}
+          onClose={() => setShowHousehold(false)}
+        />
+      )}
+
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
     </div>
   );
 };
 
+// Main App Component
+// Signs in, makes sure the user has a home (their data from before households moves into
+// their first one), and opens the last home they used. Each home gets its own dashboard,
+// keyed by its ID, so switching homes starts from a clean slate.
+const App = () => {
+  const [session, setSession] = useState(null);
+  const [authError, setAuthError] = useState(false);
+  const [memberships, setMemberships] = useState(null);
+  const [homeId, setHomeId] = useState(null);
+
+  // 1. Authentication and Initialization
+  // This useEffect runs once on component mount to sign in against the configured backend.
+  useEffect(() => {
+    const initializeAppAndAuth = async () => {
+      try {
+        const uid = await storage.signIn();
+        const appStore = storage.scoped(appScope(appId));
+        if ((await appStore.list(membershipsPath(uid))).length === 0) await createFirstHome(appStore, uid);
+        setSession({ userId: uid, appStore, userStore: storage.scoped(userScope(appId, uid)) });
+      } catch (e) {
+        console.error("Error during authentication:", e);
+        setAuthError(true);
+      }
+    };
+    initializeAppAndAuth();
+  }, []);
+
+  // Listen for the homes the user belongs to.
+  useEffect(() => {
+    if (!session) return;
+    return session.userStore.subscribe(MEMBERSHIPS_COLLECTION, setMemberships);
+  }, [session]);
+
+  // Open the last home used once the user's homes have loaded.
+  useEffect(() => {
+    if (!memberships || homeId) return;
+    setHomeId(pickHome(memberships, getLastHome()));
+  }, [memberships, homeId]);
+
+  const selectHome = useCallback((id) => {
+    setLastHome(id);
+    setHomeId(id);
+  }, []);
+
+  // Opens another of the user's homes once they left, or lost access to, the open one.
+  const leaveHome = useCallback((id) => {
+    const others = memberships.filter(m => m.id !== id);
+    setHomeId(pickHome(others, getLastHome()));
+  }, [memberships]);
+
+  if (!session || !homeId) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-100 to-gray-200 font-sans text-gray-500 flex items-center justify-center">
+        <p className={authError ? 'text-red-600' : 'italic animate-pulse'}>
+          {authError ? 'Could not sign in. Check the connection and reload the page.' : 'Opening your home...'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <HomeDashboard
+      key={homeId}
+      homeId={homeId}
+      memberships={memberships}
+      onSelectHome={selectHome}
+      onLeaveHome={leaveHome}
+      {...session}
+    />
+  );
+};
+
 export default App;
 
@@ -0,0 +1,124 @@
+import { getPropertyDefinition } from '../devices/registry.js';
+
+// Device state audit log.
+// Every write that changes device state goes through `planStateWrites`, which adds one
+// entry per changed property to the `audit` collection in the same batch as the change:
+//   { changeId, deviceId, property, oldValue, newValue, timestamp,
+//     source, sourceName, actorId, undone }
+// `source` is what made the change (see AUDIT_SOURCES) and `sourceName` names it, e.g. the
+// rule or schedule. `actorId` is the user whose dashboard wrote it: the person, or for
+// rules, schedules and device reports the member running the hub. Entries written together
+// share a `changeId`, so a rule or scene that changed several devices is undone as one change.
+
+export const AUDIT_COLLECTION = 'audit';
+
+export const AUDIT_SOURCES = [
+  { value: 'user', label: 'People' },
+  { value: 'rule', label: 'Rules' },
+  { value: 'schedule', label: 'Schedules' },
+  { value: 'scene', label: 'Scenes' },
+  { value: 'room', label: 'Room actions' },
+  { value: 'mode', label: 'House modes' },
+  { value: 'simulator', label: 'Simulator' },
+  { value: 'bridge', label: 'Device bridge' },
+  { value: 'undo', label: 'Undo' },
+];
+
+// The change sources for people's edits, named after the member, and for devices reporting
+// their state. Sources are `{ type, name, actorId }`; these get their `actorId` where
+// they're used.
+export const USER_SOURCE = { type: 'user', name: null };
+export const SIMULATOR_SOURCE = { type: 'simulator', name: null };
+export const BRIDGE_SOURCE = { type: 'bridge', name: null };
+
+// Audit entries older than this are pruned.
+export const AUDIT_RETENTION_DAYS = 7;
+const PRUNE_BATCH_SIZE = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createChangeId = (timestamp) => `${timestamp.getTime()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Builds the writes for per-device changes `[{ deviceId, changes, previous }]`, where
+// `previous` holds the values being replaced: the device updates, and an audit entry for
+// every property whose value actually changes. `extraData` is written to the devices
+// along with the changes but not audited, like a report's `lastSeen`.
+export const planStateWrites = (deviceChanges, source, timestamp = new Date(), extraData = {}) => {
+  const changeId = createChangeId(timestamp);
+  return deviceChanges.flatMap(({ deviceId, changes, previous = {} }) => [
+    { type: 'update', name: 'devices', id: deviceId, data: { ...changes, ...extraData } },
+    ...Object.entries(changes)
+      .filter(([property, value]) => previous[property] !== value)
+      .map(([property, value]) => ({
+        type: 'set',
+        name: AUDIT_COLLECTION,
+        id: `${changeId}_${deviceId}_${property}`,
+        data: {
+          changeId,
+          deviceId,
+          property,
+          oldValue: previous[property] ?? null,
+          newValue: value,
+          timestamp,
+          source: source.type,
+          sourceName: source.name || null,
+          actorId: source.actorId || null,
+          undone: false,
+        },
+      })),
+  ]);
+};
+
+// Builds the query for the activity feed, newest first, optionally for one device or source.
+export const buildAuditQuery = ({ deviceId, source, limit }) => ({
+  filters: [
+    ...(deviceId ? [['deviceId', '==', deviceId]] : []),
+    ...(source ? [['source', '==', source]] : []),
+  ],
+  orderBy: ['timestamp', 'desc'],
+  limit,
+});
+
+// Returns true when an entry's change can be undone: it hasn't been already, and it set a
+// controllable property of a device that still exists. Sensor readings can't be undone.
+export const canUndo = (entry, devices) => {
+  const device = devices.find(d => d.id === entry.deviceId);
+  return !entry.undone && entry.oldValue !== null && Boolean(getPropertyDefinition(device, entry.property)?.controllable);
+};
+
+// Plans undoing a change: every entry of the change that can still be undone sets its
+// property back to the old value. Properties changed again since then are left alone,
+// so an undo never overwrites a newer change.
+// Returns `{ changes, undone, skipped }` where `undone` are the entries being reverted.
+export const planUndo = (changeEntries, devices) => {
+  const undone = [];
+  let skipped = 0;
+  const changesByDevice = {};
+  changeEntries.forEach(entry => {
+    const device = devices.find(d => d.id === entry.deviceId);
+    if (!canUndo(entry, devices) || device[entry.property] !== entry.newValue) {
+      if (!entry.undone) skipped++;
+      return;
+    }
+    undone.push(entry);
+    const deviceChange = changesByDevice[entry.deviceId] || { deviceId: entry.deviceId, changes: {}, previous: {} };
+    deviceChange.changes[entry.property] = entry.oldValue;
+    deviceChange.previous[entry.property] = entry.newValue;
+    changesByDevice[entry.deviceId] = deviceChange;
+  });
+  return { changes: Object.values(changesByDevice), undone, skipped };
+};
+
+// Builds the writes that mark audit entries as undone.
+export const planMarkUndone = (entries) =>
+  entries.map(entry => ({ type: 'update', name: AUDIT_COLLECTION, id: entry.id, data: { undone: true } }));
+
+// Deletes audit entries past the retention window, a batch at a time.
+export const pruneAuditLog = async (store, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - AUDIT_RETENTION_DAYS * DAY_MS);
+  const expired = await store.list(AUDIT_COLLECTION, { filters: [['timestamp', '<', cutoff]], limit: PRUNE_BATCH_SIZE });
+  if (expired.length > 0) {
+    await store.batch(expired.map(entry => ({ type: 'remove', name: AUDIT_COLLECTION, id: entry.id })));
+  }
+  return expired.length;
+};
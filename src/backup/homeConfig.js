@@ -0,0 +1,324 @@
+import { DEVICE_TYPES, getDeviceType } from '../devices/registry.js';
+import { sortDevices } from '../devices/management.js';
+import { getRooms } from '../rooms/rooms.js';
+import { getRuleConditions, validateConditions } from '../rules/engine.js';
+import { getRuleActions, validateActions } from '../rules/actions.js';
+import { validateTrigger } from '../schedules/scheduler.js';
+import { validateAlert } from '../notifications/alerts.js';
+import { HOME_METER } from '../energy/energy.js';
+import { HOUSE_MODES } from '../modes/modes.js';
+import { HEALTH_FIELDS } from '../devices/health.js';
+
+// Home configuration export and import.
+// The whole configuration is exported as one versioned JSON document:
+//   { format: 'smart-home-config', version, exportedAt, rooms: [name],
+//     devices, scenes, modes, rules, schedules, alerts }
+// where every document keeps its ID, so references between them (rule conditions and
+// actions, scene, mode default and schedule actions, alerts) stay intact. `modes` holds the
+// default device states of the house modes; the current mode isn't exported. History isn't exported;
+// devices carry their current state.
+//
+// An import is validated as a whole before anything is written, then planned as either:
+//   merge    imported documents update the ones they match (devices by ID or by name,
+//            room and type; everything else by name) and the rest are added
+//   replace  the current configuration is removed and the imported one written as is
+// Documents written under a different ID than they were exported with, because they
+// matched an existing document or their ID was taken, are remapped everywhere they're
+// referenced.
+
+export const HOME_CONFIG_FORMAT = 'smart-home-config';
+export const HOME_CONFIG_VERSION = 1;
+
+// Collections in import order: every collection only refers to the ones before it.
+const COLLECTIONS = ['devices', 'scenes', 'modes', 'rules', 'schedules', 'alerts'];
+
+// Fields the legacy single-trigger rule format used, replaced by `conditions` and `actions`.
+const LEGACY_RULE_FIELDS = ['triggerDevice', 'triggerCondition', 'triggerValue', 'actionDevice', 'actionType', 'actionValue'];
+
+const omit = (doc, fields) => Object.fromEntries(Object.entries(doc).filter(([key]) => !fields.includes(key)));
+
+// Reduces each document to its configuration: runtime fields like when a device was last
+// seen and its signal, its position in the list or when a schedule last ran aren't part of it.
+const CONFIG_FIELDS = {
+  devices: (device) => omit(device, ['id', 'lastSeen', 'order', ...HEALTH_FIELDS]),
+  scenes: (scene) => omit(scene, ['id']),
+  modes: (mode) => omit(mode, ['id']),
+  rules: (rule) => ({ ...omit(rule, ['id', ...LEGACY_RULE_FIELDS]), conditions: getRuleConditions(rule), actions: getRuleActions(rule) }),
+  schedules: (schedule) => omit(schedule, ['id', 'lastRunAt', 'createdAt']),
+  alerts: (alert) => omit(alert, ['id']),
+};
+
+// Builds the export document of the current configuration.
+export const buildHomeExport = ({ devices, roomDocs, scenes, modes, rules, schedules, alerts }, exportedAt = new Date()) => {
+  const current = { devices: sortDevices(devices), scenes, modes, rules, schedules, alerts };
+  return {
+    format: HOME_CONFIG_FORMAT,
+    version: HOME_CONFIG_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    rooms: getRooms(devices, roomDocs),
+    ...Object.fromEntries(COLLECTIONS.map(name =>
+      [name, current[name].map(doc => ({ id: doc.id, ...CONFIG_FIELDS[name](doc) }))])),
+  };
+};
+
+// Checks a device's state values against its type's property definitions.
+const validateDeviceState = (device) => {
+  const properties = getDeviceType(device)?.properties || {};
+  for (const [property, definition] of Object.entries(properties)) {
+    const value = device[property];
+    if (value === undefined) continue;
+    if (definition.kind === 'boolean' && typeof value !== 'boolean') return `${property} must be true or false.`;
+    if (definition.kind === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${property} must be a number.`;
+      if (value < (definition.min ?? -Infinity) || value > (definition.max ?? Infinity)) {
+        return `${property} must be between ${definition.min} and ${definition.max}.`;
+      }
+    }
+  }
+  return null;
+};
+
+const flattenConditions = (node) =>
+  Array.isArray(node?.conditions) ? node.conditions.flatMap(flattenConditions) : [node];
+
+// Conditions and alerts may also watch the whole-home energy meter, which isn't exported.
+const isKnownDevice = (devices, deviceId) => deviceId === HOME_METER.id || devices.some(d => d.id === deviceId);
+
+const isHouseMode = (mode) => HOUSE_MODES.some(m => m.value === mode);
+
+// Checks the house modes a rule or scene is limited to.
+const validateModes = (modes) => {
+  if (modes === undefined) return null;
+  if (!Array.isArray(modes) || !modes.every(isHouseMode)) return 'modes must be a list of house modes.';
+  return null;
+};
+
+// Validates a parsed export document. Every document is checked on its own and against
+// the rest of the import, so references to devices, scenes and rules that aren't in it
+// are reported too. Returns a list of error messages, empty when the import is valid.
+export const validateHomeConfig = (config, location) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['The file is not a home configuration.'];
+  if (config.format !== HOME_CONFIG_FORMAT) return [`The file is not a home configuration (format "${config.format}").`];
+  if (!Number.isInteger(config.version) || config.version < 1) return ['The configuration has no valid version.'];
+  if (config.version > HOME_CONFIG_VERSION) {
+    return [`The configuration is version ${config.version}, newer than this dashboard supports (${HOME_CONFIG_VERSION}).`];
+  }
+
+  const errors = [];
+  if (config.rooms !== undefined && (!Array.isArray(config.rooms) || config.rooms.some(room => typeof room !== 'string'))) {
+    errors.push('rooms must be a list of room names.');
+  }
+  COLLECTIONS.forEach(name => {
+    if (config[name] === undefined) return;
+    if (!Array.isArray(config[name])) {
+      errors.push(`${name} must be a list.`);
+      return;
+    }
+    const ids = new Set();
+    config[name].forEach((doc, index) => {
+      const label = `${name}[${index}]`;
+      if (!doc || typeof doc !== 'object') errors.push(`${label} must be an object.`);
+      else if (typeof doc.id !== 'string' || !doc.id) errors.push(`${label} has no id.`);
+      else if (ids.has(doc.id)) errors.push(`${label} repeats the id "${doc.id}".`);
+      else ids.add(doc.id);
+      if (doc && typeof doc.name !== 'string') errors.push(`${label} has no name.`);
+    });
+  });
+  if (errors.length > 0) return errors;
+
+  const { devices = [], scenes = [], modes = [], rules = [], schedules = [], alerts = [] } = config;
+  const check = (label, error) => error && errors.push(`${label}: ${error}`);
+
+  devices.forEach((device, index) => {
+    const label = `devices[${index}] "${device.name}"`;
+    if (typeof device.type !== 'string' || !DEVICE_TYPES[device.type]) check(label, `unknown device type "${device.type}".`);
+    else check(label, validateDeviceState(device));
+  });
+  scenes.forEach((scene, index) => {
+    const label = `scenes[${index}] "${scene.name}"`;
+    check(label, validateActions(scene.actions, devices) || validateModes(scene.modes));
+  });
+  modes.forEach((mode, index) => {
+    const label = `modes[${index}] "${mode.name}"`;
+    if (!isHouseMode(mode.id)) check(label, `unknown house mode "${mode.id}".`);
+    else if (!Array.isArray(mode.actions)) check(label, 'actions must be a list.');
+    else if (mode.actions.length > 0) check(label, validateActions(mode.actions, devices, scenes));
+  });
+  rules.forEach((rule, index) => {
+    const label = `rules[${index}] "${rule.name}"`;
+    const conditions = getRuleConditions(rule);
+    check(label, validateModes(rule.modes));
+    check(label, validateConditions(conditions));
+    if (flattenConditions(conditions).some(c => !isKnownDevice(devices, c.deviceId))) {
+      check(label, 'a condition refers to a device that is not in the file.');
+    }
+    check(label, validateActions(getRuleActions(rule), devices, scenes));
+  });
+  schedules.forEach((schedule, index) => {
+    const label = `schedules[${index}] "${schedule.name}"`;
+    if (schedule.mode !== undefined && !isHouseMode(schedule.mode)) check(label, `unknown house mode "${schedule.mode}".`);
+    // A schedule that switches the house mode needn't set anything else.
+    const switchesModeOnly = isHouseMode(schedule.mode) && Array.isArray(schedule.actions) && schedule.actions.length === 0;
+    check(label, validateTrigger(schedule.trigger, location) || (switchesModeOnly ? null : validateActions(schedule.actions, devices, scenes)));
+  });
+  alerts.forEach((alert, index) => {
+    const label = `alerts[${index}] "${alert.name}"`;
+    check(label, validateAlert(alert));
+    if (alert.deviceId && !isKnownDevice(devices, alert.deviceId)) check(label, 'it watches a device that is not in the file.');
+    if (alert.ruleId && !rules.some(r => r.id === alert.ruleId)) check(label, 'it watches a rule that is not in the file.');
+  });
+  return errors;
+};
+
+// Parses and validates the text of an export file. Returns `{ config, errors }`.
+export const parseHomeConfig = (text, location) => {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    return { config: null, errors: [`The file is not valid JSON: ${e.message}`] };
+  }
+  return { config, errors: validateHomeConfig(config, location) };
+};
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+// Finds the existing document an imported one updates when merging.
+const MERGE_MATCHERS = {
+  devices: (device, candidates) =>
+    candidates.find(c => c.id === device.id && c.type === device.type)
+    || candidates.find(c => normalizeName(c.name) === normalizeName(device.name)
+      && normalizeName(c.room) === normalizeName(device.room) && c.type === device.type),
+  // A mode's defaults are stored under the mode itself.
+  modes: (mode, candidates) => candidates.find(c => c.id === mode.id),
+  default: (doc, candidates) => candidates.find(c => normalizeName(c.name) === normalizeName(doc.name)),
+};
+
+// Rewrites the IDs a document refers to through the ID maps of the collections before it.
+const remapConditions = (node, deviceIds) => (Array.isArray(node?.conditions)
+  ? { ...node, conditions: node.conditions.map(child => remapConditions(child, deviceIds)) }
+  : { ...node, deviceId: deviceIds[node.deviceId] ?? node.deviceId });
+
+const remapActions = (actions = [], ids) => actions.map(action => {
+  if (action.sceneId) return { ...action, sceneId: ids.scenes[action.sceneId] ?? action.sceneId };
+  if (action.deviceId) return { ...action, deviceId: ids.devices[action.deviceId] ?? action.deviceId };
+  return action;
+});
+
+const REMAP_REFERENCES = {
+  devices: (device) => device,
+  scenes: (scene, ids) => ({ ...scene, actions: remapActions(scene.actions, ids) }),
+  modes: (mode, ids) => ({ ...mode, actions: remapActions(mode.actions, ids) }),
+  rules: (rule, ids) => ({
+    ...rule,
+    conditions: remapConditions(getRuleConditions(rule), ids.devices),
+    actions: remapActions(getRuleActions(rule), ids),
+  }),
+  schedules: (schedule, ids) => ({ ...schedule, actions: remapActions(schedule.actions, ids) }),
+  alerts: (alert, ids) => ({
+    ...alert,
+    ...(alert.deviceId ? { deviceId: ids.devices[alert.deviceId] ?? alert.deviceId } : {}),
+    ...(alert.ruleId ? { ruleId: ids.rules[alert.ruleId] ?? alert.ruleId } : {}),
+  }),
+};
+
+// Compares two configurations regardless of key order.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Picks the ID a new document is written under: its exported ID unless that's taken.
+const claimId = (id, taken) => {
+  let candidate = id;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${id}-${n}`;
+  taken.add(candidate);
+  return candidate;
+};
+
+// Runtime fields kept from the document an import overwrites, or set on a new one.
+const RUNTIME_FIELDS = {
+  devices: (existing, order) => ({
+    order: existing ? existing.order : order,
+    ...(existing?.lastSeen && { lastSeen: existing.lastSeen }),
+    ...Object.fromEntries(HEALTH_FIELDS.filter(field => existing?.[field] !== undefined).map(field => [field, existing[field]])),
+  }),
+  schedules: (existing) => ({ createdAt: existing?.createdAt || new Date(), lastRunAt: existing?.lastRunAt || null }),
+};
+
+const emptyChanges = () => ({ added: [], updated: [], unchanged: [], removed: [] });
+
+// Plans an import of a validated configuration into the current one (`{ devices, roomDocs,
+// scenes, modes, rules, schedules, alerts }`) in 'merge' or 'replace' mode. Returns:
+//   operations  the batch writes that apply the import
+//   changes     per collection, the names of the documents added, updated, unchanged and removed
+//   remapped    the imported documents written under another ID, as `{ collection, name, from, to }`
+export const planHomeImport = (config, current, mode) => {
+  const ids = {};
+  const changes = {};
+  const remapped = [];
+  const operations = [];
+
+  COLLECTIONS.forEach(name => {
+    const imported = config[name] || [];
+    const existing = current[name];
+    const matchDoc = MERGE_MATCHERS[name] || MERGE_MATCHERS.default;
+    const taken = new Set(mode === 'merge' ? existing.map(doc => doc.id) : []);
+    const matched = new Set();
+    ids[name] = {};
+    changes[name] = emptyChanges();
+
+    // Match every imported document first, so references within the collection resolve.
+    const targets = imported.map(doc => {
+      const candidates = existing.filter(c => !matched.has(c.id));
+      const match = mode === 'merge' ? matchDoc(doc, candidates) : existing.find(c => c.id === doc.id);
+      if (match) matched.add(match.id);
+      const id = mode === 'merge' && match ? match.id : claimId(doc.id, taken);
+      ids[name][doc.id] = id;
+      if (id !== doc.id) remapped.push({ collection: name, name: doc.name, from: doc.id, to: id });
+      return { doc, id, match };
+    });
+
+    // New devices go after the existing ones.
+    targets.forEach(({ doc, id, match }, index) => {
+      const data = CONFIG_FIELDS[name](REMAP_REFERENCES[name](doc, ids));
+      const kind = !match ? 'added' : stableStringify(CONFIG_FIELDS[name](match)) === stableStringify(data) ? 'unchanged' : 'updated';
+      changes[name][kind].push(doc.name);
+      if (kind === 'unchanged') return;
+      const runtime = RUNTIME_FIELDS[name]?.(match, existing.length + index) || {};
+      operations.push({ type: 'set', name, id, data: { ...data, ...runtime } });
+    });
+
+    if (mode === 'replace') {
+      existing.filter(doc => !imported.some(i => i.id === doc.id)).forEach(doc => {
+        changes[name].removed.push(doc.name);
+        operations.push({ type: 'remove', name, id: doc.id });
+      });
+    }
+  });
+
+  // Rooms without devices are kept as room documents; a replace drops the ones not in the import.
+  const currentRooms = getRooms(current.devices, current.roomDocs);
+  const importedRooms = config.rooms || [];
+  const takenRoomIds = new Set(current.roomDocs.map(r => r.id));
+  changes.rooms = emptyChanges();
+  importedRooms.forEach(room => {
+    changes.rooms[currentRooms.includes(room) ? 'unchanged' : 'added'].push(room);
+    const needsDoc = !(config.devices || []).some(d => d.room === room) && !current.roomDocs.some(r => r.name === room);
+    if (needsDoc) {
+      const id = claimId(`room-${normalizeName(room).replace(/[^a-z0-9]+/g, '-')}`, takenRoomIds);
+      operations.push({ type: 'set', name: 'rooms', id, data: { name: room } });
+    }
+  });
+  if (mode === 'replace') {
+    currentRooms.filter(room => !importedRooms.includes(room)).forEach(room => changes.rooms.removed.push(room));
+    current.roomDocs.filter(r => !importedRooms.includes(r.name))
+      .forEach(r => operations.push({ type: 'remove', name: 'rooms', id: r.id }));
+  }
+
+  return { operations, changes, remapped };
+};
@@ -0,0 +1,127 @@
+import { getDeviceType } from '../devices/registry.js';
+import { applyDeviceReport } from '../devices/reports.js';
+import { parseHealthReport } from '../devices/health.js';
+import { BRIDGE_SOURCE } from '../audit/audit.js';
+
+// Device bridge: connects devices marked `bridged` to physical or emulated hardware over a
+// message transport (MQTT or a WebSocket stand-in, see transports.js).
+// Every bridged device has a topic `<prefix>/<room>/<device id>`:
+//   <topic>/state  the device publishes JSON state reports, e.g. {"isOn": true, "brightness": 80},
+//                  optionally with its link quality as `signal` (%) or `linkquality` (0–255)
+//   <topic>/set    the dashboard publishes JSON commands with the properties to change
+// Reports are accepted on any room segment, so a device keeps working after it's moved.
+
+// Turns a room name into a topic segment, e.g. "Living Room" -> "living-room".
+export const slugify = (name) =>
+  (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'unassigned';
+
+// Returns the base topic of a device.
+export const getDeviceTopic = (device, prefix) => `${prefix}/${slugify(device.room)}/${device.id}`;
+
+// Splits a topic into `{ room, deviceId, channel }`, or null if it isn't a device topic.
+export const parseTopic = (topic, prefix) => {
+  const segments = topic.split('/');
+  const prefixSegments = prefix.split('/');
+  if (segments.length !== prefixSegments.length + 3) return null;
+  if (prefixSegments.some((segment, i) => segments[i] !== segment)) return null;
+  const [room, deviceId, channel] = segments.slice(prefixSegments.length);
+  return { room, deviceId, channel };
+};
+
+// Converts a reported value to the property's kind, or null if it can't be.
+// Booleans also accept "on"/"off", "true"/"false" and 1/0, as common firmware sends them.
+const coerceValue = (definition, value) => {
+  if (definition.kind === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).toLowerCase();
+    if (['on', 'true', '1'].includes(text)) return true;
+    if (['off', 'false', '0'].includes(text)) return false;
+    return null;
+  }
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+  return Math.min(definition.max ?? Infinity, Math.max(definition.min ?? -Infinity, number));
+};
+
+// Extracts the readings of a state report for a device's known properties.
+// Unknown properties and values of the wrong kind are dropped.
+export const parseStateReport = (device, payload) => {
+  const properties = getDeviceType(device)?.properties || {};
+  if (!payload || typeof payload !== 'object') return {};
+  return Object.fromEntries(Object.entries(payload).flatMap(([property, value]) => {
+    const definition = properties[property];
+    const coerced = definition ? coerceValue(definition, value) : null;
+    return coerced === null ? [] : [[property, coerced]];
+  }));
+};
+
+// Compares two device snapshots and returns the commands to send as `[{ device, changes }]`:
+// the controllable properties of bridged devices that changed. Changes matching what the
+// device has reported since the last command for that property came from the device itself
+// and aren't echoed back.
+export const planBridgeCommands = (previous, next, lastReported) => {
+  const previousById = new Map(previous.map(device => [device.id, device]));
+  return next.flatMap(device => {
+    const before = previousById.get(device.id);
+    if (!device.bridged || !before) return [];
+    const reported = lastReported[device.id] || {};
+    const changes = Object.fromEntries(Object.entries(getDeviceType(device)?.properties || {})
+      .filter(([property, definition]) => definition.controllable
+        && device[property] !== before[property]
+        && device[property] !== reported[property])
+      .map(([property]) => [property, device[property]]));
+    return Object.keys(changes).length > 0 ? [{ device, changes }] : [];
+  });
+};
+
+// Starts the device bridge over the given transport. State reports from bridged devices
+// are applied to the devices and history collections; `handleDevices` is given every
+// device snapshot and publishes commands for the changes made in the dashboard, whether
+// by a user, a rule, a scene or a schedule. Reports are audited as written by `actorId`.
+// Returns `{ handleDevices, close }`.
+export const createDeviceBridge = ({ transport, store, getDevices, actorId, prefix = 'home', onStatusChange = () => {} }) => {
+  const source = { ...BRIDGE_SOURCE, actorId };
+  const lastReported = {};
+  let previousDevices = null;
+
+  const handleMessage = (topic, message) => {
+    const target = parseTopic(topic, prefix);
+    if (!target || target.channel !== 'state') return;
+    const device = getDevices().find(d => d.id === target.deviceId && d.bridged);
+    if (!device) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(message);
+    } catch (e) {
+      console.error(`Invalid state report on ${topic}:`, e);
+      return;
+    }
+    const readings = parseStateReport(device, payload);
+    lastReported[device.id] = { ...lastReported[device.id], ...readings };
+    applyDeviceReport(store, device, readings, new Date(), source, parseHealthReport(payload));
+  };
+
+  transport.connect({ onMessage: handleMessage, onStatus: onStatusChange })
+    .then(() => transport.subscribe(`${prefix}/+/+/state`))
+    .catch(e => {
+      console.error("Error connecting the device bridge:", e);
+      onStatusChange('disconnected');
+    });
+
+  const handleDevices = (devices) => {
+    if (previousDevices) {
+      planBridgeCommands(previousDevices, devices, lastReported).forEach(({ device, changes }) => {
+        transport.publish(`${getDeviceTopic(device, prefix)}/set`, JSON.stringify(changes));
+        // Older reports no longer describe these properties, so switching one back to its
+        // reported value is a command too.
+        const reported = { ...lastReported[device.id] };
+        Object.keys(changes).forEach(property => delete reported[property]);
+        lastReported[device.id] = reported;
+      });
+    }
+    previousDevices = devices;
+  };
+
+  return { handleDevices, close: () => transport.close() };
+};
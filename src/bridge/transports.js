@@ -0,0 +1,99 @@
+// Message transports for the device bridge. Both expose the same shape:
+//   connect({ onMessage(topic, message), onStatus(status) }) -> Promise
+//   subscribe(topicFilter), publish(topic, message), close()
+// where messages are strings and status is 'connecting', 'connected' or 'disconnected'.
+// Both reconnect on their own after the connection drops.
+
+// Delay before reconnecting after the connection drops.
+const RECONNECT_MS = 5000;
+
+// Checks a topic against an MQTT topic filter with `+` and `#` wildcards.
+export const matchesTopic = (filter, topic) => {
+  const filterSegments = filter.split('/');
+  const topicSegments = topic.split('/');
+  for (let i = 0; i < filterSegments.length; i++) {
+    if (filterSegments[i] === '#') return true;
+    if (i >= topicSegments.length) return false;
+    if (filterSegments[i] !== '+' && filterSegments[i] !== topicSegments[i]) return false;
+  }
+  return filterSegments.length === topicSegments.length;
+};
+
+// MQTT over WebSockets, e.g. to a local Mosquitto broker with a websockets listener
+// (url like ws://localhost:9001). The MQTT client is loaded only when this transport is used.
+export const createMqttTransport = ({ url, username, password }) => {
+  let client = null;
+  let closed = false;
+
+  return {
+    connect: async ({ onMessage, onStatus }) => {
+      onStatus('connecting');
+      const { default: mqtt } = await import('mqtt');
+      if (closed) return;
+      client = mqtt.connect(url, { username, password, reconnectPeriod: RECONNECT_MS });
+      client.on('connect', () => onStatus('connected'));
+      client.on('reconnect', () => onStatus('connecting'));
+      client.on('close', () => onStatus('disconnected'));
+      client.on('error', (e) => console.error("Device bridge error:", e));
+      client.on('message', (topic, message) => onMessage(topic, message.toString()));
+    },
+    subscribe: (filter) => client?.subscribe(filter),
+    publish: (topic, message) => client?.publish(topic, message, { qos: 1 }),
+    close: () => {
+      closed = true;
+      client?.end();
+    },
+  };
+};
+
+// A WebSocket stand-in for a broker, for emulators that don't speak MQTT. Frames are JSON:
+//   sent      { "type": "subscribe", "topic": filter } and { "type": "publish", "topic", "payload" }
+//   received  { "topic", "payload" }
+// Payloads are JSON values. Received messages are filtered by the subscriptions, so a
+// stand-in may simply broadcast everything it receives.
+export const createWebSocketTransport = ({ url }) => {
+  const filters = new Set();
+  let socket = null;
+  let closed = false;
+  let reconnectId = null;
+
+  const send = (frame) => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(frame));
+  };
+
+  return {
+    connect: async ({ onMessage, onStatus }) => {
+      const open = () => {
+        onStatus('connecting');
+        socket = new WebSocket(url);
+        socket.onopen = () => {
+          onStatus('connected');
+          filters.forEach(topic => send({ type: 'subscribe', topic }));
+        };
+        socket.onmessage = (event) => {
+          try {
+            const { topic, payload } = JSON.parse(event.data);
+            if ([...filters].some(filter => matchesTopic(filter, topic))) onMessage(topic, JSON.stringify(payload));
+          } catch (e) {
+            console.error("Invalid device bridge frame:", e);
+          }
+        };
+        socket.onclose = () => {
+          onStatus('disconnected');
+          if (!closed) reconnectId = setTimeout(open, RECONNECT_MS);
+        };
+      };
+      open();
+    },
+    subscribe: (filter) => {
+      filters.add(filter);
+      send({ type: 'subscribe', topic: filter });
+    },
+    publish: (topic, message) => send({ type: 'publish', topic, payload: JSON.parse(message) }),
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectId);
+      socket?.close();
+    },
+  };
+};
@@ -0,0 +1,196 @@
+import { AUDIT_COLLECTION, planStateWrites, buildAuditQuery } from '../audit/audit.js';
+
+// Device command queue.
+// People's changes to device state (toggles and sliders, on the cards and for a whole room)
+// are queued as commands
+//   { id, deviceId, changes, source, issuedAt, status, replayed, error }
+// and shown on the cards straight away, before the store has them. A command waits
+// COMMAND_DEBOUNCE_MS for more changes to the same device, so a slider drag is one write,
+// then is written with an audit entry like any other state change. Statuses:
+//   pending  collecting changes before it is sent
+//   queued   waiting for the browser to come back online
+//   sending  written, waiting for the store to confirm
+//   failed   the store rejected it; it can be retried or discarded
+// The queue is kept in the browser's localStorage, so changes made offline survive a reload
+// and are replayed when the connection returns.
+//
+// Conflicts are settled by the last writer: the change made last wins, by the time it was
+// made rather than the time it reached the store. A command sent as soon as it is made is
+// simply the latest write. A replayed one drops any property someone else changed after
+// the command was issued (their audit entry is newer) and writes the rest with its
+// original time.
+
+export const COMMAND_DEBOUNCE_MS = 400;
+
+// How many of a device's latest audit entries a replay checks for newer changes.
+const REPLAY_AUDIT_LIMIT = 20;
+
+const STORAGE_KEY_PREFIX = 'smartHome.commands.';
+
+const createCommandId = (issuedAt) => `${issuedAt}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Shows every command that hasn't failed on the devices, oldest first, so the cards reflect
+// what was asked for before the store has it.
+export const applyCommands = (devices, commands) => {
+  const active = commands.filter(c => c.status !== 'failed');
+  if (active.length === 0) return devices;
+  return devices.map(device => active
+    .filter(c => c.deviceId === device.id)
+    .reduce((current, command) => ({ ...current, ...command.changes }), device));
+};
+
+// Adds changes to a device's pending command, or queues a new command for them. Later
+// values win; a property changed back to the value it would have without the command is
+// dropped, and so is a command left with nothing to change.
+export const coalesceCommand = (commands, device, changes, source, now = Date.now()) => {
+  const pending = commands.find(c => c.deviceId === device.id && c.status === 'pending');
+  const others = commands.filter(c => c !== pending);
+  const [base] = applyCommands([device], others);
+  const merged = Object.fromEntries(Object.entries({ ...pending?.changes, ...changes })
+    .filter(([property, value]) => base[property] !== value));
+  if (Object.keys(merged).length === 0) return others;
+  return [
+    ...others,
+    pending
+      ? { ...pending, changes: merged, source }
+      : { id: createCommandId(now), deviceId: device.id, changes: merged, source, issuedAt: now, status: 'pending', replayed: false, error: null },
+  ];
+};
+
+// The command a device card shows the state of: a failed one first, else the newest.
+export const getDeviceCommand = (commands, deviceId) => {
+  const forDevice = commands.filter(c => c.deviceId === deviceId);
+  return forDevice.find(c => c.status === 'failed') || forDevice[forDevice.length - 1] || null;
+};
+
+// Applies the last-writer policy to a replayed command: drops the properties whose latest
+// audit entry was written by another change after the command was issued.
+export const dropOverwritten = (command, auditEntries) =>
+  Object.fromEntries(Object.entries(command.changes).filter(([property]) => !auditEntries.some(entry =>
+    entry.property === property && new Date(entry.timestamp).getTime() > command.issuedAt)));
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isSavedCommand = (c) => isObject(c)
+  && typeof c.id === 'string'
+  && typeof c.deviceId === 'string'
+  && isObject(c.changes)
+  && isObject(c.source) && typeof c.source.type === 'string'
+  && Number.isFinite(c.issuedAt);
+
+// Reads the commands kept from an earlier visit. A saved queue that can't be read, e.g.
+// one edited by hand, is dropped rather than breaking the dashboard on every load.
+const loadCommands = (key) => {
+  let saved;
+  try {
+    saved = JSON.parse(window.localStorage.getItem(key) || '[]');
+  } catch (e) {
+    console.error("Dropping an unreadable command queue:", e);
+    window.localStorage.removeItem(key);
+    return [];
+  }
+  if (!Array.isArray(saved)) {
+    console.error("Dropping a command queue that isn't a list of commands.");
+    window.localStorage.removeItem(key);
+    return [];
+  }
+  // Whatever was still on its way when the page closed is replayed.
+  return saved
+    .filter(isSavedCommand)
+    .map(c => (c.status === 'failed' ? c : { ...c, status: 'queued', replayed: true }));
+};
+
+// Starts the command queue for a home. `handleDevices` is given every device snapshot from
+// the store; commands left from an earlier visit are replayed once the devices have loaded.
+// `onChange` is given the commands whenever they change.
+// Returns `{ commands, handleDevices, enqueue, retry, discard, stop }`; `enqueue(device,
+// changes, source, { immediate })` queues a change, sent without waiting for more when
+// `immediate`.
+export const createCommandQueue = ({ store, homeId, onChange }) => {
+  const storageKey = `${STORAGE_KEY_PREFIX}${homeId}`;
+  const timers = {};
+  let commands = loadCommands(storageKey);
+  let devices = null;
+
+  const setCommands = (next) => {
+    commands = next;
+    window.localStorage.setItem(storageKey, JSON.stringify(commands));
+    onChange(commands);
+  };
+
+  const updateCommand = (id, changes) =>
+    setCommands(commands.map(c => (c.id === id ? { ...c, ...changes } : c)));
+
+  const removeCommand = (id) => setCommands(commands.filter(c => c.id !== id));
+
+  const send = async (command) => {
+    if (!navigator.onLine || !devices) {
+      updateCommand(command.id, { status: 'queued', replayed: true });
+      return;
+    }
+    updateCommand(command.id, { status: 'sending', error: null });
+
+    try {
+      const device = devices.find(d => d.id === command.deviceId);
+      if (!device) {
+        removeCommand(command.id);
+        return;
+      }
+      const changes = command.replayed
+        ? dropOverwritten(command, await store.list(AUDIT_COLLECTION, buildAuditQuery({ deviceId: device.id, limit: REPLAY_AUDIT_LIMIT })))
+        : command.changes;
+      if (Object.keys(changes).length > 0) {
+        const previous = Object.fromEntries(Object.keys(changes).map(property => [property, device[property] ?? null]));
+        await store.batch(planStateWrites([{ deviceId: device.id, changes, previous }], command.source, new Date(command.issuedAt)));
+      }
+      removeCommand(command.id);
+    } catch (e) {
+      console.error("Error writing device command:", e);
+      updateCommand(command.id, { status: 'failed', error: String(e.message || e) });
+    }
+  };
+
+  const flush = (deviceId) => {
+    clearTimeout(timers[deviceId]);
+    delete timers[deviceId];
+    commands.filter(c => c.deviceId === deviceId && c.status === 'pending').forEach(send);
+  };
+
+  const replayQueued = () => commands.filter(c => c.status === 'queued').forEach(send);
+
+  const handleDevices = (next) => {
+    const isFirst = !devices;
+    devices = next;
+    if (isFirst) replayQueued();
+  };
+
+  const enqueue = (device, changes, source, { immediate = false } = {}) => {
+    setCommands(coalesceCommand(commands, device, changes, source));
+    clearTimeout(timers[device.id]);
+    if (immediate) {
+      flush(device.id);
+    } else {
+      timers[device.id] = setTimeout(() => flush(device.id), COMMAND_DEBOUNCE_MS);
+    }
+  };
+
+  const retry = (id) => {
+    const command = commands.find(c => c.id === id);
+    if (command) send(command);
+  };
+
+  window.addEventListener('online', replayQueued);
+
+  return {
+    commands,
+    handleDevices,
+    enqueue,
+    retry,
+    discard: removeCommand,
+    // Sends what is still collecting changes and stops listening for the connection.
+    stop: () => {
+      window.removeEventListener('online', replayQueued);
+      Object.keys(timers).forEach(flush);
+    },
+  };
+};
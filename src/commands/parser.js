@@ -0,0 +1,241 @@
+import { DEVICE_TYPES, getTypeProperties, getPropertyDefinition, formatPropertyValue } from '../devices/registry.js';
+import { getRooms } from '../rooms/rooms.js';
+
+// Natural-language device commands.
+// The command bar turns phrases like "turn off the kitchen light", "set living room to 70",
+// "dim bedroom lamp to 20 percent" or "all lights off" into device changes, entirely in the
+// browser. A phrase is a verb pattern (COMMAND_PATTERNS) and a target, resolved against the
+// devices by their names, rooms and types, allowing for typos and plurals. A target names
+// one device unless it says "all", uses a plural type ("lights") or names only a room.
+//
+// parseCommand returns either
+//   { commands: [{ device, property, value }], summary }
+// or, when the phrase can't be run as it stands,
+//   { error, suggestions }
+// where `suggestions` are rewritten phrases to offer instead, e.g. one per device when
+// "the bedroom light" could mean two.
+
+// Words a target can use for each device type, singular.
+const TYPE_WORDS = {
+  light: ['light', 'lamp', 'bulb', 'lighting'],
+  fan: ['fan'],
+  thermostat: ['thermostat', 'heating', 'heat', 'temperature'],
+  blinds: ['blind', 'shade', 'curtain'],
+  lock: ['lock', 'door'],
+  plug: ['plug', 'outlet', 'socket'],
+};
+const QUANTIFIER_WORDS = ['all', 'every', 'everything', 'both'];
+const FILLER_WORDS = ['the', 'my', 'a', 'an', 'in', 'of', 'on', 'at'];
+
+// How many devices an unmatched or ambiguous phrase suggests.
+const SUGGESTION_LIMIT = 5;
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/°/g, ' degrees ')
+  .replace(/%/g, ' percent ')
+  .replace(/[^a-z0-9.\s]|\.(?!\d)/g, ' ')
+  .split(/\s+/)
+  .filter(word => word && word !== 'please')
+  .join(' ');
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+const singular = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+// Compares two words, allowing a plural and a typo or two in longer words.
+const wordsMatch = (a, b) => {
+  const [x, y] = [singular(a), singular(b)];
+  if (x === y) return true;
+  const length = Math.min(x.length, y.length);
+  const allowed = length >= 8 ? 2 : length >= 4 ? 1 : 0;
+  return allowed > 0 && editDistance(x, y) <= allowed;
+};
+
+const matchesAny = (word, words) => words.some(other => wordsMatch(word, other));
+
+// The words a device answers to: its name, its room and its type.
+const getDeviceWords = (device) => ({
+  name: tokenize(device.name),
+  room: tokenize(device.room),
+  type: TYPE_WORDS[device.type] || [],
+});
+
+// Verb patterns, tried in order against the normalized phrase. Each returns the target text
+// and the intent: which properties it can set (`accepts`), the value for a property, and
+// for numbers the unit given, if any.
+const COMMAND_PATTERNS = [
+  [/^(?:turn|switch|put) (on|off) (.+)$/, ([state, target]) => ({ target, ...powerIntent(state) })],
+  [/^(?:turn|switch|put) (.+) (on|off)$/, ([target, state]) => ({ target, ...powerIntent(state) })],
+  [/^(lock|unlock) (.+)$/, ([verb, target]) => ({
+    target,
+    accepts: (property) => property === 'isLocked',
+    getValue: () => verb === 'lock',
+  })],
+  [/^(open|close|shut) (.+)$/, ([verb, target]) => ({
+    target,
+    accepts: (property) => property === 'position',
+    getValue: (definition) => (verb === 'open' ? definition.max : definition.min),
+  })],
+  [/^(dim|brighten) (.+?) (?:to|at) (\d+(?:\.\d+)?)(?: percent)?$/, ([, target, value]) => ({
+    target,
+    accepts: (property) => property === 'brightness',
+    getValue: () => Number(value),
+  })],
+  [/^(?:set|change|make|put|turn) (.+?) (?:to|at) (\d+(?:\.\d+)?)(?: (percent|degrees?))?$/, ([target, value, unit]) => numberIntent(target, value, unit)],
+  [/^(.+) (on|off)$/, ([target, state]) => ({ target, ...powerIntent(state) })],
+  [/^(.+?) (?:to|at) (\d+(?:\.\d+)?)(?: (percent|degrees?))?$/, ([target, value, unit]) => numberIntent(target, value, unit)],
+];
+
+const powerIntent = (state) => ({
+  accepts: (property) => property === 'isOn',
+  getValue: () => state === 'on',
+});
+
+const numberIntent = (target, value, unit) => ({
+  target,
+  unit: unit ? singular(unit) : null,
+  accepts: (property, definition) => definition.kind === 'number'
+    && (!unit || (unit === 'percent' ? definition.unit === '%' : definition.unit?.startsWith('°'))),
+  getValue: () => Number(value),
+});
+
+// The controllable property of a device an intent sets, or null.
+const getIntentProperty = (device, intent) =>
+  getTypeProperties(device.type).find(definition => definition.controllable && intent.accepts(definition.property, definition))?.property || null;
+
+// Finds the devices a target names. Returns `{ devices, plural }`, where `devices` are the
+// devices every target word matches, best first.
+const resolveTarget = (target, devices) => {
+  const words = tokenize(target).filter(word => !FILLER_WORDS.includes(word));
+  const quantified = words.some(word => QUANTIFIER_WORDS.includes(word));
+  const nameWords = words.filter(word => !QUANTIFIER_WORDS.includes(word));
+  const pluralType = nameWords.some(word => singular(word) !== word && Object.values(TYPE_WORDS).some(typeWords => typeWords.includes(singular(word))));
+  const roomOnly = nameWords.length > 0 && getRooms(devices).some(room => nameWords.every(word => matchesAny(word, tokenize(room))));
+
+  const matches = devices
+    .map(device => {
+      const { name, room, type } = getDeviceWords(device);
+      if (!nameWords.every(word => matchesAny(word, [...name, ...room, ...type]))) return null;
+      // A device named in full beats one the words only describe.
+      const isNamed = name.length > 0 && name.every(word => matchesAny(word, nameWords));
+      return { device, isNamed, nameHits: nameWords.filter(word => matchesAny(word, name)).length };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.isNamed - a.isNamed) || (b.nameHits - a.nameHits));
+
+  const plural = quantified || pluralType || roomOnly || nameWords.length === 0;
+  if (!plural && matches.some(match => match.isNamed)) {
+    return { devices: matches.filter(match => match.isNamed).map(match => match.device), plural };
+  }
+  return { devices: matches.map(match => match.device), plural };
+};
+
+// Ranks devices by how many target words they answer to, for suggestions.
+const getNearDevices = (target, devices) => {
+  const words = tokenize(target).filter(word => !FILLER_WORDS.includes(word) && !QUANTIFIER_WORDS.includes(word));
+  return devices
+    .map(device => {
+      const { name, room, type } = getDeviceWords(device);
+      return { device, hits: words.filter(word => matchesAny(word, [...name, ...room, ...type])).length };
+    })
+    .filter(match => match.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .slice(0, SUGGESTION_LIMIT)
+    .map(match => match.device);
+};
+
+const pluralTypeWord = (type) => {
+  const word = TYPE_WORDS[type]?.[0] || type;
+  return word.endsWith('s') ? word : `${word}s`;
+};
+
+// Describes what a command sets, e.g. "Kitchen Light: Off" or "2 devices: Brightness 20%".
+const describeCommands = (commands) => {
+  const [{ device, property, value }] = commands;
+  const definition = getPropertyDefinition(device, property);
+  const targets = [...new Set(commands.filter(c => c.property === property).map(c => c.device.name))];
+  const who = targets.length > 3 ? `${targets.length} devices` : targets.join(', ');
+  const what = definition.kind === 'boolean' ? formatPropertyValue(definition, value) : `${definition.label} ${formatPropertyValue(definition, value)}`;
+  return `${who}: ${what}`;
+};
+
+// Parses a phrase against the devices. See the top of this file for the result.
+export const parseCommand = (text, devices) => {
+  const phrase = normalize(text);
+  if (!phrase) return { error: 'Type what to do, e.g. "turn off the kitchen light".', suggestions: [] };
+
+  let intent = null;
+  for (const [pattern, toIntent] of COMMAND_PATTERNS) {
+    const match = phrase.match(pattern);
+    if (match) {
+      intent = toIntent(match.slice(1));
+      break;
+    }
+  }
+  if (!intent) {
+    return { error: `Didn't understand "${text.trim()}". Try "turn off the kitchen light" or "set living room to 70".`, suggestions: [] };
+  }
+
+  const at = phrase.lastIndexOf(intent.target);
+  const rewrite = (target) => `${phrase.slice(0, at)}${target}${phrase.slice(at + intent.target.length)}`;
+
+  const { devices: named, plural } = resolveTarget(intent.target, devices);
+  if (named.length === 0) {
+    return {
+      error: `No device matches "${intent.target}".`,
+      suggestions: getNearDevices(intent.target, devices.filter(device => getIntentProperty(device, intent))).map(device => rewrite(device.name)),
+    };
+  }
+
+  let targets = named.filter(device => getIntentProperty(device, intent));
+  if (targets.length === 0) {
+    return { error: `${named.map(device => device.name).join(', ')} can't be set that way.`, suggestions: [] };
+  }
+  if (!plural && targets.length > 1) {
+    return { error: 'Which one did you mean?', suggestions: targets.slice(0, SUGGESTION_LIMIT).map(device => rewrite(device.name)) };
+  }
+
+  // Several kinds of setting a bare number could mean: a room's thermostat, by convention,
+  // else ask which kind.
+  const properties = [...new Set(targets.map(device => getIntentProperty(device, intent)))];
+  if (properties.length > 1) {
+    if (!intent.unit && properties.includes('targetTemp')) {
+      targets = targets.filter(device => getIntentProperty(device, intent) === 'targetTemp');
+    } else {
+      const types = [...new Set(targets.map(device => device.type))];
+      return {
+        error: `Which devices in "${intent.target}" did you mean?`,
+        suggestions: types.map(type => rewrite(`${intent.target} ${pluralTypeWord(type)}`)),
+      };
+    }
+  }
+
+  const commands = [];
+  for (const device of targets) {
+    const property = getIntentProperty(device, intent);
+    const definition = getPropertyDefinition(device, property);
+    const value = intent.getValue(definition);
+    if (definition.kind === 'number' && (value < (definition.min ?? -Infinity) || value > (definition.max ?? Infinity))) {
+      return { error: `${device.name} ${definition.label.toLowerCase()} goes from ${definition.min} to ${definition.max}.`, suggestions: [] };
+    }
+    commands.push({ device, property, value });
+
+    // Sliders are hidden while a device is off, so setting one turns the device on.
+    const { toggle, sliders = [] } = DEVICE_TYPES[device.type].card;
+    if (toggle && sliders.includes(property) && !device[toggle]) commands.push({ device, property: toggle, value: true });
+  }
+  return { commands, summary: describeCommands(commands) };
+};
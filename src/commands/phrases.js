@@ -0,0 +1,50 @@
+// Command bar phrase corpus.
+// Phrases the command bar understands, each with what it does on the demo home
+// (devices/demoHome.js) as it is first loaded: either `sets`, the values it writes by device
+// name, or `suggests`, the phrases it offers instead, or `error` for phrases it turns down.
+// Keep it in step with commands/parser.js when either changes and check the two agree with
+// `npm run check:phrases`; the command bar takes its examples from the first few.
+
+export const COMMAND_PHRASES = [
+  { phrase: 'turn off the kitchen light', sets: { 'Kitchen Light': { isOn: false } } },
+  { phrase: 'set living room to 70', sets: { 'Living Room Thermostat': { targetTemp: 70 } } },
+  { phrase: 'dim bedroom lamp to 20 percent', sets: { 'Bedroom Lamp': { brightness: 20 } } },
+  { phrase: 'all lights off', sets: { 'Main Living Light': { isOn: false }, 'Kitchen Light': { isOn: false }, 'Bedroom Lamp': { isOn: false } } },
+  { phrase: 'lock the front door', sets: { 'Front Door Lock': { isLocked: true } } },
+
+  // Verbs and word order
+  { phrase: 'Turn on the kitchen light.', sets: { 'Kitchen Light': { isOn: true } } },
+  { phrase: 'switch the coffee maker on', sets: { 'Coffee Maker Plug': { isOn: true } } },
+  { phrase: 'ceiling fan on please', sets: { 'Ceiling Fan': { isOn: true } } },
+  { phrase: 'unlock front door', sets: { 'Front Door Lock': { isLocked: false } } },
+  { phrase: 'close the blinds', sets: { 'Living Room Blinds': { position: 0 } } },
+  { phrase: 'open living room blinds', sets: { 'Living Room Blinds': { position: 100 } } },
+  { phrase: 'set the thermostat to 68 degrees', sets: { 'Living Room Thermostat': { targetTemp: 68 } } },
+  { phrase: 'thermostat to 74°', sets: { 'Living Room Thermostat': { targetTemp: 74 } } },
+  { phrase: 'brighten the main living light to 100%', sets: { 'Main Living Light': { brightness: 100 } } },
+
+  // Setting a slider turns an off device on
+  { phrase: 'set kitchen light to 40', sets: { 'Kitchen Light': { brightness: 40, isOn: true } } },
+  { phrase: 'set ceiling fan to 2', sets: { 'Ceiling Fan': { speed: 2, isOn: true } } },
+
+  // Rooms, types and "all"
+  { phrase: 'turn off the kitchen', sets: { 'Kitchen Light': { isOn: false }, 'Coffee Maker Plug': { isOn: false } } },
+  { phrase: 'turn off the lights in the living room', sets: { 'Main Living Light': { isOn: false } } },
+  { phrase: 'everything off', sets: { 'Main Living Light': { isOn: false }, 'Ceiling Fan': { isOn: false }, 'Kitchen Light': { isOn: false }, 'Bedroom Lamp': { isOn: false }, 'Coffee Maker Plug': { isOn: false } } },
+  { phrase: 'set the bedroom light to 30 percent', sets: { 'Bedroom Lamp': { brightness: 30 } } },
+
+  // Typos and plurals
+  { phrase: 'turn off the kitchn light', sets: { 'Kitchen Light': { isOn: false } } },
+  { phrase: 'turn on the bedrom lamp', sets: { 'Bedroom Lamp': { isOn: true } } },
+  { phrase: 'set the thermostst to 70', sets: { 'Living Room Thermostat': { targetTemp: 70 } } },
+
+  // Disambiguation
+  { phrase: 'turn on the light', suggests: ['turn on Main Living Light', 'turn on Kitchen Light', 'turn on Bedroom Lamp'] },
+  { phrase: 'set living room to 50 percent', suggests: ['set living room blinds to 50 percent', 'set living room lights to 50 percent'] },
+  { phrase: 'turn off the garage light', suggests: ['turn off Main Living Light', 'turn off Kitchen Light', 'turn off Bedroom Lamp'] },
+
+  // Turned down
+  { phrase: 'turn on the humidifier', error: true },
+  { phrase: 'set the thermostat to 120', error: true },
+  { phrase: 'make me a coffee', error: true },
+];
@@ -0,0 +1,167 @@
+import React from 'react';
+import { X, Plus } from 'lucide-react';
+import { getActionOptions, getActionOption, createEmptyAction } from '../rules/actions.js';
+import { getRooms, getRoomActionOptions } from '../rooms/rooms.js';
+
+// Picks a sensible starting value when an action property is chosen.
+const defaultActionValue = (option, device) => {
+  if (!option) return '';
+  if (option.kind === 'boolean') return true;
+  return device?.[option.property] ?? option.min;
+};
+
+const inputClasses = "shadow border rounded-lg w-full py-2 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+// Editable list of device actions, shared by the rule, schedule and scene forms.
+// Property pickers and value ranges follow the chosen device's type. When `scenes` are
+// passed, an action can also activate a whole scene, and with `allowRooms` it can target
+// every device of one type in a room. With `allowEmpty` the last action can be removed too.
+const ActionListEditor = ({ devices, actions, onChange, scenes = [], allowRooms = false, allowEmpty = false }) => {
+  const controllableDevices = devices.filter(d => getActionOptions(d).length > 0);
+  const rooms = allowRooms ? getRooms(devices).filter(room => getRoomActionOptions(devices, room).length > 0) : [];
+
+  // Updates one action in the list.
+  const handleActionChange = (index, changes) => {
+    onChange(actions.map((action, i) => (i === index ? { ...action, ...changes } : action)));
+  };
+
+  // Switches an action's target between a device, a room and a scene, resetting its other fields.
+  const handleTargetChange = (index, target) => {
+    let next = { ...createEmptyAction(), deviceId: target };
+    if (target.startsWith('scene:')) next = { sceneId: target.slice('scene:'.length) };
+    if (target.startsWith('room:')) next = { room: target.slice('room:'.length), deviceType: '', property: '', value: '' };
+    onChange(actions.map((action, i) => (i === index ? next : action)));
+  };
+
+  // Adds or removes actions in the list.
+  const handleAddAction = () => onChange([...actions, createEmptyAction()]);
+
+  const handleRemoveAction = (index) => onChange(actions.filter((_, i) => i !== index));
+
+  // Renders the value control for an action based on the chosen property.
+  const renderActionValue = (action, index, option) => {
+    if (!option) {
+      return <input type="text" className={inputClasses} placeholder="Value" disabled />;
+    }
+    if (option.kind === 'boolean') {
+      return (
+        <select
+          className={inputClasses}
+          value={action.value ? 'on' : 'off'}
+          onChange={(e) => handleActionChange(index, { value: e.target.value === 'on' })}
+        >
+          <option value="on">{option.labels?.[1] || 'On'}</option>
+          <option value="off">{option.labels?.[0] || 'Off'}</option>
+        </select>
+      );
+    }
+    return (
+      <div className="flex items-center gap-1">
+        <input
+          type="number"
+          className={inputClasses}
+          min={option.min}
+          max={option.max}
+          step={option.step}
+          value={action.value}
+          onChange={(e) => handleActionChange(index, { value: e.target.value === '' ? '' : parseFloat(e.target.value) })}
+          required
+        />
+        <span className="text-xs text-gray-500 whitespace-nowrap">{option.min}–{option.max}{option.unit}</span>
+      </div>
+    );
+  };
+
+  // Renders one editable action.
+  const renderActionRow = (action, index) => {
+    const device = devices.find(d => d.id === action.deviceId);
+    // Room actions pick a device type and property together, keyed as "type.property".
+    const options = action.room
+      ? getRoomActionOptions(devices, action.room).map(o => ({ ...o, key: `${o.deviceType}.${o.property}` }))
+      : getActionOptions(device).map(o => ({ ...o, key: o.property }));
+    const selectedKey = action.room ? (action.deviceType ? `${action.deviceType}.${action.property}` : '') : action.property;
+    const option = action.room ? options.find(o => o.key === selectedKey) : getActionOption(device, action.property);
+    let targetValue = action.deviceId;
+    if (action.sceneId) targetValue = `scene:${action.sceneId}`;
+    if (action.room) targetValue = `room:${action.room}`;
+
+    return (
+      <div key={index} className="grid grid-cols-12 gap-2 items-center">
+        <select
+          className={`${inputClasses} col-span-4`}
+          value={targetValue}
+          onChange={(e) => handleTargetChange(index, e.target.value)}
+          required
+        >
+          <option value="">Device</option>
+          {controllableDevices.map(d => (
+            <option key={d.id} value={d.id}>{d.name}</option>
+          ))}
+          {rooms.length > 0 && (
+            <optgroup label="Whole room">
+              {rooms.map(room => (
+                <option key={room} value={`room:${room}`}>{room}</option>
+              ))}
+            </optgroup>
+          )}
+          {scenes.length > 0 && (
+            <optgroup label="Scenes">
+              {scenes.map(scene => (
+                <option key={scene.id} value={`scene:${scene.id}`}>{scene.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {action.sceneId ? (
+          <p className="col-span-7 text-sm text-gray-600">Activate this scene</p>
+        ) : (
+          <>
+            <select
+              className={`${inputClasses} col-span-3`}
+              value={selectedKey}
+              onChange={(e) => {
+                const nextOption = options.find(o => o.key === e.target.value);
+                const changes = { property: nextOption?.property || '', value: defaultActionValue(nextOption, device) };
+                if (action.room) changes.deviceType = nextOption?.deviceType || '';
+                handleActionChange(index, changes);
+              }}
+              required
+            >
+              <option value="">Action</option>
+              {options.map(o => (
+                <option key={o.key} value={o.key}>{o.label}</option>
+              ))}
+            </select>
+            <div className="col-span-4">{renderActionValue(action, index, option)}</div>
+          </>
+        )}
+        <button
+          type="button"
+          onClick={() => handleRemoveAction(index)}
+          disabled={!allowEmpty && actions.length === 1}
+          className="col-span-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+          title="Remove action"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <div className="space-y-2">
+        {actions.map(renderActionRow)}
+      </div>
+      <button
+        type="button"
+        onClick={handleAddAction}
+        className="mt-2 text-sm font-bold text-purple-600 hover:text-purple-700 flex items-center gap-1"
+      >
+        <Plus className="w-4 h-4" /> Add action
+      </button>
+    </>
+  );
+};
+
+export default ActionListEditor;
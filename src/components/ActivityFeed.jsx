@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from 'react';
+import { Undo2 } from 'lucide-react';
+import { getPropertyDefinition, formatPropertyValue } from '../devices/registry.js';
+import { AUDIT_COLLECTION, AUDIT_SOURCES, buildAuditQuery, canUndo } from '../audit/audit.js';
+
+// How many audit entries the feed lists.
+const FEED_LIMIT = 50;
+
+const inputClasses = "shadow border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:shadow-outline";
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit',
+});
+
+const describeSource = (entry) => {
+  const label = AUDIT_SOURCES.find(s => s.value === entry.source)?.label || entry.source;
+  return entry.sourceName ? `${label}: ${entry.sourceName}` : label;
+};
+
+// Activity feed of device state changes from the audit log, newest first, filterable by
+// device and by what made the change. Changes to controllable properties can be undone;
+// `onUndo` is given the entry and undoes the whole change it belongs to.
+const ActivityFeed = ({ store, devices, onUndo }) => {
+  const [deviceId, setDeviceId] = useState('');
+  const [source, setSource] = useState('');
+  const [entries, setEntries] = useState(null);
+
+  useEffect(() => {
+    if (!store) return;
+    setEntries(null);
+    return store.subscribe(AUDIT_COLLECTION, setEntries, buildAuditQuery({ deviceId, source, limit: FEED_LIMIT }));
+  }, [store, deviceId, source]);
+
+  const devicesById = Object.fromEntries(devices.map(d => [d.id, d]));
+  const lastUndoable = (entries || []).find(entry => canUndo(entry, devices));
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex flex-wrap gap-2 mb-4">
+        <select className={`${inputClasses} flex-1`} value={deviceId} onChange={(e) => setDeviceId(e.target.value)} aria-label="Device">
+          <option value="">All devices</option>
+          {devices.map(d => (
+            <option key={d.id} value={d.id}>{d.name}</option>
+          ))}
+        </select>
+        <select className={`${inputClasses} flex-1`} value={source} onChange={(e) => setSource(e.target.value)} aria-label="Source">
+          <option value="">All sources</option>
+          {AUDIT_SOURCES.map(s => (
+            <option key={s.value} value={s.value}>{s.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onUndo(lastUndoable)}
+          disabled={!lastUndoable}
+          className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-1 px-3 rounded-xl flex items-center gap-1 disabled:opacity-40"
+          title="Undo the most recent change listed that can be undone"
+        >
+          <Undo2 className="w-4 h-4" /> Undo last
+        </button>
+      </div>
+
+      {entries === null ? (
+        <p className="text-gray-500 italic animate-pulse">Loading activity...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-gray-500 italic">No device changes recorded yet.</p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto pr-1">
+          {entries.map(entry => {
+            const device = devicesById[entry.deviceId];
+            const definition = getPropertyDefinition(device, entry.property);
+            return (
+              <li key={entry.id} className={`flex items-start gap-2 p-2 bg-white/70 rounded-xl text-sm ${entry.undone ? 'opacity-50' : ''}`}>
+                <div className="flex-1 min-w-0">
+                  <p className="text-gray-800">
+                    <span className="font-semibold">{device?.name || 'Removed device'}</span>{' '}
+                    {definition?.label || entry.property}: {formatPropertyValue(definition, entry.oldValue)} → {formatPropertyValue(definition, entry.newValue)}
+                    {entry.undone && ' (undone)'}
+                  </p>
+                  <p className="text-xs text-gray-500">{describeSource(entry)} · {formatDateTime(entry.timestamp)}</p>
+                </div>
+                {canUndo(entry, devices) && (
+                  <button onClick={() => onUndo(entry)} className="text-gray-500 hover:text-blue-600" title="Undo this change">
+                    <Undo2 className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActivityFeed;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Sparkles, CornerDownLeft } from 'lucide-react';
+import { parseCommand } from '../commands/parser.js';
+import { COMMAND_PHRASES } from '../commands/phrases.js';
+
+// How many corpus phrases the placeholder cycles through.
+const EXAMPLE_COUNT = 5;
+
+// Command bar in the header: runs typed phrases like "all lights off" (see
+// commands/parser.js). `onRun(commands)` applies the parsed `{ device, property, value }`
+// changes; unclear phrases offer suggestions to run instead.
+const CommandBar = ({ devices, disabled, onRun }) => {
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  const [example] = useState(() => COMMAND_PHRASES[Math.floor(Math.random() * EXAMPLE_COUNT)].phrase);
+
+  const run = (phrase) => {
+    const parsed = parseCommand(phrase, devices);
+    setResult(parsed);
+    if (parsed.commands) {
+      onRun(parsed.commands);
+      setText('');
+    } else {
+      setText(phrase);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (text.trim()) run(text);
+  };
+
+  return (
+    <div className="mt-4">
+      <form onSubmit={handleSubmit} className="flex items-center gap-2 bg-white/70 rounded-xl shadow-md border border-white/20 px-3 py-2">
+        <Sparkles className="w-5 h-5 text-purple-600 flex-shrink-0" />
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={disabled}
+          placeholder={disabled ? 'Your role in this home can\'t control devices' : `Try "${example}"`}
+          className="flex-1 bg-transparent text-gray-800 focus:outline-none disabled:cursor-not-allowed"
+          aria-label="Command"
+        />
+        <button
+          type="submit"
+          disabled={disabled || !text.trim()}
+          className="text-purple-600 hover:text-purple-800 disabled:opacity-40"
+          title="Run"
+        >
+          <CornerDownLeft className="w-5 h-5" />
+        </button>
+      </form>
+      {result && (
+        <div className="mt-2 text-sm">
+          {result.commands ? (
+            <p className="text-green-700">{result.summary}</p>
+          ) : (
+            <p className="text-red-600">{result.error}</p>
+          )}
+          {result.suggestions?.length > 0 && (
+            <div className="mt-1 flex flex-wrap gap-2">
+              {result.suggestions.map(suggestion => (
+                <button
+                  key={suggestion}
+                  type="button"
+                  onClick={() => run(suggestion)}
+                  className="px-2 py-1 rounded-lg bg-purple-100 text-purple-800 hover:bg-purple-200"
+                >
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommandBar;
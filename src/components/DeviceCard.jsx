@@ -0,0 +1,132 @@
+import React from 'react';
+import { CloudOff, Loader2, Wifi, WifiLow, WifiOff, BatteryLow } from 'lucide-react';
+import { getDeviceType, formatPropertyValue } from '../devices/registry.js';
+import { describeLastSeen } from '../devices/health.js';
+
+const cardBaseClasses = "relative bg-white/50 backdrop-blur-md rounded-2xl shadow-xl p-6 transition-transform duration-300 ease-in-out hover:scale-[1.02] transform-gpu border border-white/20";
+const titleClasses = "text-xl font-semibold mb-1 flex items-center gap-2";
+const subTitleClasses = "text-sm text-gray-700";
+
+// Describes a command's changes, e.g. "Brightness 40%, Power On".
+const describeChanges = (properties, changes) => Object.entries(changes)
+  .map(([property, value]) => `${properties[property]?.label || property} ${formatPropertyValue(properties[property], value)}`)
+  .join(', ');
+
+// Renders a single device card, laid out from the device's registry type.
+// `command` is the device's change still on its way to the store, if any: the card marks it
+// as saving or waiting for the connection, or offers `onRetry` and `onDiscard` if it failed.
+// `health` is the device's health at `now` (see devices/health.js): an offline device is
+// greyed out with its last known state.
+// Devices of unknown types render nothing.
+const DeviceCard = ({ device, command, health, now, onToggle, onSliderChange, onRetry, onDiscard }) => {
+  const deviceType = getDeviceType(device);
+  if (!deviceType) return null;
+
+  const { icon: Icon, properties, card } = deviceType;
+  const { theme } = card;
+  // Cards with a toggle are greyed out while it is off; other cards are always active.
+  // Offline devices are greyed out whatever their state.
+  const isActive = card.toggle ? Boolean(device[card.toggle]) : true;
+  const isOffline = health?.status === 'offline';
+  const isLit = isActive && !isOffline;
+  const primary = card.primary && properties[card.primary];
+  const SignalIcon = health?.weakSignal ? WifiLow : Wifi;
+
+  return (
+    <div className={`${cardBaseClasses} bg-gradient-to-br ${isLit ? theme.background : 'from-gray-100 to-gray-200'} ${isOffline ? 'opacity-75' : ''}`}>
+      <div className={titleClasses}>
+        <Icon className={`w-6 h-6 ${isLit ? theme.accent : 'text-gray-600'}`} />
+        {device.name}
+      </div>
+      <p className={subTitleClasses}>{device.room}</p>
+      {health && health.status !== 'unmonitored' && (
+        <div className="mt-1 flex flex-wrap items-center gap-3 text-xs text-gray-600" title={`Last report ${health.lastSeen.toLocaleString()}`}>
+          {isOffline ? (
+            <span className="flex items-center gap-1 font-semibold text-red-700">
+              <WifiOff className="w-4 h-4" /> Offline, last seen {describeLastSeen(health.lastSeen, now)}
+            </span>
+          ) : health.signal !== null && (
+            <span className={`flex items-center gap-1 ${health.weakSignal ? 'text-amber-700' : ''}`}>
+              <SignalIcon className="w-4 h-4" /> Signal {health.signal}%
+            </span>
+          )}
+          {health.lowBattery && (
+            <span className="flex items-center gap-1 font-semibold text-amber-700">
+              <BatteryLow className="w-4 h-4" /> Battery low
+            </span>
+          )}
+        </div>
+      )}
+
+      {command && command.status !== 'failed' && (
+        <p
+          className="absolute top-4 right-4 text-xs text-gray-600 flex items-center gap-1"
+          title={describeChanges(properties, command.changes)}
+        >
+          {command.status === 'queued' ? (
+            <><CloudOff className="w-4 h-4" /> Offline, will sync</>
+          ) : (
+            <><Loader2 className="w-4 h-4 animate-spin" /> Saving</>
+          )}
+        </p>
+      )}
+      {command?.status === 'failed' && (
+        <div className="mt-2 p-2 bg-red-50 rounded-lg text-xs text-red-700" title={command.error}>
+          <p>Couldn't save {describeChanges(properties, command.changes)}.</p>
+          <div className="flex gap-3 mt-1">
+            <button onClick={() => onRetry(command.id)} className="font-bold hover:underline">Retry</button>
+            <button onClick={() => onDiscard(command.id)} className="hover:underline">Discard</button>
+          </div>
+        </div>
+      )}
+
+      {primary && (
+        <div className="flex flex-col items-center justify-center my-4">
+          <div className={`${primary.kind === 'boolean' ? 'text-3xl' : 'text-6xl'} font-extrabold ${isOffline ? 'text-gray-600' : theme.value}`}>
+            {formatPropertyValue(primary, device[card.primary])}
+          </div>
+          <p className="mt-1 text-sm text-gray-600">{primary.kind === 'boolean' ? '' : primary.label}</p>
+        </div>
+      )}
+
+      {(card.details || []).map(property => (
+        <p key={property} className="mt-1 text-sm text-gray-600 text-center">
+          {properties[property].label}: {formatPropertyValue(properties[property], device[property])}
+        </p>
+      ))}
+
+      {card.toggle && (
+        <div className="flex items-center justify-between mt-4">
+          <button
+            onClick={() => onToggle(device.id, device[card.toggle], card.toggle)}
+            className={`flex-1 px-4 py-2 rounded-xl font-bold transition-colors duration-300 ${
+              isLit ? `${theme.button} text-white shadow-lg` : 'bg-gray-400 hover:bg-gray-500 text-gray-800'
+            }`}
+          >
+            {formatPropertyValue(properties[card.toggle], device[card.toggle]).toUpperCase()}
+          </button>
+        </div>
+      )}
+
+      {isActive && (card.sliders || []).map(property => {
+        const definition = properties[property];
+        return (
+          <div key={property} className="mt-4">
+            <p className="text-gray-700 text-sm mb-2">{definition.label}: {formatPropertyValue(definition, device[property])}</p>
+            <input
+              type="range"
+              min={definition.min}
+              max={definition.max}
+              step={definition.step || 1}
+              value={device[property] ?? definition.default}
+              onChange={(e) => onSliderChange(device.id, property, parseFloat(e.target.value))}
+              className={`w-full h-2 ${theme.slider} rounded-lg appearance-none cursor-pointer`}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DeviceCard;
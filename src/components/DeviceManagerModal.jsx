@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, ChevronUp, ChevronDown, Home, Radio } from 'lucide-react';
+import { DEVICE_TYPES } from '../devices/registry.js';
+import { getDeviceTopic } from '../bridge/bridge.js';
+
+const inputClasses = "shadow border rounded-lg w-full py-2 px-3 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+// Device management screen: add devices of any registered type, rename them, move them
+// between rooms, reorder and delete them, or load the demo home. When a device bridge is
+// configured (`bridgePrefix`), devices can also be switched to report through it.
+// Without `onDelete`, for members who aren't the home's owner, devices can't be deleted.
+const DeviceManagerModal = ({ devices, rooms, onAdd, onUpdate, onMove, onDelete, onLoadDemo, bridgePrefix, onClose }) => {
+  const [newDevice, setNewDevice] = useState({ name: '', type: 'light', room: '' });
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await onAdd(newDevice)) setNewDevice({ ...newDevice, name: '' });
+  };
+
+  // Saves a renamed or moved device once the field loses focus, if the value changed.
+  const handleFieldBlur = (device, key, value) => {
+    if (value.trim() && value.trim() !== device[key]) onUpdate(device.id, { [key]: value.trim() });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-3xl w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Manage Devices</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleAdd} className="grid grid-cols-12 gap-2 items-end mb-6">
+          <div className="col-span-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Name</label>
+            <input
+              type="text"
+              className={inputClasses}
+              value={newDevice.name}
+              onChange={(e) => setNewDevice({ ...newDevice, name: e.target.value })}
+              required
+            />
+          </div>
+          <div className="col-span-3">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Type</label>
+            <select className={inputClasses} value={newDevice.type} onChange={(e) => setNewDevice({ ...newDevice, type: e.target.value })}>
+              {Object.entries(DEVICE_TYPES).map(([type, definition]) => (
+                <option key={type} value={type}>{definition.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-span-3">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Room</label>
+            <input
+              type="text"
+              list="device-manager-rooms"
+              className={inputClasses}
+              value={newDevice.room}
+              onChange={(e) => setNewDevice({ ...newDevice, room: e.target.value })}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            className="col-span-2 bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-3 rounded-xl flex items-center justify-center gap-1"
+          >
+            <Plus className="w-4 h-4" /> Add
+          </button>
+        </form>
+        <datalist id="device-manager-rooms">
+          {rooms.map(room => <option key={room} value={room} />)}
+        </datalist>
+
+        {devices.length === 0 ? (
+          <p className="text-gray-500 italic mb-6">No devices yet. Add one above or load the demo home.</p>
+        ) : (
+          <ul className="space-y-2 mb-6">
+            {devices.map((device, index) => {
+              const Icon = DEVICE_TYPES[device.type]?.icon;
+              return (
+                <li key={device.id} className="grid grid-cols-12 gap-2 items-center p-2 bg-gray-50 rounded-xl">
+                  <div className="col-span-1 flex flex-col items-center">
+                    <button onClick={() => onMove(device.id, -1)} disabled={index === 0} className="text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move up">
+                      <ChevronUp className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => onMove(device.id, 1)} disabled={index === devices.length - 1} className="text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move down">
+                      <ChevronDown className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <input
+                    key={`name-${device.name}`}
+                    type="text"
+                    className={`${inputClasses} ${bridgePrefix ? 'col-span-3' : 'col-span-4'}`}
+                    defaultValue={device.name}
+                    onBlur={(e) => handleFieldBlur(device, 'name', e.target.value)}
+                    aria-label="Device name"
+                  />
+                  <input
+                    key={`room-${device.room}`}
+                    type="text"
+                    list="device-manager-rooms"
+                    className={`${inputClasses} col-span-3`}
+                    defaultValue={device.room}
+                    onBlur={(e) => handleFieldBlur(device, 'room', e.target.value)}
+                    aria-label="Room"
+                  />
+                  <span className="col-span-3 flex items-center gap-1 text-sm text-gray-600">
+                    {Icon && <Icon className="w-4 h-4" />}
+                    {DEVICE_TYPES[device.type]?.label || device.type}
+                  </span>
+                  {bridgePrefix && (
+                    <button
+                      onClick={() => onUpdate(device.id, { bridged: !device.bridged })}
+                      className={`col-span-1 ${device.bridged ? 'text-green-600' : 'text-gray-400'} hover:text-gray-800`}
+                      title={device.bridged
+                        ? `Connected through the device bridge on ${getDeviceTopic(device, bridgePrefix)}. Click to disconnect it.`
+                        : 'Not connected to the device bridge. Click to connect it.'}
+                    >
+                      <Radio className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onDelete(device)}
+                    disabled={!onDelete}
+                    className="col-span-1 text-gray-500 hover:text-red-600 disabled:opacity-30 disabled:hover:text-gray-500"
+                    title={onDelete ? 'Delete device' : "Only the home's owner can delete devices"}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <button
+          onClick={onLoadDemo}
+          className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl flex items-center gap-2"
+        >
+          <Home className="w-4 h-4" /> Load demo home
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceManagerModal;
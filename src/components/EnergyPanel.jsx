@@ -0,0 +1,155 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Zap } from 'lucide-react';
+import { formatDuration } from '../history/history.js';
+import {
+  ENERGY_COLLECTION,
+  getDevicePower,
+  getTariffRate,
+  startOfDay,
+  summarizeUsage,
+  getDailyTotals,
+  getWeeklyTotals,
+} from '../energy/energy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = [
+  { key: 'today', label: 'Today', days: 1 },
+  { key: '7d', label: '7 days', days: 7 },
+  { key: '30d', label: '30 days', days: 30 },
+];
+
+const CHARTS = {
+  daily: { label: 'Daily', count: 14 },
+  weekly: { label: 'Weekly', count: 8 },
+};
+
+// Usage is loaded far enough back for the longest period and chart.
+const USAGE_DAYS = Math.max(30, CHARTS.weekly.count * 7);
+
+const formatKWh = (kWh) => `${kWh.toFixed(kWh < 10 ? 2 : 1)} kWh`;
+
+const formatWatts = (watts) => (watts >= 1000 ? `${(watts / 1000).toFixed(2)} kW` : `${Math.round(watts)} W`);
+
+// Energy use and cost: the home's live power draw, usage totals per room and per
+// device over a period, and a chart of daily or weekly usage.
+const EnergyPanel = ({ store, devices, tariff }) => {
+  const [usage, setUsage] = useState(null);
+  const [periodKey, setPeriodKey] = useState('today');
+  const [chartKey, setChartKey] = useState('daily');
+
+  const currency = useMemo(
+    () => new Intl.NumberFormat('en-US', { style: 'currency', currency: tariff.currency }),
+    [tariff.currency],
+  );
+
+  useEffect(() => {
+    if (!store) return;
+    const since = startOfDay(new Date(Date.now() - (USAGE_DAYS - 1) * DAY_MS));
+    return store.subscribe(ENERGY_COLLECTION, setUsage, { filters: [['day', '>=', since]] });
+  }, [store]);
+
+  const devicesById = Object.fromEntries(devices.map(d => [d.id, d]));
+  const totalWatts = devices.reduce((sum, device) => sum + getDevicePower(device), 0);
+  const period = PERIODS.find(p => p.key === periodKey);
+  const now = new Date();
+  const summary = summarizeUsage(usage || [], new Date(now.getTime() - (period.days - 1) * DAY_MS));
+  const chartData = chartKey === 'daily'
+    ? getDailyTotals(usage || [], CHARTS.daily.count, now)
+    : getWeeklyTotals(usage || [], CHARTS.weekly.count, now);
+
+  const toggleClasses = (active) =>
+    `px-3 py-1 rounded-xl text-sm font-bold ${active ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`;
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between bg-white/70 rounded-xl p-4 mb-4">
+        <div className="flex items-center gap-2 text-gray-700">
+          <Zap className="w-5 h-5 text-yellow-500" />
+          <span className="font-semibold">Drawing now</span>
+        </div>
+        <div className="text-right">
+          <p className="text-xl font-bold text-gray-800">{formatWatts(totalWatts)}</p>
+          <p className="text-xs text-gray-500">{currency.format(getTariffRate(tariff, now))} per kWh</p>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {PERIODS.map(p => (
+          <button key={p.key} onClick={() => setPeriodKey(p.key)} className={toggleClasses(periodKey === p.key)}>
+            {p.label}
+          </button>
+        ))}
+      </div>
+
+      {usage === null ? (
+        <p className="text-gray-500 italic animate-pulse">Loading energy usage...</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-2 mb-4">
+            <div className="bg-white/70 rounded-xl p-3">
+              <p className="text-xs text-gray-500">Energy</p>
+              <p className="text-lg font-bold text-gray-800">{formatKWh(summary.kWh)}</p>
+            </div>
+            <div className="bg-white/70 rounded-xl p-3">
+              <p className="text-xs text-gray-500">Cost</p>
+              <p className="text-lg font-bold text-gray-800">{currency.format(summary.cost)}</p>
+            </div>
+          </div>
+
+          {summary.byDevice.length === 0 ? (
+            <p className="text-gray-500 italic mb-4">No usage recorded in this period.</p>
+          ) : (
+            <>
+              <h3 className="text-sm font-bold text-gray-700 mb-2">By room</h3>
+              <ul className="space-y-1 mb-4 text-sm text-gray-700">
+                {summary.byRoom.map(({ room, kWh, cost }) => (
+                  <li key={room} className="flex justify-between">
+                    <span>{room || 'Unassigned'}</span>
+                    <span>{formatKWh(kWh)} · {currency.format(cost)}</span>
+                  </li>
+                ))}
+              </ul>
+              <h3 className="text-sm font-bold text-gray-700 mb-2">By device</h3>
+              <ul className="space-y-1 mb-4 text-sm text-gray-700">
+                {summary.byDevice.map(({ deviceId, kWh, cost, onSeconds }) => (
+                  <li key={deviceId} className="flex justify-between gap-2">
+                    <span className="truncate">
+                      {devicesById[deviceId]?.name || 'Removed device'}
+                      {onSeconds > 0 && <span className="text-gray-500"> · on {formatDuration(onSeconds * 1000)}</span>}
+                    </span>
+                    <span className="whitespace-nowrap">{formatKWh(kWh)} · {currency.format(cost)}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <div className="flex flex-wrap gap-2 mb-2">
+            {Object.entries(CHARTS).map(([key, chart]) => (
+              <button key={key} onClick={() => setChartKey(key)} className={toggleClasses(chartKey === key)}>
+                {chart.label}
+              </button>
+            ))}
+          </div>
+          <div className="h-[200px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+                <XAxis dataKey="label" tick={{ fill: '#4b5563', fontSize: 12 }} axisLine={{ stroke: '#d1d5db' }} />
+                <YAxis tick={{ fill: '#4b5563', fontSize: 12 }} axisLine={{ stroke: '#d1d5db' }} />
+                <Tooltip
+                  formatter={(value, name, item) => `${formatKWh(value)} · ${currency.format(item.payload.cost)}`}
+                  contentStyle={{ backgroundColor: 'rgba(255,255,255,0.8)', border: 'none', borderRadius: '10px' }}
+                />
+                <Bar dataKey="kWh" name="Energy" fill="#eab308" radius={[4, 4, 0, 0]} isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EnergyPanel;
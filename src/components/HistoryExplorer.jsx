@@ -0,0 +1,379 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { X, Plus } from 'lucide-react';
+import { getPropertyDefinition, formatPropertyValue } from '../devices/registry.js';
+import {
+  HISTORY_RANGES,
+  SERIES_COLORS,
+  getHistoryMetrics,
+  getRangeBounds,
+  buildHistoryQuery,
+  buildPriorValueQuery,
+  toSeriesPoints,
+  downsampleLTTB,
+  mergeSeries,
+  getOnDuration,
+  formatDuration,
+} from '../history/history.js';
+import { ROLLUP_RESOLUTIONS, chooseResolution, buildRollupQuery, toRollupPoints } from '../history/retention.js';
+import { isDeviceOffline, describeLastSeen } from '../devices/health.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dense numeric series are downsampled to this many points before charting.
+const MAX_CHART_POINTS = 300;
+
+// How long the chart waits for history before saying none has arrived.
+const HISTORY_LOAD_TIMEOUT_MS = 15 * 1000;
+
+const RESOLUTION_LABELS = { hour: 'Hourly averages', day: 'Daily averages' };
+
+const inputClasses = "shadow border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:shadow-outline";
+
+// Formats a Date for a datetime-local input, in local time.
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const seriesKey = (series) => `${series.deviceId}:${series.property}`;
+
+// Chart of recorded device history: pick devices and metrics to overlay, and a
+// time range. Each device's history is fetched with a time-bounded query, so only
+// the readings in range are transferred. Long ranges read the hourly or daily rollups
+// kept by the retention policy instead of raw readings. Charted devices that are offline
+// (silent for `offlineMinutes`) are pointed out, since their lines stop at the last report.
+// Preset ranges and the offline notes follow the dashboard's clock, `now`.
+const HistoryExplorer = ({ store, devices, retention, offlineMinutes, now }) => {
+  // Chosen series as `{ deviceId, property }`; null until the user changes the selection.
+  const [selectedSeries, setSelectedSeries] = useState(null);
+  const [pickerDeviceId, setPickerDeviceId] = useState('');
+  const [pickerProperty, setPickerProperty] = useState('');
+  const [rangeKey, setRangeKey] = useState('24h');
+  const [custom, setCustom] = useState(() => ({
+    start: toInputValue(new Date(Date.now() - DAY_MS)),
+    end: toInputValue(new Date()),
+  }));
+  const [entriesByDevice, setEntriesByDevice] = useState({});
+  const [rollupsByDevice, setRollupsByDevice] = useState({});
+  const [priorValues, setPriorValues] = useState({});
+  const [loadError, setLoadError] = useState(null);
+  const [isWaiting, setIsWaiting] = useState(false);
+
+  const chartableDevices = devices.filter(d => getHistoryMetrics(d).length > 0);
+  const devicesById = Object.fromEntries(devices.map(d => [d.id, d]));
+
+  // Until the user picks series, chart the first metric of the first device that records history.
+  const defaultSeries = chartableDevices.length > 0
+    ? [{ deviceId: chartableDevices[0].id, property: getHistoryMetrics(chartableDevices[0])[0].property }]
+    : [];
+  const series = (selectedSeries || defaultSeries).filter(s => devicesById[s.deviceId]);
+
+  const live = rangeKey !== 'custom';
+  // History is queried from where the range was picked, with an open end for preset ranges,
+  // so sliding the range only trims the chart instead of querying everything again.
+  const queryBounds = useMemo(() => getRangeBounds(rangeKey, custom), [rangeKey, custom]);
+  const bounds = live && queryBounds ? getRangeBounds(rangeKey, custom, now) : queryBounds;
+  const resolution = queryBounds ? chooseResolution(queryBounds, retention) : 'raw';
+  const deviceIds = [...new Set(series.map(s => s.deviceId))].join(',');
+  const booleanKeys = series
+    .filter(s => getPropertyDefinition(devicesById[s.deviceId], s.property)?.kind === 'boolean')
+    .map(seriesKey)
+    .join(',');
+
+  // Subscribe to each charted device's history within the range.
+  useEffect(() => {
+    if (!store || !queryBounds || !deviceIds) return;
+    setEntriesByDevice({});
+    setLoadError(null);
+    const unsubscribes = deviceIds.split(',').map(deviceId =>
+      store.subscribe(
+        'history',
+        (entries) => setEntriesByDevice(previous => ({ ...previous, [deviceId]: entries })),
+        buildHistoryQuery(deviceId, queryBounds, live),
+        () => setLoadError('history'),
+      ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [store, queryBounds, live, deviceIds]);
+
+  // For long ranges, also subscribe to the rollups of the readings already rolled up.
+  useEffect(() => {
+    if (!store || !queryBounds || !deviceIds || resolution === 'raw') return;
+    setRollupsByDevice({});
+    setLoadError(previous => (previous === 'rollups' ? null : previous));
+    const unsubscribes = deviceIds.split(',').map(deviceId =>
+      store.subscribe(
+        ROLLUP_RESOLUTIONS[resolution].collection,
+        (rollups) => setRollupsByDevice(previous => ({ ...previous, [deviceId]: rollups })),
+        buildRollupQuery(deviceId, queryBounds, resolution, live),
+        () => setLoadError('rollups'),
+      ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [store, queryBounds, live, deviceIds, resolution]);
+
+  // Fetch the state each on/off series was in when the range starts, for its on-time total.
+  useEffect(() => {
+    if (!store || !queryBounds || !booleanKeys) return;
+    let cancelled = false;
+    Promise.all(booleanKeys.split(',').map(async (key) => {
+      const [deviceId, property] = key.split(':');
+      const [prior] = await store.list('history', buildPriorValueQuery(deviceId, property, queryBounds.start));
+      return [key, prior ? prior.value : false];
+    }))
+      .then(values => { if (!cancelled) setPriorValues(Object.fromEntries(values)); })
+      .catch(e => console.error("Error fetching prior history values:", e));
+    return () => { cancelled = true; };
+  }, [store, queryBounds, booleanKeys]);
+
+  const isLoading = Boolean(deviceIds) && deviceIds.split(',').some(id =>
+    !entriesByDevice[id] || (resolution !== 'raw' && !rollupsByDevice[id]));
+
+  // Stop showing the loading message if nothing arrives, e.g. while the connection is down.
+  useEffect(() => {
+    setIsWaiting(false);
+    if (!isLoading) return;
+    const timeoutId = setTimeout(() => setIsWaiting(true), HISTORY_LOAD_TIMEOUT_MS);
+    return () => clearTimeout(timeoutId);
+  }, [isLoading, deviceIds, queryBounds, resolution]);
+
+  // Raw readings are charted as they are, with dense numeric series downsampled;
+  // long ranges chart the average of each rollup bucket. Points the range has slid past
+  // are dropped.
+  const getPoints = (device, property, definition) => {
+    const rawPoints = toSeriesPoints(entriesByDevice[device.id] || [], device, property);
+    if (resolution !== 'raw') {
+      const firstBucket = ROLLUP_RESOLUTIONS[resolution].bucketStart(bounds.start).getTime();
+      return toRollupPoints(rollupsByDevice[device.id] || [], rawPoints, property, resolution).filter(point => point.time >= firstBucket);
+    }
+    const inRange = rawPoints.filter(point => point.time >= bounds.start.getTime());
+    return definition?.kind === 'boolean' ? inRange : downsampleLTTB(inRange, MAX_CHART_POINTS);
+  };
+
+  // One chart line per series, labelled with its device and metric.
+  const chartSeries = series.map((s, index) => {
+    const device = devicesById[s.deviceId];
+    const definition = getPropertyDefinition(device, s.property);
+    return {
+      ...s,
+      key: seriesKey(s),
+      color: SERIES_COLORS[index % SERIES_COLORS.length],
+      definition,
+      name: `${device.name} ${definition?.label || s.property}`,
+      points: getPoints(device, s.property, definition),
+    };
+  });
+  const rows = mergeSeries(chartSeries);
+  const booleanSeries = chartSeries.filter(s => s.definition?.kind === 'boolean');
+  const hasBooleanSeries = booleanSeries.length > 0;
+  const showDates = bounds && bounds.end - bounds.start > DAY_MS;
+
+  const formatTime = (time) => {
+    const date = new Date(time);
+    const clock = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    return showDates ? `${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${clock}` : clock;
+  };
+
+  const pickerDevice = devicesById[pickerDeviceId];
+  const pickerMetrics = getHistoryMetrics(pickerDevice);
+  const canAddSeries = pickerDevice && pickerProperty
+    && series.length < SERIES_COLORS.length
+    && !series.some(s => s.deviceId === pickerDeviceId && s.property === pickerProperty);
+
+  const handleAddSeries = () => {
+    setSelectedSeries([...series, { deviceId: pickerDeviceId, property: pickerProperty }]);
+    setPickerProperty('');
+  };
+
+  const handleRemoveSeries = (key) => setSelectedSeries(series.filter(s => seriesKey(s) !== key));
+
+  return (
+    <div className="flex-1 flex flex-col">
+      <div className="flex flex-wrap gap-2 mb-4">
+        {HISTORY_RANGES.map(range => (
+          <button
+            key={range.key}
+            onClick={() => setRangeKey(range.key)}
+            className={`px-3 py-1 rounded-xl text-sm font-bold ${rangeKey === range.key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          >
+            {range.label}
+          </button>
+        ))}
+      </div>
+      {rangeKey === 'custom' && (
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          <input
+            type="datetime-local"
+            className={inputClasses}
+            value={custom.start}
+            onChange={(e) => setCustom({ ...custom, start: e.target.value })}
+          />
+          <input
+            type="datetime-local"
+            className={inputClasses}
+            value={custom.end}
+            onChange={(e) => setCustom({ ...custom, end: e.target.value })}
+          />
+          {!bounds && <p className="col-span-2 text-sm text-red-600">The start must be before the end.</p>}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {chartSeries.map(s => (
+          <span key={s.key} className="flex items-center gap-1 bg-white/70 rounded-full px-3 py-1 text-xs font-bold text-gray-700">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: s.color }} />
+            {s.name}
+            <button onClick={() => handleRemoveSeries(s.key)} className="text-gray-500 hover:text-red-600" title="Remove series">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+      <div className="flex gap-2 mb-4">
+        <select
+          className={`${inputClasses} flex-1`}
+          value={pickerDeviceId}
+          onChange={(e) => { setPickerDeviceId(e.target.value); setPickerProperty(''); }}
+        >
+          <option value="">Device</option>
+          {chartableDevices.map(d => (
+            <option key={d.id} value={d.id}>{d.name}</option>
+          ))}
+        </select>
+        <select
+          className={`${inputClasses} flex-1`}
+          value={pickerProperty}
+          onChange={(e) => setPickerProperty(e.target.value)}
+          disabled={!pickerDevice}
+        >
+          <option value="">Metric</option>
+          {pickerMetrics.map(m => (
+            <option key={m.property} value={m.property}>{m.kind === 'boolean' ? `${m.label} (on/off time)` : m.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleAddSeries}
+          disabled={!canAddSeries}
+          className="bg-blue-600 hover:bg-blue-700 text-white p-2 rounded-xl disabled:opacity-40"
+          title="Add series"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 min-h-[300px]">
+        {series.length === 0 ? (
+          <div className="flex items-center justify-center h-full text-gray-500 italic">
+            No devices record history yet.
+          </div>
+        ) : !bounds ? (
+          <div className="flex items-center justify-center h-full text-gray-500 italic">
+            Choose a valid time range.
+          </div>
+        ) : loadError ? (
+          <div className="flex items-center justify-center h-full text-red-600 italic text-center">
+            Couldn&apos;t load the {loadError === 'rollups' ? 'history rollups' : 'history'} for this range. See the browser console for details.
+          </div>
+        ) : isLoading && isWaiting ? (
+          <div className="flex items-center justify-center h-full text-gray-500 italic text-center">
+            No history has arrived yet. The connection may be down; the chart fills in once it does.
+          </div>
+        ) : isLoading ? (
+          <div className="flex items-center justify-center h-full text-gray-500 italic">
+            <span className="animate-pulse">Loading historical data...</span>
+          </div>
+        ) : rows.length === 0 ? (
+          <div className="flex items-center justify-center h-full text-gray-500 italic">
+            No readings in this range.
+          </div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={rows} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+              <XAxis
+                dataKey="time"
+                type="number"
+                scale="time"
+                domain={[bounds.start.getTime(), live ? 'dataMax' : bounds.end.getTime()]}
+                tickFormatter={formatTime}
+                angle={-45}
+                textAnchor="end"
+                height={60}
+                tick={{ fill: '#4b5563', fontSize: 12 }}
+                axisLine={{ stroke: '#d1d5db' }}
+              />
+              <YAxis
+                yAxisId="value"
+                tick={{ fill: '#4b5563', fontSize: 12 }}
+                axisLine={{ stroke: '#d1d5db' }}
+              />
+              {hasBooleanSeries && (
+                <YAxis
+                  yAxisId="state"
+                  orientation="right"
+                  domain={[0, 1]}
+                  ticks={[0, 1]}
+                  tickFormatter={(value) => (value ? 'On' : 'Off')}
+                  tick={{ fill: '#4b5563', fontSize: 12 }}
+                  axisLine={{ stroke: '#d1d5db' }}
+                />
+              )}
+              <Tooltip
+                labelFormatter={formatTime}
+                formatter={(value, name, item) => {
+                  const definition = chartSeries.find(s => s.key === item.dataKey)?.definition;
+                  if (definition?.kind === 'boolean' && resolution !== 'raw') return `${Math.round(value * 100)}% on`;
+                  return formatPropertyValue(definition, value);
+                }}
+                contentStyle={{ backgroundColor: 'rgba(255,255,255,0.8)', border: 'none', borderRadius: '10px' }}
+              />
+              {chartSeries.map(s => (
+                <Line
+                  key={s.key}
+                  yAxisId={s.definition?.kind === 'boolean' ? 'state' : 'value'}
+                  type={s.definition?.kind === 'boolean' ? 'stepAfter' : 'monotone'}
+                  dataKey={s.key}
+                  name={s.name}
+                  stroke={s.color}
+                  strokeWidth={3}
+                  dot={false}
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      {series.map(s => devicesById[s.deviceId])
+        .filter((device, index, charted) => charted.indexOf(device) === index && isDeviceOffline(device, now, offlineMinutes))
+        .map(device => (
+          <p key={device.id} className="mt-2 text-xs text-gray-500">
+            {device.name} is offline: its last report was {describeLastSeen(device.lastSeen, now)}, so its line stops there.
+          </p>
+        ))}
+      {resolution !== 'raw' && (
+        <p className="mt-2 text-xs text-gray-500">
+          {RESOLUTION_LABELS[resolution]}{hasBooleanSeries ? '; on/off series show the share of readings that were on.' : '.'}
+        </p>
+      )}
+      {booleanSeries.length > 0 && resolution === 'raw' && bounds && !isLoading && (
+        <ul className="mt-4 space-y-1 text-sm text-gray-700">
+          {booleanSeries.map(s => (
+            <li key={s.key}>
+              <span className="font-semibold">{s.name}:</span>{' '}
+              {s.definition.labels?.[1] || 'On'} for{' '}
+              {formatDuration(getOnDuration(
+                toSeriesPoints(entriesByDevice[s.deviceId] || [], devicesById[s.deviceId], s.property),
+                priorValues[s.key],
+                bounds.start,
+                live ? now : bounds.end,
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HistoryExplorer;
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { X, Download, Upload } from 'lucide-react';
+import { buildHomeExport, parseHomeConfig, planHomeImport } from '../backup/homeConfig.js';
+
+const inputClasses = "shadow border rounded-lg w-full py-2 px-3 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+const CHANGE_STYLES = {
+  added: { sign: '+', className: 'text-green-700' },
+  updated: { sign: '~', className: 'text-amber-700' },
+  removed: { sign: '−', className: 'text-red-700' },
+};
+
+const COLLECTION_LABELS = {
+  devices: 'Devices',
+  rooms: 'Rooms',
+  scenes: 'Scenes',
+  modes: 'House modes',
+  rules: 'Rules',
+  schedules: 'Schedules',
+  alerts: 'Alerts',
+};
+
+// Backup and restore: export the home configuration as JSON, or import one with a preview
+// of what would change. `current` holds the current devices, room documents, scenes, house
+// mode defaults, rules, schedules and alerts; `onApply` writes the planned import and
+// resolves to true on success.
+// `canImport` and `canReplace` follow the user's role in the home: replacing deletes devices.
+const HomeConfigModal = ({ current, appId, location, canImport, canReplace, onApply, onClose }) => {
+  const [text, setText] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [isApplying, setIsApplying] = useState(false);
+
+  const { config, errors } = text.trim() ? parseHomeConfig(text, location) : { config: null, errors: [] };
+  const plan = config && errors.length === 0 ? planHomeImport(config, current, mode) : null;
+
+  const handleExport = () => {
+    const json = JSON.stringify(buildHomeExport(current), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `smart-home-${appId}-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) setText(await file.text());
+  };
+
+  const handleApply = async () => {
+    if (mode === 'replace' && !window.confirm('Replace the whole home configuration? Everything not in the file will be deleted.')) return;
+    setIsApplying(true);
+    const applied = await onApply(plan.operations);
+    setIsApplying(false);
+    if (applied) setText('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Backup & Restore</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <section className="mb-8">
+          <h3 className="text-lg font-bold text-gray-800 mb-2">Export</h3>
+          <p className="text-sm text-gray-600 mb-3">
+            Download your devices, rooms, scenes, house mode defaults, rules, schedules and alerts as a JSON file, to keep in version control or restore later.
+          </p>
+          <button onClick={handleExport} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl flex items-center gap-2">
+            <Download className="w-4 h-4" /> Export configuration
+          </button>
+        </section>
+
+        <section>
+          <h3 className="text-lg font-bold text-gray-800 mb-2">Import</h3>
+          {!canImport ? (
+            <p className="text-sm text-gray-500 italic">Guests can't import configurations. Ask the home's owner or a member.</p>
+          ) : (
+            <>
+              <label className="inline-flex items-center gap-2 bg-gray-200 hover:bg-gray-300 text-gray-700 font-bold py-2 px-4 rounded-xl cursor-pointer mb-3">
+                <Upload className="w-4 h-4" /> Choose file
+                <input type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+              </label>
+              <textarea
+                className={`${inputClasses} font-mono h-32 mb-3`}
+                placeholder="...or paste an exported configuration"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+              />
+
+              {errors.length > 0 && (
+                <div className="bg-red-50 border border-red-200 rounded-xl p-3 mb-3 text-sm text-red-700">
+                  <p className="font-bold mb-1">This configuration can't be imported:</p>
+                  <ul className="list-disc list-inside space-y-1">
+                    {errors.map((error, index) => <li key={index}>{error}</li>)}
+                  </ul>
+                </div>
+              )}
+
+              {plan && (
+                <>
+                  <div className="flex gap-4 mb-3 text-sm text-gray-700">
+                    <label className="flex items-center gap-2">
+                      <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                      Merge into the current home
+                    </label>
+                    {canReplace && (
+                      <label className="flex items-center gap-2">
+                        <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                        Replace the current home
+                      </label>
+                    )}
+                  </div>
+
+                  <ul className="space-y-2 mb-3 text-sm">
+                    {Object.entries(COLLECTION_LABELS).map(([name, label]) => {
+                      const changes = plan.changes[name];
+                      return (
+                        <li key={name} className="p-2 bg-gray-50 rounded-xl">
+                          <p className="font-semibold text-gray-800">
+                            {label}: {changes.added.length} added, {changes.updated.length} updated, {changes.removed.length} removed, {changes.unchanged.length} unchanged
+                          </p>
+                          {Object.entries(CHANGE_STYLES).flatMap(([kind, { sign, className }]) =>
+                            changes[kind].map((itemName, index) => (
+                              <p key={`${kind}-${index}`} className={className}>{sign} {itemName}</p>
+                            )))}
+                        </li>
+                      );
+                    })}
+                  </ul>
+
+                  {plan.remapped.length > 0 && (
+                    <div className="text-sm text-gray-600 mb-3">
+                      <p className="font-semibold">References will be remapped for:</p>
+                      <ul className="list-disc list-inside">
+                        {plan.remapped.map(({ collection, name, from, to }) => (
+                          <li key={`${collection}-${from}`}>{name}: {from} → {to}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <button
+                    onClick={handleApply}
+                    disabled={isApplying || plan.operations.length === 0}
+                    className={`${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-purple-600 hover:bg-purple-700'} text-white font-bold py-2 px-4 rounded-xl disabled:opacity-40`}
+                  >
+                    {plan.operations.length === 0 ? 'Nothing to change' : mode === 'replace' ? 'Replace configuration' : 'Merge configuration'}
+                  </button>
+                </>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default HomeConfigModal;
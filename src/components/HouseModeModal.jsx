@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { HOUSE_MODES } from '../modes/modes.js';
+import ActionListEditor from './ActionListEditor.jsx';
+
+// Editor for the default device states of each house mode, set whenever the home switches
+// to it. `onSubmit(mode, actions)` saves one mode's defaults; an empty list clears them.
+const HouseModeModal = ({ devices, scenes, modeDocs, initialMode, onSubmit, onClose }) => {
+  const [mode, setMode] = useState(initialMode);
+  const [actions, setActions] = useState(() => modeDocs.find(doc => doc.id === initialMode)?.actions || []);
+
+  const handleModeSelect = (next) => {
+    setMode(next);
+    setActions(modeDocs.find(doc => doc.id === next)?.actions || []);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(mode, actions);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">House Modes</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {HOUSE_MODES.map(({ value, label, icon }) => {
+            const Icon = icon;
+            return (
+              <button
+                key={value}
+                type="button"
+                onClick={() => handleModeSelect(value)}
+                className={`px-3 py-1 rounded-xl text-sm font-bold flex items-center gap-1 ${mode === value ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+              >
+                <Icon className="w-4 h-4" /> {label}
+              </button>
+            );
+          })}
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <label className="block text-gray-700 text-sm font-bold mb-2">When the home switches to this mode, set</label>
+          {actions.length === 0 && <p className="text-sm text-gray-500 italic">Nothing: devices are left as they are.</p>}
+          <ActionListEditor devices={devices} actions={actions} scenes={scenes} allowRooms allowEmpty onChange={setActions} />
+          <div className="flex justify-end mt-6">
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
+            >
+              Save Defaults
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default HouseModeModal;
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Copy, LogOut, UserPlus } from 'lucide-react';
+import { ROLES, INVITE_ROLES, can, getRoleLabel, formatInviteCode } from '../households/households.js';
+
+const inputClasses = "shadow border rounded-lg w-full py-2 px-3 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Household screen: the current home's members and their roles, invites for the owner,
+// and joining, creating or leaving homes. `onCreateInvite` resolves to the new invite
+// `{ code, data }` or null; `onJoin` and `onCreateHome` resolve to true on success so
+// their forms can reset.
+const HouseholdModal = ({
+  home,
+  members,
+  userId,
+  role,
+  onRename,
+  onMemberNameChange,
+  onMemberRoleChange,
+  onMemberRemove,
+  onCreateInvite,
+  onJoin,
+  onCreateHome,
+  onLeave,
+  onClose,
+}) => {
+  const [inviteRole, setInviteRole] = useState('member');
+  const [invite, setInvite] = useState(null);
+  const [joinCode, setJoinCode] = useState('');
+  const [newHomeName, setNewHomeName] = useState('');
+
+  const isOwner = can(role, 'manageHome');
+
+  const handleFieldBlur = (current, value, onChange) => {
+    if (value.trim() && value.trim() !== current) onChange(value.trim());
+  };
+
+  const handleCreateInvite = async () => setInvite(await onCreateInvite(inviteRole));
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    if (await onJoin(joinCode)) setJoinCode('');
+  };
+
+  const handleCreateHome = async (e) => {
+    e.preventDefault();
+    if (await onCreateHome(newHomeName)) setNewHomeName('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Household</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {home && (
+          <section className="mb-8">
+            <div className="flex items-center gap-2 mb-3">
+              <input
+                key={`home-${home.name}`}
+                type="text"
+                className={`${inputClasses} text-lg font-bold`}
+                defaultValue={home.name}
+                onBlur={(e) => handleFieldBlur(home.name, e.target.value, onRename)}
+                disabled={!isOwner}
+                aria-label="Home name"
+              />
+              {!isOwner && (
+                <button
+                  onClick={onLeave}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-bold py-2 px-3 rounded-xl flex items-center gap-1 whitespace-nowrap text-sm"
+                >
+                  <LogOut className="w-4 h-4" /> Leave
+                </button>
+              )}
+            </div>
+
+            <ul className="space-y-2 mb-4">
+              {members.map(member => {
+                const isSelf = member.id === userId;
+                return (
+                  <li key={member.id} className="grid grid-cols-12 gap-2 items-center p-2 bg-gray-50 rounded-xl text-sm">
+                    {isSelf ? (
+                      <input
+                        key={`name-${member.name}`}
+                        type="text"
+                        className={`${inputClasses} col-span-6`}
+                        defaultValue={member.name}
+                        onBlur={(e) => handleFieldBlur(member.name, e.target.value, onMemberNameChange)}
+                        aria-label="Your name"
+                      />
+                    ) : (
+                      <span className="col-span-6 text-gray-800">{member.name}</span>
+                    )}
+                    {isOwner && member.role !== 'owner' ? (
+                      <select
+                        className={`${inputClasses} col-span-4`}
+                        value={member.role}
+                        onChange={(e) => onMemberRoleChange(member, e.target.value)}
+                        aria-label="Role"
+                      >
+                        {INVITE_ROLES.map(r => (
+                          <option key={r} value={r}>{getRoleLabel(r)}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="col-span-4 font-semibold text-gray-600">
+                        {getRoleLabel(member.role)}{isSelf && ' (you)'}
+                      </span>
+                    )}
+                    {isOwner && !isSelf && (
+                      <button onClick={() => onMemberRemove(member)} className="col-span-2 justify-self-end text-gray-500 hover:text-red-600" title="Remove from home">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+
+            <ul className="text-xs text-gray-500 space-y-1 mb-4">
+              {ROLES.map(r => (
+                <li key={r.value}><span className="font-semibold">{r.label}:</span> {r.description}.</li>
+              ))}
+            </ul>
+
+            {isOwner && (
+              <div className="p-3 bg-purple-50 rounded-xl">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm text-gray-700">Invite someone as</span>
+                  <select className={`${inputClasses} w-auto`} value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} aria-label="Invite role">
+                    {INVITE_ROLES.map(r => (
+                      <option key={r} value={r}>{getRoleLabel(r)}</option>
+                    ))}
+                  </select>
+                  <button onClick={handleCreateInvite} className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-3 rounded-xl flex items-center gap-1 text-sm">
+                    <UserPlus className="w-4 h-4" /> Create invite
+                  </button>
+                </div>
+                {invite && (
+                  <p className="mt-3 text-sm text-gray-700 flex items-center gap-2">
+                    Code <span className="font-mono font-bold text-lg tracking-wider">{formatInviteCode(invite.code)}</span>
+                    <button onClick={() => navigator.clipboard?.writeText(invite.code)} className="text-gray-500 hover:text-purple-700" title="Copy code">
+                      <Copy className="w-4 h-4" />
+                    </button>
+                    <span className="text-gray-500">for one {getRoleLabel(invite.data.role).toLowerCase()}, until {formatDate(invite.data.expiresAt)}.</span>
+                  </p>
+                )}
+              </div>
+            )}
+          </section>
+        )}
+
+        <section className="grid sm:grid-cols-2 gap-6">
+          <form onSubmit={handleJoin}>
+            <h3 className="text-lg font-bold text-gray-800 mb-2">Join a home</h3>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                className={`${inputClasses} font-mono uppercase`}
+                placeholder="ABCD-2345"
+                value={joinCode}
+                onChange={(e) => setJoinCode(e.target.value)}
+                required
+              />
+              <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-3 rounded-xl">Join</button>
+            </div>
+          </form>
+          <form onSubmit={handleCreateHome}>
+            <h3 className="text-lg font-bold text-gray-800 mb-2">New home</h3>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                className={inputClasses}
+                placeholder="e.g. Beach House"
+                value={newHomeName}
+                onChange={(e) => setNewHomeName(e.target.value)}
+                required
+              />
+              <button type="submit" className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-2 rounded-xl" title="Create home">
+                <Plus className="w-5 h-5" />
+              </button>
+            </div>
+          </form>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default HouseholdModal;
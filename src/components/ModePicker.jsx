@@ -0,0 +1,33 @@
+import React from 'react';
+import { HOUSE_MODES } from '../modes/modes.js';
+
+// Picks the house modes a rule or scene is limited to, shared by the rule and scene forms.
+// Picking none means every mode.
+const ModePicker = ({ modes, onChange }) => {
+  const toggleMode = (mode) =>
+    onChange(modes.includes(mode) ? modes.filter(m => m !== mode) : HOUSE_MODES.map(m => m.value).filter(m => m === mode || modes.includes(m)));
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 text-sm font-bold mb-2">Only in these modes (optional)</label>
+      <div className="flex flex-wrap gap-1">
+        {HOUSE_MODES.map(({ value, label, icon }) => {
+          const Icon = icon;
+          return (
+            <button
+              key={value}
+              type="button"
+              onClick={() => toggleMode(value)}
+              className={`px-2 py-1 rounded-lg text-xs font-bold flex items-center gap-1 ${modes.includes(value) ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+            >
+              <Icon className="w-3 h-3" /> {label}
+            </button>
+          );
+        })}
+      </div>
+      <p className="mt-1 text-xs text-gray-500">{modes.length === 0 ? 'Applies in every mode.' : 'Ignored in the other modes.'}</p>
+    </div>
+  );
+};
+
+export default ModePicker;
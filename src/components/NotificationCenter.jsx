@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Bell } from 'lucide-react';
+import { COMPARATORS, getComparableProperties } from '../rules/engine.js';
+import { ALERT_TYPES, ALERT_SEVERITIES, createEmptyAlert, describeAlert } from '../notifications/alerts.js';
+import { isBrowserDeliverySupported } from '../notifications/notifications.js';
+
+const inputClasses = "shadow border rounded-lg w-full py-2 px-3 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+const SEVERITY_DOTS = {
+  info: 'bg-blue-500',
+  success: 'bg-green-500',
+  warning: 'bg-amber-500',
+  error: 'bg-red-500',
+};
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+// Notification center: the history of rule, schedule and alert notifications, and the
+// user's alert conditions. `devices` includes the whole-home energy meter, so alerts can
+// watch energy readings like rules do. Alerts belong to the home, so only members who can
+// edit automations (`canEditAlerts`) add, pause or delete them.
+const NotificationCenter = ({
+  notifications,
+  alerts,
+  devices,
+  rules,
+  canEditAlerts,
+  browserDelivery,
+  onBrowserDeliveryChange,
+  onClear,
+  onAlertAdd,
+  onAlertToggle,
+  onAlertDelete,
+  onClose,
+}) => {
+  const [tab, setTab] = useState('history');
+  const [newAlert, setNewAlert] = useState(createEmptyAlert);
+
+  const reportingDevices = devices.filter(d => d.lastSeen);
+  const properties = getComparableProperties(devices.find(d => d.id === newAlert.deviceId));
+
+  const handleAlertChange = (changes) => setNewAlert({ ...newAlert, ...changes });
+
+  const handleAlertSubmit = async (e) => {
+    e.preventDefault();
+    if (await onAlertAdd(newAlert)) setNewAlert(createEmptyAlert());
+  };
+
+  const tabClasses = (key) =>
+    `px-3 py-1 rounded-xl text-sm font-bold ${tab === key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Notifications</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <button onClick={() => setTab('history')} className={tabClasses('history')}>History</button>
+          <button onClick={() => setTab('alerts')} className={tabClasses('alerts')}>Alerts</button>
+          {isBrowserDeliverySupported() && (
+            <label className="ml-auto flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={browserDelivery} onChange={(e) => onBrowserDeliveryChange(e.target.checked)} />
+              Browser notifications for alerts
+            </label>
+          )}
+        </div>
+
+        {tab === 'history' ? (
+          <>
+            {notifications.length === 0 ? (
+              <p className="text-gray-500 italic">No notifications yet.</p>
+            ) : (
+              <>
+                <ul className="space-y-2 mb-4">
+                  {notifications.map(notification => (
+                    <li key={notification.id} className="flex items-start gap-3 p-2 bg-gray-50 rounded-xl text-sm">
+                      <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${SEVERITY_DOTS[notification.severity] || SEVERITY_DOTS.info}`} />
+                      <span className={`flex-1 ${notification.read ? 'text-gray-600' : 'font-semibold text-gray-800'}`}>{notification.message}</span>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">{formatDateTime(notification.timestamp)}</span>
+                    </li>
+                  ))}
+                </ul>
+                <button onClick={onClear} className="text-sm font-bold text-red-600 hover:text-red-700">
+                  Clear history
+                </button>
+              </>
+            )}
+          </>
+        ) : (
+          <>
+            {alerts.length === 0 ? (
+              <p className="text-gray-500 italic mb-6">{canEditAlerts ? 'No alerts yet. Add one below to be told when something needs attention.' : 'No alerts yet.'}</p>
+            ) : (
+              <ul className="space-y-2 mb-6">
+                {alerts.map(alert => (
+                  <li key={alert.id} className="flex items-center gap-3 p-2 bg-gray-50 rounded-xl text-sm">
+                    <Bell className={`w-4 h-4 flex-shrink-0 ${alert.severity === 'error' ? 'text-red-600' : 'text-amber-500'}`} />
+                    <div className={`flex-1 ${alert.enabled === false ? 'opacity-50' : ''}`}>
+                      <p className="font-semibold text-gray-800">{alert.name}</p>
+                      <p className="text-gray-600">{describeAlert(alert, devices, rules)}</p>
+                    </div>
+                    <label className="flex items-center gap-1 text-gray-600">
+                      <input type="checkbox" checked={alert.enabled !== false} onChange={() => onAlertToggle(alert)} disabled={!canEditAlerts} />
+                      On
+                    </label>
+                    {canEditAlerts && (
+                      <button onClick={() => onAlertDelete(alert)} className="text-gray-500 hover:text-red-600" title="Delete alert">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {canEditAlerts && (
+              <form onSubmit={handleAlertSubmit} className="space-y-3">
+                <h3 className="text-lg font-bold text-gray-800">New Alert</h3>
+                <div className="grid grid-cols-12 gap-2">
+                  <input
+                    type="text"
+                    className={`${inputClasses} col-span-6`}
+                    placeholder="Alert name, e.g. Bathroom humid"
+                    value={newAlert.name}
+                    onChange={(e) => handleAlertChange({ name: e.target.value })}
+                    required
+                  />
+                  <select
+                    className={`${inputClasses} col-span-3`}
+                    value={newAlert.type}
+                    onChange={(e) => handleAlertChange({ type: e.target.value, deviceId: '', property: '' })}
+                  >
+                    {ALERT_TYPES.map(t => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    className={`${inputClasses} col-span-3`}
+                    value={newAlert.severity}
+                    onChange={(e) => handleAlertChange({ severity: e.target.value })}
+                    aria-label="Severity"
+                  >
+                    {ALERT_SEVERITIES.map(severity => (
+                      <option key={severity} value={severity}>{severity === 'error' ? 'Error' : 'Warning'}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {newAlert.type === 'threshold' && (
+                  <div className="grid grid-cols-12 gap-2">
+                    <select
+                      className={`${inputClasses} col-span-4`}
+                      value={newAlert.deviceId}
+                      onChange={(e) => handleAlertChange({ deviceId: e.target.value, property: '' })}
+                      required
+                    >
+                      <option value="">Device</option>
+                      {devices.map(d => (
+                        <option key={d.id} value={d.id}>{d.name}</option>
+                      ))}
+                    </select>
+                    <select
+                      className={`${inputClasses} col-span-3`}
+                      value={newAlert.property}
+                      onChange={(e) => handleAlertChange({ property: e.target.value })}
+                      required
+                    >
+                      <option value="">Property</option>
+                      {properties.map(p => (
+                        <option key={p} value={p}>{p}</option>
+                      ))}
+                    </select>
+                    <select
+                      className={`${inputClasses} col-span-3`}
+                      value={newAlert.comparator}
+                      onChange={(e) => handleAlertChange({ comparator: e.target.value })}
+                    >
+                      {COMPARATORS.map(c => (
+                        <option key={c.value} value={c.value}>{c.label}</option>
+                      ))}
+                    </select>
+                    <div className={newAlert.comparator === 'between' ? 'col-span-2 flex gap-1' : 'col-span-2'}>
+                      <input
+                        type="text"
+                        className={inputClasses}
+                        placeholder="60"
+                        value={newAlert.value}
+                        onChange={(e) => handleAlertChange({ value: e.target.value })}
+                        required
+                      />
+                      {newAlert.comparator === 'between' && (
+                        <input
+                          type="text"
+                          className={inputClasses}
+                          placeholder="80"
+                          value={newAlert.valueMax}
+                          onChange={(e) => handleAlertChange({ valueMax: e.target.value })}
+                          required
+                        />
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {newAlert.type === 'offline' && (
+                  <div className="grid grid-cols-12 gap-2 items-center">
+                    <select
+                      className={`${inputClasses} col-span-6`}
+                      value={newAlert.deviceId}
+                      onChange={(e) => handleAlertChange({ deviceId: e.target.value })}
+                    >
+                      <option value="">Any device</option>
+                      {reportingDevices.map(d => (
+                        <option key={d.id} value={d.id}>{d.name}</option>
+                      ))}
+                    </select>
+                    <span className="col-span-3 text-sm text-gray-600 text-right">silent for (min)</span>
+                    <input
+                      type="number"
+                      min="1"
+                      className={`${inputClasses} col-span-3`}
+                      value={newAlert.minutes}
+                      onChange={(e) => handleAlertChange({ minutes: e.target.value })}
+                      required
+                    />
+                  </div>
+                )}
+
+                {newAlert.type === 'ruleFailure' && (
+                  <select
+                    className={inputClasses}
+                    value={newAlert.ruleId}
+                    onChange={(e) => handleAlertChange({ ruleId: e.target.value })}
+                  >
+                    <option value="">Any rule</option>
+                    {rules.map(r => (
+                      <option key={r.id} value={r.id}>{r.name}</option>
+                    ))}
+                  </select>
+                )}
+
+                <button type="submit" className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-xl flex items-center gap-1">
+                  <Plus className="w-4 h-4" /> Add Alert
+                </button>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationCenter;
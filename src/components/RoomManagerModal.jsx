@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+
+const inputClasses = "shadow border rounded-lg w-full py-2 px-3 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+// Room management: create rooms, rename them, and merge one room into another.
+const RoomManagerModal = ({ rooms, devices, onCreate, onRename, onDelete, onClose }) => {
+  const [newRoom, setNewRoom] = useState('');
+  const [mergeTargets, setMergeTargets] = useState({});
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await onCreate(newRoom)) setNewRoom('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Manage Rooms</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleCreate} className="flex gap-2 mb-6">
+          <input
+            type="text"
+            className={inputClasses}
+            placeholder="New room name"
+            value={newRoom}
+            onChange={(e) => setNewRoom(e.target.value)}
+            required
+          />
+          <button type="submit" className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-xl flex items-center gap-1">
+            <Plus className="w-4 h-4" /> Add
+          </button>
+        </form>
+
+        <ul className="space-y-2">
+          {rooms.map(room => {
+            const deviceCount = devices.filter(d => d.room === room).length;
+            const mergeTarget = mergeTargets[room] || '';
+            return (
+              <li key={room} className="grid grid-cols-12 gap-2 items-center p-2 bg-gray-50 rounded-xl">
+                <input
+                  key={room}
+                  type="text"
+                  className={`${inputClasses} col-span-4`}
+                  defaultValue={room}
+                  onBlur={(e) => onRename(room, e.target.value)}
+                  aria-label="Room name"
+                />
+                <span className="col-span-2 text-sm text-gray-600">{deviceCount} device{deviceCount === 1 ? '' : 's'}</span>
+                <select
+                  className={`${inputClasses} col-span-3`}
+                  value={mergeTarget}
+                  onChange={(e) => setMergeTargets({ ...mergeTargets, [room]: e.target.value })}
+                  aria-label="Merge into"
+                >
+                  <option value="">Merge into...</option>
+                  {rooms.filter(r => r !== room).map(r => (
+                    <option key={r} value={r}>{r}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => onRename(room, mergeTarget)}
+                  disabled={!mergeTarget}
+                  className="col-span-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-2 rounded-xl disabled:opacity-30"
+                >
+                  Merge
+                </button>
+                <button
+                  onClick={() => onDelete(room)}
+                  disabled={deviceCount > 0}
+                  className="col-span-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                  title={deviceCount > 0 ? 'Move or merge its devices first' : 'Delete room'}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default RoomManagerModal;
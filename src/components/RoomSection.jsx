@@ -0,0 +1,72 @@
+import React from 'react';
+import { Thermometer, Droplet, Lightbulb } from 'lucide-react';
+import { summarizeRoom } from '../rooms/rooms.js';
+
+// One room of the dashboard: a header with the room's summary and room-wide light
+// controls, followed by the room's device cards.
+const RoomSection = ({ room, devices, onRoomAction, children }) => {
+  const summary = summarizeRoom(devices);
+  const lights = devices.filter(d => d.type === 'light');
+  const averageBrightness = lights.length > 0
+    ? Math.round(lights.reduce((sum, d) => sum + (d.brightness ?? 0), 0) / lights.length)
+    : 0;
+
+  return (
+    <div className="mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <h3 className="text-xl font-bold text-gray-800">{room}</h3>
+          {summary.temperature !== null && (
+            <span className="flex items-center gap-1 text-sm text-gray-600">
+              <Thermometer className="w-4 h-4 text-blue-600" /> {Math.round(summary.temperature)}°F
+            </span>
+          )}
+          {summary.humidity !== null && (
+            <span className="flex items-center gap-1 text-sm text-gray-600">
+              <Droplet className="w-4 h-4 text-indigo-600" /> {Math.round(summary.humidity)}%
+            </span>
+          )}
+          {summary.lightsTotal > 0 && (
+            <span className="flex items-center gap-1 text-sm text-gray-600">
+              <Lightbulb className="w-4 h-4 text-yellow-600" /> {summary.lightsOn}/{summary.lightsTotal} on
+            </span>
+          )}
+        </div>
+        {lights.length > 0 && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => onRoomAction(room, 'light', 'isOn', true)}
+              className="px-3 py-1 rounded-xl text-sm font-bold bg-yellow-500 hover:bg-yellow-600 text-white"
+            >
+              Lights on
+            </button>
+            <button
+              onClick={() => onRoomAction(room, 'light', 'isOn', false)}
+              className="px-3 py-1 rounded-xl text-sm font-bold bg-gray-400 hover:bg-gray-500 text-gray-800"
+            >
+              Lights off
+            </button>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={averageBrightness}
+              onChange={(e) => onRoomAction(room, 'light', 'brightness', parseFloat(e.target.value))}
+              className="w-24 h-2 bg-yellow-300 rounded-lg appearance-none cursor-pointer"
+              title={`Set all ${room} lights brightness (${averageBrightness}%)`}
+            />
+          </div>
+        )}
+      </div>
+      {devices.length === 0 ? (
+        <p className="text-gray-500 italic">No devices in this room yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomSection;
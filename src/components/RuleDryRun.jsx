@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { FlaskConical } from 'lucide-react';
+import { validateConditions } from '../rules/engine.js';
+import { validateActions } from '../rules/actions.js';
+import {
+  getBacktestRanges,
+  findActionConflicts,
+  getBacktestDevices,
+  loadBacktestHistory,
+  getUnrecordedConditions,
+  validateBacktest,
+  backtestRule,
+  CONFLICT_WINDOW_MS,
+} from '../rules/backtest.js';
+import { getPropertyDefinition, formatPropertyValue } from '../devices/registry.js';
+
+// How many firings the result lists.
+const FIRINGS_LIMIT = 50;
+
+const inputClasses = "shadow border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:shadow-outline";
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+// Describes one device property and value, e.g. "Ceiling Fan Power On".
+const describeValue = ({ deviceId, property, value }, devices) => {
+  const device = devices.find(d => d.id === deviceId);
+  const definition = getPropertyDefinition(device, property);
+  return `${device?.name || 'Device'} ${definition?.label || property} ${formatPropertyValue(definition, value)}`;
+};
+
+// Dry run of a draft rule: replays it over recorded history (see rules/backtest.js) and
+// lists when it would have fired, what it would have set and which existing rules it
+// fights with. Reads history only. `rule` is the draft as it would be saved.
+const RuleDryRun = ({ store, rule, rules, devices, scenes, retention }) => {
+  const ranges = getBacktestRanges(retention);
+  const [rangeKey, setRangeKey] = useState(ranges[1].key);
+  const [run, setRun] = useState(null);
+
+  const handleRun = async () => {
+    const error = validateConditions(rule.conditions) || validateActions(rule.actions, devices, scenes) || validateBacktest(rule);
+    if (error) {
+      setRun({ error });
+      return;
+    }
+
+    const end = new Date();
+    const bounds = { start: new Date(end.getTime() - ranges.find(r => r.key === rangeKey).durationMs), end };
+    const actionConflicts = findActionConflicts(rule, rules, devices, scenes);
+    const conflictingRules = [...new Set(actionConflicts.map(conflict => conflict.rule))];
+    setRun({ loading: true });
+    try {
+      const history = await loadBacktestHistory(store, devices, getBacktestDevices(rule, conflictingRules), bounds);
+      setRun({
+        draft: JSON.stringify(rule),
+        actionConflicts,
+        unrecorded: getUnrecordedConditions(rule, devices),
+        ...backtestRule(rule, conflictingRules, devices, scenes, history, bounds),
+      });
+    } catch (e) {
+      console.error("Error running dry run: ", e);
+      setRun({ error: 'Failed to load history for the dry run.' });
+    }
+  };
+
+  const renderResult = () => {
+    if (run.error) return <p className="text-sm text-red-600">{run.error}</p>;
+    if (run.loading) return <p className="text-sm text-gray-500 italic animate-pulse">Replaying history...</p>;
+
+    return (
+      <div className="space-y-3 text-sm">
+        {run.draft !== JSON.stringify(rule) && (
+          <p className="text-amber-700">The rule has changed since this dry run.</p>
+        )}
+        <p className="text-gray-800">
+          Would have fired <span className="font-bold">{run.firings.length}</span> {run.firings.length === 1 ? 'time' : 'times'} over {run.readings} recorded {run.readings === 1 ? 'reading' : 'readings'}.
+        </p>
+        {run.unrecorded.length > 0 && (
+          <p className="text-gray-500">
+            Not recorded, so held at the current value: {run.unrecorded.map(condition => describeValue({ ...condition, value: devices.find(d => d.id === condition.deviceId)?.[condition.property] }, devices)).join(', ')}.
+          </p>
+        )}
+
+        {rule.modes?.length > 0 && (
+          <p className="text-gray-500">House mode changes aren&apos;t replayed, so the rule ran as if in every mode.</p>
+        )}
+
+        {run.firings.length > 0 && (
+          <ul className="space-y-1 max-h-48 overflow-y-auto pr-1">
+            {run.firings.slice(0, FIRINGS_LIMIT).map((firing, index) => (
+              <li key={index} className="p-2 bg-white/70 rounded-lg">
+                <p className="text-gray-800">
+                  <span className="font-semibold">{formatDateTime(firing.time)}</span>{' '}
+                  when {firing.trigger.map(item => describeValue(item, devices)).join(', ')}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {firing.changes.length > 0
+                    ? `Would set ${firing.changes.flatMap(({ deviceId, changes }) => Object.entries(changes).map(([property, value]) => describeValue({ deviceId, property, value }, devices))).join(', ')}`
+                    : 'Nothing to change: the devices were already set'}
+                </p>
+              </li>
+            ))}
+            {run.firings.length > FIRINGS_LIMIT && (
+              <li className="text-xs text-gray-500">and {run.firings.length - FIRINGS_LIMIT} more</li>
+            )}
+          </ul>
+        )}
+
+        {run.actionConflicts.length > 0 && (
+          <div className="p-2 bg-amber-50 rounded-lg text-amber-800">
+            <p className="font-semibold">Conflicts with existing rules</p>
+            <ul className="list-disc ml-5">
+              {run.actionConflicts.map((conflict, index) => (
+                <li key={index}>
+                  &quot;{conflict.rule.name}&quot; sets {describeValue({ ...conflict, value: conflict.otherValue }, devices)}
+                </li>
+              ))}
+            </ul>
+            {run.conflicts.length > 0 ? (
+              <ul className="list-disc ml-5 mt-1">
+                {run.conflicts.map((conflict, index) => (
+                  <li key={index}>
+                    {formatDateTime(conflict.time)}: &quot;{conflict.rule.name}&quot; fired too and set {describeValue({ ...conflict, value: conflict.otherValue }, devices)}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="mt-1">None of them fired within {CONFLICT_WINDOW_MS / 60000} minutes of this rule in this range.</p>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="mb-6 p-3 bg-gray-50 rounded-xl">
+      <div className="flex items-center gap-2">
+        <label className="text-gray-700 text-sm font-bold">Dry run</label>
+        <select className={`${inputClasses} flex-1`} value={rangeKey} onChange={(e) => setRangeKey(e.target.value)} aria-label="Dry run range">
+          {ranges.map(r => (
+            <option key={r.key} value={r.key}>{r.label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleRun}
+          disabled={run?.loading}
+          className="bg-purple-600 hover:bg-purple-700 text-white text-sm font-bold py-1 px-3 rounded-xl flex items-center gap-1 disabled:opacity-40"
+          title="Replay this rule against recorded history without changing any device"
+        >
+          <FlaskConical className="w-4 h-4" /> Replay
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-1 mb-2">Replays recorded device history. Nothing is written to your devices.</p>
+      {run && renderResult()}
+    </div>
+  );
+};
+
+export default RuleDryRun;
@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { X, Plus } from 'lucide-react';
+import { COMPARATORS, getComparableProperties, getRuleConditions } from '../rules/engine.js';
+import { getRuleActions, createEmptyAction } from '../rules/actions.js';
+import { HOME_METER } from '../energy/energy.js';
+import ActionListEditor from './ActionListEditor.jsx';
+import RuleDryRun from './RuleDryRun.jsx';
+import ModePicker from './ModePicker.jsx';
+
+// Creates an empty trigger condition for the rule form.
+const emptyCondition = () => ({ deviceId: '', property: '', comparator: '', value: '', valueMax: '' });
+
+// Creates the initial state of the rule form.
+const emptyRule = () => ({
+  name: '',
+  enabled: true,
+  conditions: { operator: 'and', conditions: [emptyCondition()] },
+  actions: [createEmptyAction()],
+  modes: [],
+  hysteresis: '',
+  cooldownSeconds: '',
+});
+
+// Converts a stored rule into form state, upgrading legacy trigger and action fields.
+const toFormRule = (rule) => ({
+  ...emptyRule(),
+  id: rule.id,
+  name: rule.name || '',
+  enabled: rule.enabled !== false,
+  conditions: getRuleConditions(rule),
+  actions: getRuleActions(rule).length > 0 ? getRuleActions(rule) : [createEmptyAction()],
+  modes: rule.modes || [],
+  hysteresis: rule.hysteresis || '',
+  cooldownSeconds: rule.cooldownSeconds || '',
+});
+
+// Converts form state into the rule to save, with numeric hysteresis and cooldown.
+const toRule = (rule) => ({
+  ...rule,
+  hysteresis: Math.max(0, parseFloat(rule.hysteresis) || 0),
+  cooldownSeconds: Math.max(0, parseFloat(rule.cooldownSeconds) || 0),
+});
+
+const inputClasses = "shadow border rounded-lg w-full py-2 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+// Modal form for creating or editing an automation rule.
+// The form keeps its own draft state, prefilled from `initialRule` when editing,
+// and hands the finished rule to `onSubmit`. The draft can be dry-run against the
+// history in `store`, alongside the home's other `rules`.
+const RuleModal = ({ store, devices, scenes, rules, retention, initialRule, onSubmit, onCancel }) => {
+  const [rule, setRule] = useState(() => (initialRule ? toFormRule(initialRule) : emptyRule()));
+  const isEditing = Boolean(rule.id);
+
+  // Updates one trigger condition in the rule form.
+  const handleConditionChange = (index, changes) => {
+    const conditions = rule.conditions.conditions.map((condition, i) =>
+      i === index ? { ...condition, ...changes } : condition);
+    setRule({ ...rule, conditions: { ...rule.conditions, conditions } });
+  };
+
+  // Adds or removes trigger conditions in the rule form.
+  const handleAddCondition = () => {
+    const conditions = [...rule.conditions.conditions, emptyCondition()];
+    setRule({ ...rule, conditions: { ...rule.conditions, conditions } });
+  };
+
+  const handleRemoveCondition = (index) => {
+    const conditions = rule.conditions.conditions.filter((_, i) => i !== index);
+    setRule({ ...rule, conditions: { ...rule.conditions, conditions } });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(toRule(rule));
+  };
+
+  // Renders one editable trigger condition.
+  const renderConditionRow = (condition, index) => {
+    const properties = getComparableProperties([...devices, HOME_METER].find(d => d.id === condition.deviceId));
+
+    return (
+      <div key={index} className="grid grid-cols-12 gap-2 items-center">
+        <select
+          className={`${inputClasses} col-span-4`}
+          value={condition.deviceId}
+          onChange={(e) => handleConditionChange(index, { deviceId: e.target.value, property: '' })}
+          required
+        >
+          <option value="">Device</option>
+          {devices.map(d => (
+            <option key={d.id} value={d.id}>{d.name}</option>
+          ))}
+          <option value={HOME_METER.id}>{HOME_METER.name} (energy)</option>
+        </select>
+        <select
+          className={`${inputClasses} col-span-3`}
+          value={condition.property}
+          onChange={(e) => handleConditionChange(index, { property: e.target.value })}
+          required
+        >
+          <option value="">Property</option>
+          {properties.map(p => (
+            <option key={p} value={p}>{p}</option>
+          ))}
+        </select>
+        <select
+          className={`${inputClasses} col-span-2`}
+          value={condition.comparator}
+          onChange={(e) => handleConditionChange(index, { comparator: e.target.value })}
+          required
+        >
+          <option value="">is...</option>
+          {COMPARATORS.map(c => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+        <div className={`${condition.comparator === 'between' ? 'col-span-2 flex gap-1' : 'col-span-2'}`}>
+          <input
+            type="text"
+            className={inputClasses}
+            placeholder="75, on"
+            value={condition.value}
+            onChange={(e) => handleConditionChange(index, { value: e.target.value })}
+            required
+          />
+          {condition.comparator === 'between' && (
+            <input
+              type="text"
+              className={inputClasses}
+              placeholder="max"
+              value={condition.valueMax}
+              onChange={(e) => handleConditionChange(index, { valueMax: e.target.value })}
+              required
+            />
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => handleRemoveCondition(index)}
+          disabled={rule.conditions.conditions.length === 1}
+          className="col-span-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+          title="Remove condition"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl transform transition-all scale-95 duration-300 ease-out sm:scale-100">
+        <h2 className="text-2xl font-bold mb-6 text-gray-800">{isEditing ? 'Edit Automation Rule' : 'Create Automation Rule'}</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Rule Name</label>
+            <input
+              type="text"
+              className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+              value={rule.name}
+              onChange={(e) => setRule({ ...rule, name: e.target.value })}
+              required
+            />
+          </div>
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-gray-700 text-sm font-bold">If</label>
+              <select
+                className="shadow border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:shadow-outline"
+                value={rule.conditions.operator}
+                onChange={(e) => setRule({ ...rule, conditions: { ...rule.conditions, operator: e.target.value } })}
+              >
+                <option value="and">all of these are true</option>
+                <option value="or">any of these is true</option>
+              </select>
+            </div>
+            <div className="space-y-2">
+              {rule.conditions.conditions.map(renderConditionRow)}
+            </div>
+            <button
+              type="button"
+              onClick={handleAddCondition}
+              className="mt-2 text-sm font-bold text-purple-600 hover:text-purple-700 flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" /> Add condition
+            </button>
+          </div>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Then</label>
+            <ActionListEditor
+              devices={devices}
+              actions={rule.actions}
+              scenes={scenes}
+              allowRooms
+              onChange={(actions) => setRule({ ...rule, actions })}
+            />
+          </div>
+          <ModePicker modes={rule.modes} onChange={(modes) => setRule({ ...rule, modes })} />
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">Hysteresis (optional)</label>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                className={inputClasses}
+                placeholder="e.g., 1"
+                title="How far a reading must move back past a threshold before the rule can fire again"
+                value={rule.hysteresis}
+                onChange={(e) => setRule({ ...rule, hysteresis: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">Cooldown in seconds (optional)</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                className={inputClasses}
+                placeholder="e.g., 300"
+                title="Minimum time between two firings of this rule"
+                value={rule.cooldownSeconds}
+                onChange={(e) => setRule({ ...rule, cooldownSeconds: e.target.value })}
+              />
+            </div>
+          </div>
+          <RuleDryRun store={store} rule={toRule(rule)} rules={rules} devices={devices} scenes={scenes} retention={retention} />
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
+            >
+              {isEditing ? 'Save Rule' : 'Create Rule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RuleModal;
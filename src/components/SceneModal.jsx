@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Layers } from 'lucide-react';
+import { createEmptyAction } from '../rules/actions.js';
+import { captureScene } from '../scenes/scenes.js';
+import ActionListEditor from './ActionListEditor.jsx';
+import ModePicker from './ModePicker.jsx';
+
+// Modal form for creating a scene, either captured from the current device states
+// or built by hand action by action.
+const SceneModal = ({ devices, onSubmit, onCancel }) => {
+  const [name, setName] = useState('');
+  const [actions, setActions] = useState(() => [createEmptyAction()]);
+  const [modes, setModes] = useState([]);
+
+  const handleCapture = () => {
+    const captured = captureScene(devices);
+    if (captured.length > 0) setActions(captured);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ name, actions, modes });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl transform transition-all scale-95 duration-300 ease-out sm:scale-100">
+        <h2 className="text-2xl font-bold mb-6 text-gray-800">Create Scene</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Scene Name</label>
+            <input
+              type="text"
+              className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+              placeholder="e.g., Movie Night"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+            />
+          </div>
+          <ModePicker modes={modes} onChange={setModes} />
+          <div className="mb-6">
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-gray-700 text-sm font-bold">Device states</label>
+              <button
+                type="button"
+                onClick={handleCapture}
+                className="text-sm font-bold text-purple-600 hover:text-purple-700 flex items-center gap-1"
+              >
+                <Layers className="w-4 h-4" /> Capture current states
+              </button>
+            </div>
+            <ActionListEditor devices={devices} actions={actions} onChange={setActions} />
+          </div>
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
+            >
+              Create Scene
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SceneModal;
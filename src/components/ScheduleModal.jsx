@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { Sun } from 'lucide-react';
+import { createEmptyAction } from '../rules/actions.js';
+import { DAY_NAMES, DAY_PRESETS } from '../schedules/scheduler.js';
+import { HOUSE_MODES } from '../modes/modes.js';
+import ActionListEditor from './ActionListEditor.jsx';
+
+// Creates the initial state of the schedule form.
+// Fields for every trigger type are kept so switching type doesn't lose input.
+const emptySchedule = () => ({
+  name: '',
+  type: 'recurring',
+  time: '06:30',
+  days: [1, 2, 3, 4, 5],
+  event: 'sunset',
+  offsetMinutes: 0,
+  inMinutes: 30,
+  mode: '',
+  actions: [createEmptyAction()],
+});
+
+// Converts the form state into the stored trigger for the chosen type.
+const toTrigger = (form) => {
+  switch (form.type) {
+    case 'once':
+      return { type: 'once', at: Date.now() + (parseFloat(form.inMinutes) || 0) * 60 * 1000 };
+    case 'sun':
+      return { type: 'sun', event: form.event, offsetMinutes: parseFloat(form.offsetMinutes) || 0, days: form.days };
+    default:
+      return { type: 'recurring', time: form.time, days: form.days };
+  }
+};
+
+const inputClasses = "shadow border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+// Modal form for creating a schedule: a recurring time, a one-off timer,
+// or a sunrise/sunset offset, plus the house mode to switch to and the device actions to run.
+const ScheduleModal = ({ devices, scenes, location, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(emptySchedule);
+
+  const toggleDay = (day) => {
+    const days = form.days.includes(day) ? form.days.filter(d => d !== day) : [...form.days, day].sort();
+    setForm({ ...form, days });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ name: form.name, enabled: true, trigger: toTrigger(form), ...(form.mode && { mode: form.mode }), actions: form.actions });
+  };
+
+  // Renders the day-of-week picker shared by recurring and sun schedules.
+  const renderDayPicker = () => (
+    <div className="mb-4">
+      <label className="block text-gray-700 text-sm font-bold mb-2">On</label>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {DAY_NAMES.map((name, day) => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => toggleDay(day)}
+            className={`px-2 py-1 rounded-lg text-xs font-bold ${form.days.includes(day) ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        {DAY_PRESETS.map(preset => (
+          <button
+            key={preset.label}
+            type="button"
+            onClick={() => setForm({ ...form, days: preset.days })}
+            className="text-xs font-bold text-purple-600 hover:text-purple-700"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 backdrop-blur-sm flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl transform transition-all scale-95 duration-300 ease-out sm:scale-100">
+        <h2 className="text-2xl font-bold mb-6 text-gray-800">Create Schedule</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Schedule Name</label>
+            <input
+              type="text"
+              className={inputClasses}
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+            />
+          </div>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Run</label>
+            <select className={inputClasses} value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+              <option value="recurring">At a time of day</option>
+              <option value="once">Once, after a delay</option>
+              <option value="sun" disabled={!location}>At sunrise or sunset{location ? '' : ' (set a home location)'}</option>
+            </select>
+          </div>
+
+          {form.type === 'recurring' && (
+            <>
+              <div className="mb-4">
+                <label className="block text-gray-700 text-sm font-bold mb-2">Time</label>
+                <input type="time" className={inputClasses} value={form.time} onChange={(e) => setForm({ ...form, time: e.target.value })} required />
+              </div>
+              {renderDayPicker()}
+            </>
+          )}
+
+          {form.type === 'once' && (
+            <div className="mb-4">
+              <label className="block text-gray-700 text-sm font-bold mb-2">In how many minutes?</label>
+              <input
+                type="number"
+                min="1"
+                className={inputClasses}
+                value={form.inMinutes}
+                onChange={(e) => setForm({ ...form, inMinutes: e.target.value })}
+                required
+              />
+            </div>
+          )}
+
+          {form.type === 'sun' && (
+            <>
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-gray-700 text-sm font-bold mb-2 flex items-center gap-1">
+                    <Sun className="w-4 h-4 text-amber-500" /> Event
+                  </label>
+                  <select className={inputClasses} value={form.event} onChange={(e) => setForm({ ...form, event: e.target.value })}>
+                    <option value="sunrise">Sunrise</option>
+                    <option value="sunset">Sunset</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-gray-700 text-sm font-bold mb-2">Offset (minutes, negative for before)</label>
+                  <input
+                    type="number"
+                    className={inputClasses}
+                    value={form.offsetMinutes}
+                    onChange={(e) => setForm({ ...form, offsetMinutes: e.target.value })}
+                  />
+                </div>
+              </div>
+              {renderDayPicker()}
+            </>
+          )}
+
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Switch house mode to</label>
+            <select className={inputClasses} value={form.mode} onChange={(e) => setForm({ ...form, mode: e.target.value })}>
+              <option value="">Don't change the mode</option>
+              {HOUSE_MODES.map(m => (
+                <option key={m.value} value={m.value}>{m.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-bold mb-2">Then</label>
+            <ActionListEditor
+              devices={devices}
+              actions={form.actions}
+              scenes={scenes}
+              allowRooms
+              allowEmpty={Boolean(form.mode)}
+              onChange={(actions) => setForm({ ...form, actions })}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline"
+            >
+              Create Schedule
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleModal;
@@ -0,0 +1,41 @@
+import React, { useEffect } from 'react';
+import { Check, X, AlertTriangle, Info } from 'lucide-react';
+import { MAX_VISIBLE_TOASTS } from '../notifications/notifications.js';
+
+const SEVERITY_STYLES = {
+  info: { className: 'bg-blue-500', Icon: Info },
+  success: { className: 'bg-green-500', Icon: Check },
+  warning: { className: 'bg-amber-500', Icon: AlertTriangle },
+  error: { className: 'bg-red-500', Icon: AlertTriangle },
+};
+
+// A single toast, which dismisses itself once its time is up.
+const Toast = ({ toast, onDismiss }) => {
+  const { className, Icon } = SEVERITY_STYLES[toast.severity] || SEVERITY_STYLES.info;
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => onDismiss(toast.id), toast.durationMs);
+    return () => clearTimeout(timeoutId);
+  }, [toast.id, toast.durationMs, onDismiss]);
+
+  return (
+    <div role={toast.severity === 'error' ? 'alert' : 'status'} className={`flex items-start gap-2 p-4 rounded-lg shadow-xl text-white ${className}`}>
+      <Icon className="w-5 h-5 flex-shrink-0" />
+      <span className="flex-1">{toast.message}</span>
+      <button onClick={() => onDismiss(toast.id)} className="text-white/80 hover:text-white" title="Dismiss">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+// The toast queue: the oldest few toasts are shown, and the rest wait their turn.
+const Toasts = ({ toasts, onDismiss }) => (
+  <div className="fixed top-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]">
+    {toasts.slice(0, MAX_VISIBLE_TOASTS).map(toast => (
+      <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+    ))}
+  </div>
+);
+
+export default Toasts;
@@ -0,0 +1,168 @@
+/* global __firebase_config, __app_id, __initial_auth_token, __storage_backend, __home_location, __history_retention, __simulation, __device_bridge, __energy_tariff, __firebase_emulator, __device_health */
+
+// Runtime configuration read from global variables injected by the hosting environment,
+// falling back to Vite env variables for local development.
+// If no Firebase config is provided, the dashboard runs entirely against the local backend.
+const env = import.meta.env || {};
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    console.error('Invalid JSON config value:', e);
+    return null;
+  }
+};
+
+export const firebaseConfig = parseJson(
+  typeof __firebase_config !== 'undefined' ? __firebase_config : env.VITE_FIREBASE_CONFIG
+);
+
+export const appId = typeof __app_id !== 'undefined' ? __app_id : (env.VITE_APP_ID || 'default-app-id');
+
+export const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// Local Firebase emulators to use instead of the project, e.g. { host: 'localhost' }, to try the
+// security rules in firestore.rules. The ports default to the ones in firebase.json.
+const parseEmulator = (value) => {
+  const emulator = parseJson(value);
+  if (!emulator || !emulator.host) return null;
+  const port = (setting, fallback) => (Number.isInteger(Number(setting)) && Number(setting) > 0 ? Number(setting) : fallback);
+  return {
+    host: emulator.host,
+    firestorePort: port(emulator.firestorePort, 8080),
+    authPort: port(emulator.authPort, 9099),
+  };
+};
+
+export const firebaseEmulator = parseEmulator(
+  typeof __firebase_emulator !== 'undefined'
+    ? __firebase_emulator
+    : { host: env.VITE_FIREBASE_EMULATOR_HOST, firestorePort: env.VITE_FIRESTORE_EMULATOR_PORT, authPort: env.VITE_AUTH_EMULATOR_PORT }
+);
+
+// Which storage backend to use: 'firestore' or 'local'.
+// Defaults to Firestore only when a Firebase config is available.
+export const storageBackend =
+  (typeof __storage_backend !== 'undefined' ? __storage_backend : env.VITE_STORAGE_BACKEND) ||
+  (firebaseConfig ? 'firestore' : 'local');
+
+// Home coordinates used to compute sunrise and sunset locally, e.g. { latitude: 51.5, longitude: -0.12 }.
+// Sun-based schedules are unavailable when no location is configured.
+const parseLocation = (value) => {
+  const location = parseJson(value);
+  if (!location || !Number.isFinite(Number(location.latitude)) || !Number.isFinite(Number(location.longitude))) return null;
+  return { latitude: Number(location.latitude), longitude: Number(location.longitude) };
+};
+
+export const homeLocation = parseLocation(
+  typeof __home_location !== 'undefined'
+    ? __home_location
+    : env.VITE_HOME_LATITUDE && env.VITE_HOME_LONGITUDE
+      ? { latitude: env.VITE_HOME_LATITUDE, longitude: env.VITE_HOME_LONGITUDE }
+      : null
+);
+
+// How long history is kept at each resolution, in days. Raw readings older than `rawDays`
+// are rolled up into hourly and daily min/max/avg documents; hourly rollups are kept
+// for `hourlyDays` and daily rollups indefinitely.
+const DEFAULT_HISTORY_RETENTION = { rawDays: 2, hourlyDays: 30 };
+
+const parseRetention = (value) => {
+  const retention = { ...DEFAULT_HISTORY_RETENTION, ...parseJson(value) };
+  const valid = (days) => Number.isFinite(Number(days)) && Number(days) > 0;
+  return {
+    rawDays: valid(retention.rawDays) ? Number(retention.rawDays) : DEFAULT_HISTORY_RETENTION.rawDays,
+    hourlyDays: valid(retention.hourlyDays) ? Number(retention.hourlyDays) : DEFAULT_HISTORY_RETENTION.hourlyDays,
+  };
+};
+
+export const historyRetention = parseRetention(
+  typeof __history_retention !== 'undefined'
+    ? __history_retention
+    : { rawDays: env.VITE_HISTORY_RAW_DAYS, hourlyDays: env.VITE_HISTORY_HOURLY_DAYS }
+);
+
+// Device simulator settings: an optional `seed` for reproducible runs, a `speed` factor
+// for simulated time (0 pauses the simulator) and the real `intervalSeconds` between steps.
+const parseSimulation = (value) => {
+  const simulation = parseJson(value) || {};
+  const speed = Number(simulation.speed);
+  const intervalSeconds = Number(simulation.intervalSeconds);
+  return {
+    seed: simulation.seed ?? null,
+    speed: Number.isFinite(speed) && speed >= 0 ? speed : 1,
+    intervalSeconds: Number.isFinite(intervalSeconds) && intervalSeconds > 0 ? intervalSeconds : 60,
+  };
+};
+
+export const simulation = parseSimulation(
+  typeof __simulation !== 'undefined'
+    ? __simulation
+    : { seed: env.VITE_SIMULATION_SEED || null, speed: env.VITE_SIMULATION_SPEED, intervalSeconds: env.VITE_SIMULATION_INTERVAL_SECONDS }
+);
+
+// Device health settings: `offlineMinutes`, how long a device that reports can stay silent
+// before it counts as offline. Keep it longer than the simulator interval and the bridged
+// devices' report interval.
+const DEFAULT_OFFLINE_MINUTES = 10;
+
+const parseDeviceHealth = (value) => {
+  const offlineMinutes = Number(parseJson(value)?.offlineMinutes);
+  return { offlineMinutes: Number.isFinite(offlineMinutes) && offlineMinutes > 0 ? offlineMinutes : DEFAULT_OFFLINE_MINUTES };
+};
+
+export const deviceHealth = parseDeviceHealth(
+  typeof __device_health !== 'undefined' ? __device_health : { offlineMinutes: env.VITE_DEVICE_OFFLINE_MINUTES }
+);
+
+// Device bridge connection, e.g. { url: 'ws://localhost:9001', transport: 'mqtt', prefix: 'home' }.
+// `transport` is 'mqtt' (MQTT over WebSockets) or 'websocket' (the JSON stand-in); `username`
+// and `password` are passed to the MQTT broker. The bridge is off when no URL is configured.
+const parseBridge = (value) => {
+  const bridge = parseJson(value);
+  if (!bridge || !bridge.url) return null;
+  return {
+    url: bridge.url,
+    transport: bridge.transport === 'websocket' ? 'websocket' : 'mqtt',
+    prefix: bridge.prefix || 'home',
+    username: bridge.username || undefined,
+    password: bridge.password || undefined,
+  };
+};
+
+export const deviceBridge = parseBridge(
+  typeof __device_bridge !== 'undefined'
+    ? __device_bridge
+    : {
+      url: env.VITE_BRIDGE_URL,
+      transport: env.VITE_BRIDGE_TRANSPORT,
+      prefix: env.VITE_BRIDGE_PREFIX,
+      username: env.VITE_BRIDGE_USERNAME,
+      password: env.VITE_BRIDGE_PASSWORD,
+    }
+);
+
+// Electricity tariff used to price energy usage, e.g.
+// { currency: 'USD', rate: 0.15, periods: [{ from: '16:00', to: '21:00', rate: 0.32, days: [1, 2, 3, 4, 5] }] }
+// `rate` is the base price per kWh; time-of-use `periods` override it (see energy/energy.js).
+const DEFAULT_TARIFF = { currency: 'USD', rate: 0.15, periods: [] };
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+const parseTariff = (value) => {
+  const tariff = parseJson(value);
+  if (!tariff) return DEFAULT_TARIFF;
+  const rate = Number(tariff.rate);
+  return {
+    currency: tariff.currency || DEFAULT_TARIFF.currency,
+    rate: Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_TARIFF.rate,
+    periods: (Array.isArray(tariff.periods) ? tariff.periods : [])
+      .filter(p => TIME_PATTERN.test(p.from) && TIME_PATTERN.test(p.to) && Number.isFinite(Number(p.rate)))
+      .map(p => ({ from: p.from, to: p.to, rate: Number(p.rate), days: Array.isArray(p.days) ? p.days : null })),
+  };
+};
+
+export const energyTariff = parseTariff(
+  typeof __energy_tariff !== 'undefined' ? __energy_tariff : env.VITE_ENERGY_TARIFF
+);
@@ -0,0 +1,14 @@
+// Demo home loaded on request from the device manager, for trying the dashboard out.
+export const demoDevices = [
+  { id: 'thermostat-1', name: 'Living Room Thermostat', type: 'thermostat', targetTemp: 72, currentTemp: 75, room: 'Living Room' },
+  { id: 'light-1', name: 'Main Living Light', type: 'light', isOn: true, brightness: 80, room: 'Living Room' },
+  { id: 'fan-1', name: 'Ceiling Fan', type: 'fan', isOn: false, speed: 0, room: 'Living Room' },
+  { id: 'light-2', name: 'Kitchen Light', type: 'light', isOn: false, brightness: 50, room: 'Kitchen' },
+  { id: 'humidity-1', name: 'Bedroom Humidifier', type: 'humidity', humidity: 45, battery: 78, room: 'Bedroom' },
+  { id: 'light-3', name: 'Bedroom Lamp', type: 'light', isOn: true, brightness: 60, room: 'Bedroom' },
+  { id: 'lock-1', name: 'Front Door Lock', type: 'lock', isLocked: true, battery: 87, room: 'Entry' },
+  { id: 'blinds-1', name: 'Living Room Blinds', type: 'blinds', position: 100, room: 'Living Room' },
+  { id: 'motion-1', name: 'Hallway Motion Sensor', type: 'motion', motion: false, battery: 64, room: 'Entry' },
+  { id: 'contact-1', name: 'Back Door Sensor', type: 'contact', isOpen: false, battery: 92, room: 'Kitchen' },
+  { id: 'plug-1', name: 'Coffee Maker Plug', type: 'plug', isOn: false, power: 0, room: 'Kitchen' },
+];
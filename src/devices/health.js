@@ -0,0 +1,61 @@
+import { getPropertyDefinition } from './registry.js';
+
+// Device health.
+// Devices that report their state (simulated devices on every simulator step, bridged
+// devices whenever they publish) carry `lastSeen`, the time of their latest report, and
+// may carry `signal`, their link quality in percent. Battery-powered types declare a
+// `battery` property. A device that hasn't reported for the offline timeout is offline:
+// its card is greyed out with its last known state, and rules don't act on its readings.
+// Devices that have never reported, like a bridged device that hasn't published yet, aren't
+// monitored.
+
+// Batteries and signals below these levels are flagged on the cards.
+export const LOW_BATTERY_PERCENT = 20;
+export const WEAK_SIGNAL_PERCENT = 30;
+
+// Health fields written with a report's `lastSeen` rather than as audited state.
+export const HEALTH_FIELDS = ['signal'];
+
+const minutesSince = (time, now) => (now - new Date(time).getTime()) / 60000;
+
+// Returns true when a device that reports has been silent for `offlineMinutes`.
+export const isDeviceOffline = (device, now, offlineMinutes) =>
+  Boolean(device.lastSeen) && minutesSince(device.lastSeen, now) >= offlineMinutes;
+
+// Lists the IDs of the offline devices, whose readings are stale.
+export const getStaleDeviceIds = (devices, now, offlineMinutes) =>
+  devices.filter(device => isDeviceOffline(device, now, offlineMinutes)).map(device => device.id);
+
+// Sums up a device's health as `{ status, lastSeen, battery, signal, lowBattery, weakSignal }`,
+// where `status` is 'online', 'offline' or 'unmonitored', and `battery` and `signal` are null
+// when the device doesn't have them.
+export const getDeviceHealth = (device, now, offlineMinutes) => {
+  const battery = getPropertyDefinition(device, 'battery') && typeof device.battery === 'number' ? device.battery : null;
+  const signal = typeof device.signal === 'number' ? device.signal : null;
+  return {
+    status: !device.lastSeen ? 'unmonitored' : isDeviceOffline(device, now, offlineMinutes) ? 'offline' : 'online',
+    lastSeen: device.lastSeen ? new Date(device.lastSeen) : null,
+    battery,
+    signal,
+    lowBattery: battery !== null && battery < LOW_BATTERY_PERCENT,
+    weakSignal: signal !== null && signal < WEAK_SIGNAL_PERCENT,
+  };
+};
+
+// Describes how long ago a device last reported, e.g. "just now", "12 min ago" or "3 h ago".
+export const describeLastSeen = (lastSeen, now) => {
+  const minutes = Math.floor(minutesSince(lastSeen, now));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  const days = Math.floor(minutes / (24 * 60));
+  return `${days} ${days === 1 ? 'day' : 'days'} ago`;
+};
+
+// Extracts the health fields of a state report: `signal` in percent, or Zigbee's
+// `linkquality` (0–255) converted to percent.
+export const parseHealthReport = (payload) => {
+  if (!payload || typeof payload !== 'object') return {};
+  const signal = Number(payload.signal ?? (payload.linkquality !== undefined ? (Number(payload.linkquality) / 255) * 100 : NaN));
+  return Number.isFinite(signal) ? { signal: Math.round(Math.min(100, Math.max(0, signal))) } : {};
+};
@@ -0,0 +1,86 @@
+import { getDefaultState } from './registry.js';
+import { getReferencedDevices } from '../rules/engine.js';
+
+// Device management helpers: creating, ordering and removing devices.
+// Each returns plain data or a list of storage batch operations, so the dashboard
+// only has to hand them to `store.batch`.
+
+// Firestore rejects batches over 500 writes, so large batches are split.
+const MAX_BATCH_SIZE = 400;
+
+// Orders devices by their `order` field, with unordered devices last by name.
+export const sortDevices = (devices) =>
+  [...devices].sort((a, b) => {
+    const orderA = Number.isFinite(a.order) ? a.order : Infinity;
+    const orderB = Number.isFinite(b.order) ? b.order : Infinity;
+    if (orderA !== orderB) return orderA - orderB;
+    return (a.name || '').localeCompare(b.name || '');
+  });
+
+// Builds a new device document of a registry type with default property values.
+export const createDevice = ({ name, type, room }, order) => ({
+  ...getDefaultState(type),
+  name: name.trim(),
+  type,
+  room: room.trim(),
+  order,
+});
+
+// Builds the writes that move a device one place up (-1) or down (+1) in the list.
+// Every device gets a fresh `order`, so legacy devices without one are ordered too.
+export const planReorder = (devices, deviceId, direction) => {
+  const sorted = sortDevices(devices);
+  const index = sorted.findIndex(d => d.id === deviceId);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= sorted.length) return [];
+
+  [sorted[index], sorted[target]] = [sorted[target], sorted[index]];
+  return sorted
+    .map((device, order) => ({ device, order }))
+    .filter(({ device, order }) => device.order !== order)
+    .map(({ device, order }) => ({ type: 'update', name: 'devices', id: device.id, data: { order } }));
+};
+
+// Builds the writes that load the demo home, placed after any existing devices.
+export const planDemoHome = (demoDevices, existingDevices) => {
+  const offset = existingDevices.filter(d => !demoDevices.some(demo => demo.id === d.id)).length;
+  return demoDevices.map(({ id, ...device }, index) =>
+    ({ type: 'set', name: 'devices', id, data: { ...device, order: offset + index } }));
+};
+
+// Builds the writes that delete a device and clean up everything that refers to it:
+//   - the device's history documents and `{ name, id }` history rollups are deleted,
+//   - rules that use it are disabled, and keep showing the missing device until edited,
+//   - schedule and scene actions that target it are dropped,
+//   - alerts that watch it are deleted.
+export const planDeviceRemoval = (deviceId, { rules, schedules, scenes, history, rollups = [], alerts = [] }) => {
+  const withoutDevice = (actions = []) => actions.filter(action => action.deviceId !== deviceId);
+
+  // The device itself is removed last, so if a batch fails part-way it is still listed.
+  return [
+    ...history.map(entry => ({ type: 'remove', name: 'history', id: entry.id })),
+    ...rollups.map(rollup => ({ type: 'remove', name: rollup.name, id: rollup.id })),
+    ...rules
+      .filter(rule => rule.enabled !== false && getReferencedDevices(rule).includes(deviceId))
+      .map(rule => ({ type: 'update', name: 'rules', id: rule.id, data: { enabled: false } })),
+    ...schedules
+      .filter(schedule => (schedule.actions || []).some(action => action.deviceId === deviceId))
+      .map(schedule => ({ type: 'update', name: 'schedules', id: schedule.id, data: { actions: withoutDevice(schedule.actions) } })),
+    ...scenes
+      .filter(scene => (scene.actions || []).some(action => action.deviceId === deviceId))
+      .map(scene => ({ type: 'update', name: 'scenes', id: scene.id, data: { actions: withoutDevice(scene.actions) } })),
+    ...alerts
+      .filter(alert => alert.type !== 'ruleFailure' && alert.deviceId === deviceId)
+      .map(alert => ({ type: 'remove', name: 'alerts', id: alert.id })),
+    { type: 'remove', name: 'devices', id: deviceId },
+  ];
+};
+
+// Splits a list of writes into batches small enough for every backend.
+export const chunkOperations = (operations) => {
+  const chunks = [];
+  for (let i = 0; i < operations.length; i += MAX_BATCH_SIZE) {
+    chunks.push(operations.slice(i, i + MAX_BATCH_SIZE));
+  }
+  return chunks;
+};
@@ -0,0 +1,185 @@
+import { Thermometer, Lightbulb, Fan, Droplet, Lock, Blinds, Activity, DoorOpen, Plug } from 'lucide-react';
+import { simulateThermostat, simulateHumidity, simulateLight, simulateMotion, simulatePlug } from '../simulator/models.js';
+import { lightPower, fanPower, thermostatPower, plugPower, standbyPower, batteryPowered } from '../energy/power.js';
+
+// Device type registry.
+// Every device type declares its properties once, and the device cards, the rule and
+// schedule pickers, and the simulator are all driven from that declaration.
+//
+// Property fields:
+//   label         human-readable name
+//   kind          'number' or 'boolean'
+//   unit, min, max, step   for numbers
+//   labels        [falseLabel, trueLabel] for booleans
+//   controllable  true when users, rules and scenes may write it; otherwise read-only
+//   actionLabel   label of the rule action that writes it
+//   history       true when changes are recorded to the history collection and can be charted
+//   default       value given to newly created devices
+//
+// Card fields:
+//   primary   property shown as the large readout
+//   toggle    boolean property switched by the card's button
+//   sliders   controllable numeric properties with a slider (hidden while toggled off)
+//   details   properties listed under the primary readout
+//   theme     Tailwind classes for the active card; inactive cards are grey
+//
+// `simulate(device, context)` optionally returns the readings the device reports on each
+// simulator step; the models and their context are described in simulator/models.js.
+// `powerModel(device)` returns the device's current draw in watts for the energy meter
+// (energy/power.js).
+
+export const DEVICE_TYPES = {
+  thermostat: {
+    label: 'Thermostat',
+    icon: Thermometer,
+    properties: {
+      currentTemp: { label: 'Temperature', kind: 'number', unit: '°F', min: 40, max: 100, controllable: false, history: true, default: 72 },
+      targetTemp: { label: 'Target temperature', kind: 'number', unit: '°F', min: 60, max: 85, step: 1, controllable: true, actionLabel: 'Set target temperature', default: 72 },
+    },
+    card: {
+      primary: 'currentTemp',
+      details: ['targetTemp'],
+      sliders: ['targetTemp'],
+      theme: { background: 'from-blue-100 to-blue-200', accent: 'text-blue-600', value: 'text-blue-800', button: 'bg-blue-500 hover:bg-blue-600', slider: 'bg-blue-300' },
+    },
+    simulate: simulateThermostat,
+    powerModel: thermostatPower,
+  },
+  light: {
+    label: 'Light',
+    icon: Lightbulb,
+    properties: {
+      isOn: { label: 'Power', kind: 'boolean', labels: ['Off', 'On'], controllable: true, actionLabel: 'Turn on/off', history: true, default: false },
+      brightness: { label: 'Brightness', kind: 'number', unit: '%', min: 0, max: 100, step: 1, controllable: true, actionLabel: 'Set brightness', history: true, default: 80 },
+    },
+    card: {
+      toggle: 'isOn',
+      sliders: ['brightness'],
+      theme: { background: 'from-yellow-100 to-yellow-200', accent: 'text-yellow-600', value: 'text-yellow-800', button: 'bg-yellow-500 hover:bg-yellow-600', slider: 'bg-yellow-300' },
+    },
+    simulate: simulateLight,
+    powerModel: lightPower,
+  },
+  fan: {
+    label: 'Fan',
+    icon: Fan,
+    properties: {
+      isOn: { label: 'Power', kind: 'boolean', labels: ['Off', 'On'], controllable: true, actionLabel: 'Turn on/off', history: true, default: false },
+      speed: { label: 'Speed', kind: 'number', unit: '', min: 0, max: 3, step: 1, controllable: true, actionLabel: 'Set speed', default: 1 },
+    },
+    card: {
+      toggle: 'isOn',
+      sliders: ['speed'],
+      theme: { background: 'from-teal-100 to-teal-200', accent: 'text-teal-600', value: 'text-teal-800', button: 'bg-teal-500 hover:bg-teal-600', slider: 'bg-teal-300' },
+    },
+    powerModel: fanPower,
+  },
+  humidity: {
+    label: 'Humidity sensor',
+    icon: Droplet,
+    properties: {
+      humidity: { label: 'Current Humidity', kind: 'number', unit: '%', min: 0, max: 100, controllable: false, history: true, default: 45 },
+      battery: { label: 'Battery', kind: 'number', unit: '%', min: 0, max: 100, controllable: false, default: 100 },
+    },
+    card: {
+      primary: 'humidity',
+      details: ['battery'],
+      theme: { background: 'from-indigo-100 to-indigo-200', accent: 'text-indigo-600', value: 'text-indigo-800', button: 'bg-indigo-500 hover:bg-indigo-600', slider: 'bg-indigo-300' },
+    },
+    simulate: simulateHumidity,
+    powerModel: batteryPowered,
+  },
+  lock: {
+    label: 'Door lock',
+    icon: Lock,
+    properties: {
+      isLocked: { label: 'Lock', kind: 'boolean', labels: ['Unlocked', 'Locked'], controllable: true, actionLabel: 'Lock/unlock', default: true },
+      battery: { label: 'Battery', kind: 'number', unit: '%', min: 0, max: 100, controllable: false, default: 100 },
+    },
+    card: {
+      toggle: 'isLocked',
+      details: ['battery'],
+      theme: { background: 'from-emerald-100 to-emerald-200', accent: 'text-emerald-600', value: 'text-emerald-800', button: 'bg-emerald-500 hover:bg-emerald-600', slider: 'bg-emerald-300' },
+    },
+    powerModel: batteryPowered,
+  },
+  blinds: {
+    label: 'Blinds',
+    icon: Blinds,
+    properties: {
+      position: { label: 'Open', kind: 'number', unit: '%', min: 0, max: 100, step: 5, controllable: true, actionLabel: 'Set position', default: 100 },
+    },
+    card: {
+      primary: 'position',
+      sliders: ['position'],
+      theme: { background: 'from-orange-100 to-orange-200', accent: 'text-orange-600', value: 'text-orange-800', button: 'bg-orange-500 hover:bg-orange-600', slider: 'bg-orange-300' },
+    },
+    powerModel: standbyPower,
+  },
+  motion: {
+    label: 'Motion sensor',
+    icon: Activity,
+    properties: {
+      motion: { label: 'Motion', kind: 'boolean', labels: ['No motion', 'Motion detected'], controllable: false, history: true, default: false },
+      battery: { label: 'Battery', kind: 'number', unit: '%', min: 0, max: 100, controllable: false, default: 100 },
+    },
+    card: {
+      primary: 'motion',
+      details: ['battery'],
+      theme: { background: 'from-rose-100 to-rose-200', accent: 'text-rose-600', value: 'text-rose-800', button: 'bg-rose-500 hover:bg-rose-600', slider: 'bg-rose-300' },
+    },
+    simulate: simulateMotion,
+    powerModel: batteryPowered,
+  },
+  contact: {
+    label: 'Contact sensor',
+    icon: DoorOpen,
+    properties: {
+      isOpen: { label: 'Contact', kind: 'boolean', labels: ['Closed', 'Open'], controllable: false, history: true, default: false },
+      battery: { label: 'Battery', kind: 'number', unit: '%', min: 0, max: 100, controllable: false, default: 100 },
+    },
+    card: {
+      primary: 'isOpen',
+      details: ['battery'],
+      theme: { background: 'from-amber-100 to-amber-200', accent: 'text-amber-600', value: 'text-amber-800', button: 'bg-amber-500 hover:bg-amber-600', slider: 'bg-amber-300' },
+    },
+    powerModel: batteryPowered,
+  },
+  plug: {
+    label: 'Smart plug',
+    icon: Plug,
+    properties: {
+      isOn: { label: 'Power', kind: 'boolean', labels: ['Off', 'On'], controllable: true, actionLabel: 'Turn on/off', history: true, default: false },
+      power: { label: 'Power draw', kind: 'number', unit: 'W', min: 0, max: 3000, controllable: false, history: true, default: 0 },
+    },
+    card: {
+      toggle: 'isOn',
+      details: ['power'],
+      theme: { background: 'from-lime-100 to-lime-200', accent: 'text-lime-600', value: 'text-lime-800', button: 'bg-lime-500 hover:bg-lime-600', slider: 'bg-lime-300' },
+    },
+    simulate: simulatePlug,
+    powerModel: plugPower,
+  },
+};
+
+// Looks up the registry entry for a device's type, or null for unknown types.
+export const getDeviceType = (device) => (device && DEVICE_TYPES[device.type]) || null;
+
+// Lists a device type's properties as `{ property, ...definition }` entries.
+export const getTypeProperties = (type) =>
+  Object.entries(DEVICE_TYPES[type]?.properties || {}).map(([property, definition]) => ({ property, ...definition }));
+
+// Finds the definition of one property of a device.
+export const getPropertyDefinition = (device, property) => getDeviceType(device)?.properties[property] || null;
+
+// Builds the state of a new device of the given type from the property defaults.
+export const getDefaultState = (type) =>
+  Object.fromEntries(getTypeProperties(type).map(({ property, default: value }) => [property, value]));
+
+// Formats a property value for display, e.g. "72°F", "80%" or "Locked".
+export const formatPropertyValue = (definition, value) => {
+  if (value === undefined || value === null) return '—';
+  if (definition?.kind === 'boolean') return (definition.labels || ['Off', 'On'])[value ? 1 : 0];
+  if (typeof value !== 'number') return String(value);
+  return `${Math.round(value)}${definition?.unit || ''}`;
+};
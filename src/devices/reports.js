@@ -0,0 +1,22 @@
+import { getHistoryMetrics } from '../history/history.js';
+import { planStateWrites } from '../audit/audit.js';
+
+// Applies readings reported by a device, from the simulator or the device bridge, which
+// is the audit log `source` of the changes. Readings that changed are written to the device
+// along with the report's time as `lastSeen` and its `health` fields (see health.js), which
+// aren't audited, and the dashboard's history recorder records
+// them when the update arrives. Recorded readings that didn't change are written to history
+// directly, so steady devices still leave a trace of every report.
+export const applyDeviceReport = (store, device, readings, timestamp = new Date(), source, health = {}) => {
+  const changes = Object.fromEntries(Object.entries(readings).filter(([property, value]) => device[property] !== value));
+  const previous = Object.fromEntries(Object.keys(changes).map(property => [property, device[property] ?? null]));
+  store.batch(planStateWrites([{ deviceId: device.id, changes, previous }], source, timestamp, { lastSeen: timestamp, ...health }))
+    .catch(e => console.error("Error updating reported device state: ", e));
+
+  getHistoryMetrics(device)
+    .filter(({ property }) => readings[property] !== undefined && changes[property] === undefined)
+    .forEach(({ property }) => {
+      store.add('history', { deviceId: device.id, property, value: readings[property], timestamp })
+        .catch(e => console.error("Error adding history data: ", e));
+    });
+};
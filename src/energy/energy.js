@@ -0,0 +1,209 @@
+import { getDeviceType } from '../devices/registry.js';
+
+// Energy tracking.
+// The meter integrates each device's power draw (see power.js) over time and adds it to
+// per-device daily usage documents in the `energyUsage` collection:
+//   { deviceId, room, date: 'YYYY-MM-DD', day: Date, kWh, cost, onSeconds }
+// Costs are priced with the tariff in effect at the time, so time-of-use rates apply.
+// Usage is metered while a dashboard is open, as that's when device state is observed.
+
+export const ENERGY_COLLECTION = 'energyUsage';
+
+// Virtual device summing the whole home's energy readings, for rule conditions.
+export const HOME_METER = { id: 'home-energy', name: 'Whole home' };
+
+// Energy readings added to devices for rule conditions (see `withEnergyReadings`).
+export const ENERGY_PROPERTIES = ['powerDraw', 'energyToday', 'costToday'];
+
+// Usage is split at minute boundaries, so each slice is priced at a single rate.
+const METER_STEP_MS = 60 * 1000;
+// How often metered usage is written to storage.
+const METER_FLUSH_INTERVAL_MS = 60 * 1000;
+// Devices without an on/off switch count as on while they draw more than standby power.
+const ON_THRESHOLD_WATTS = 1;
+
+// Returns a device's current power draw in watts from its type's power model.
+export const getDevicePower = (device) => getDeviceType(device)?.powerModel?.(device) ?? 0;
+
+const isDeviceOn = (device, watts) => (typeof device.isOn === 'boolean' ? device.isOn : watts > ON_THRESHOLD_WATTS);
+
+// Formats a Date as a local 'YYYY-MM-DD' key.
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Looks up the price per kWh at a time. Time-of-use periods `{ from: 'HH:MM', to: 'HH:MM',
+// rate, days }` override the base rate; a period ending before it starts runs past midnight,
+// and `days` (0 = Sunday) limits it to some days of the week.
+export const getTariffRate = (tariff, time) => {
+  const minutes = time.getHours() * 60 + time.getMinutes();
+  const period = (tariff.periods || []).find(p => {
+    const from = toMinutes(p.from);
+    const to = toMinutes(p.to);
+    const inPeriod = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    return inPeriod && (!p.days || p.days.includes(time.getDay()));
+  });
+  return period ? period.rate : tariff.rate;
+};
+
+// Integrates usage from the meter state `{ [deviceId]: { watts, on, room, since } }` up to
+// `now` (ms). Returns the usage per device and day, and the new meter state for `devices`.
+export const meterEnergy = (state, devices, now, tariff) => {
+  const usage = new Map();
+  Object.entries(state).forEach(([deviceId, { watts, on, room, since }]) => {
+    if (watts <= 0 && !on) return;
+    for (let start = since; start < now;) {
+      const end = Math.min(now, (Math.floor(start / METER_STEP_MS) + 1) * METER_STEP_MS);
+      const at = new Date(start);
+      const date = toDateKey(at);
+      const key = `${deviceId}_${date}`;
+      const entry = usage.get(key) || { deviceId, room, date, day: startOfDay(at), kWh: 0, cost: 0, onSeconds: 0 };
+      const kWh = (watts * (end - start)) / (60 * 60 * 1000 * 1000);
+      entry.kWh += kWh;
+      entry.cost += kWh * getTariffRate(tariff, at);
+      if (on) entry.onSeconds += (end - start) / 1000;
+      usage.set(key, entry);
+      start = end;
+    }
+  });
+
+  const nextState = Object.fromEntries(devices.map(device => {
+    const watts = getDevicePower(device);
+    return [device.id, { watts, on: isDeviceOn(device, watts), room: device.room || '', since: now }];
+  }));
+  return { usage: [...usage.values()], state: nextState };
+};
+
+// Builds the increments that add metered usage to the daily usage documents.
+export const planUsageWrites = (usage) => usage.map(({ deviceId, room, date, day, kWh, cost, onSeconds }) => ({
+  type: 'increment',
+  name: ENERGY_COLLECTION,
+  id: `${deviceId}_${date}`,
+  data: { kWh, cost, onSeconds },
+  fields: { deviceId, room, date, day },
+}));
+
+// Merges usage entries of the same device and day.
+const mergeUsage = (pending, usage) => {
+  const merged = new Map(pending.map(entry => [`${entry.deviceId}_${entry.date}`, entry]));
+  usage.forEach(entry => {
+    const key = `${entry.deviceId}_${entry.date}`;
+    const existing = merged.get(key);
+    merged.set(key, existing
+      ? { ...entry, kWh: existing.kWh + entry.kWh, cost: existing.cost + entry.cost, onSeconds: existing.onSeconds + entry.onSeconds }
+      : entry);
+  });
+  return [...merged.values()];
+};
+
+// Starts the energy meter. `update` integrates usage up to now and picks up the current
+// device states; call it whenever devices change. Usage is written once a minute and on stop.
+// Returns `{ update, stop }`.
+export const createEnergyMeter = ({ store, getDevices, tariff }) => {
+  let state = {};
+  let pending = [];
+
+  const update = () => {
+    const result = meterEnergy(state, getDevices(), Date.now(), tariff);
+    state = result.state;
+    pending = mergeUsage(pending, result.usage);
+  };
+
+  const flush = () => {
+    update();
+    if (pending.length === 0) return;
+    store.batch(planUsageWrites(pending)).catch(e => console.error("Error recording energy usage:", e));
+    pending = [];
+  };
+
+  update();
+  const intervalId = setInterval(flush, METER_FLUSH_INTERVAL_MS);
+  return {
+    update,
+    stop: () => {
+      clearInterval(intervalId);
+      flush();
+    },
+  };
+};
+
+// Adds the energy readings rule conditions can compare against: each device's current
+// `powerDraw` in watts and its `energyToday` (kWh) and `costToday` from today's usage
+// documents, plus the whole-home meter summing them.
+export const withEnergyReadings = (devices, todayUsage) => {
+  const withReadings = devices.map(device => {
+    const usage = todayUsage.filter(doc => doc.deviceId === device.id);
+    return {
+      ...device,
+      powerDraw: getDevicePower(device),
+      energyToday: usage.reduce((sum, doc) => sum + (doc.kWh || 0), 0),
+      costToday: usage.reduce((sum, doc) => sum + (doc.cost || 0), 0),
+    };
+  });
+  const total = (property) => withReadings.reduce((sum, device) => sum + device[property], 0);
+  return [...withReadings, { ...HOME_METER, powerDraw: total('powerDraw'), energyToday: total('energyToday'), costToday: total('costToday') }];
+};
+
+// Totals usage documents from `start` on: overall, per room and per device, largest first.
+export const summarizeUsage = (docs, start) => {
+  const inRange = docs.filter(doc => new Date(doc.day) >= startOfDay(start));
+  const groupBy = (key) => {
+    const groups = new Map();
+    inRange.forEach(doc => {
+      const group = groups.get(doc[key]) || { [key]: doc[key], kWh: 0, cost: 0, onSeconds: 0 };
+      group.kWh += doc.kWh || 0;
+      group.cost += doc.cost || 0;
+      group.onSeconds += doc.onSeconds || 0;
+      groups.set(doc[key], group);
+    });
+    return [...groups.values()].sort((a, b) => b.kWh - a.kWh);
+  };
+  return {
+    kWh: inRange.reduce((sum, doc) => sum + (doc.kWh || 0), 0),
+    cost: inRange.reduce((sum, doc) => sum + (doc.cost || 0), 0),
+    byRoom: groupBy('room'),
+    byDevice: groupBy('deviceId'),
+  };
+};
+
+// Totals usage per day for the `days` days up to and including today, oldest first.
+export const getDailyTotals = (docs, days, now = new Date()) =>
+  Array.from({ length: days }, (_, i) => {
+    const day = startOfDay(now);
+    day.setDate(day.getDate() - (days - 1 - i));
+    const date = toDateKey(day);
+    const forDay = docs.filter(doc => doc.date === date);
+    return {
+      label: day.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      kWh: forDay.reduce((sum, doc) => sum + (doc.kWh || 0), 0),
+      cost: forDay.reduce((sum, doc) => sum + (doc.cost || 0), 0),
+    };
+  });
+
+// Totals usage per week (Monday to Sunday) for the `weeks` weeks up to this one, oldest first.
+export const getWeeklyTotals = (docs, weeks, now = new Date()) => {
+  const thisWeek = startOfDay(now);
+  thisWeek.setDate(thisWeek.getDate() - ((thisWeek.getDay() + 6) % 7));
+  return Array.from({ length: weeks }, (_, i) => {
+    const start = new Date(thisWeek);
+    start.setDate(start.getDate() - 7 * (weeks - 1 - i));
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+    const forWeek = docs.filter(doc => new Date(doc.day) >= start && new Date(doc.day) < end);
+    return {
+      label: start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      kWh: forWeek.reduce((sum, doc) => sum + (doc.kWh || 0), 0),
+      cost: forWeek.reduce((sum, doc) => sum + (doc.cost || 0), 0),
+    };
+  });
+};
@@ -0,0 +1,36 @@
+// Power models behind the energy meter, wired to device types in the registry.
+// Each model returns a device's current power draw in watts.
+
+// Draw of a light at full brightness.
+const LIGHT_WATTS = 10;
+// Draw of a fan at its top speed.
+const FAN_WATTS = 60;
+const FAN_TOP_SPEED = 3;
+// Draw of the HVAC system while it runs, and the temperature gap at which it runs flat out.
+const HVAC_WATTS = 3000;
+const HVAC_FULL_DUTY_DELTA_F = 4;
+// Standby draw of mains-powered devices that are idle.
+const STANDBY_WATTS = 0.5;
+
+// Lights draw in proportion to their brightness.
+export const lightPower = (device) => (device.isOn ? LIGHT_WATTS * (device.brightness ?? 100) / 100 : 0);
+
+// Fans draw in proportion to their speed; a running fan at speed 0 runs at the lowest speed.
+export const fanPower = (device) =>
+  (device.isOn ? FAN_WATTS * Math.max(1, device.speed ?? 1) / FAN_TOP_SPEED : 0);
+
+// The HVAC runs a duty cycle that grows with the gap between the room and the target,
+// running continuously once the gap reaches HVAC_FULL_DUTY_DELTA_F.
+export const thermostatPower = (device) => {
+  const delta = Math.abs((device.currentTemp ?? 0) - (device.targetTemp ?? device.currentTemp ?? 0));
+  return HVAC_WATTS * Math.min(1, delta / HVAC_FULL_DUTY_DELTA_F) + STANDBY_WATTS;
+};
+
+// Smart plugs measure the draw of what's plugged in.
+export const plugPower = (device) => (device.isOn ? Math.max(0, device.power ?? 0) : 0);
+
+// Mains-powered devices that only draw standby power, like blinds between moves.
+export const standbyPower = () => STANDBY_WATTS;
+
+// Battery-powered sensors and locks draw nothing from the grid.
+export const batteryPowered = () => 0;
@@ -0,0 +1,153 @@
+import { getTypeProperties } from '../devices/registry.js';
+
+// Time ranges offered by the history explorer; `custom` uses explicit start and end times.
+export const HISTORY_RANGES = [
+  { key: '1h', label: '1h', durationMs: 60 * 60 * 1000 },
+  { key: '24h', label: '24h', durationMs: 24 * 60 * 60 * 1000 },
+  { key: '7d', label: '7d', durationMs: 7 * 24 * 60 * 60 * 1000 },
+  { key: 'custom', label: 'Custom' },
+];
+
+// Line colours given to overlaid series, in order.
+export const SERIES_COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#ec4899'];
+
+// Lists the recorded properties of a device, which are the metrics the explorer can chart.
+export const getHistoryMetrics = (device) =>
+  device ? getTypeProperties(device.type).filter(definition => definition.history) : [];
+
+// Resolves a range to `{ start, end }` Dates. Preset ranges end now; an invalid
+// custom range resolves to null.
+export const getRangeBounds = (rangeKey, custom, now = new Date()) => {
+  const range = HISTORY_RANGES.find(r => r.key === rangeKey);
+  if (range?.durationMs) return { start: new Date(now.getTime() - range.durationMs), end: now };
+
+  const start = new Date(custom.start);
+  const end = new Date(custom.end);
+  if (isNaN(start) || isNaN(end) || start >= end) return null;
+  return { start, end };
+};
+
+// Builds the storage query for one device's history within the given bounds, oldest first.
+// Preset ranges leave the end open so new readings keep arriving while the range is shown.
+export const buildHistoryQuery = (deviceId, { start, end }, live) => ({
+  filters: [
+    ['deviceId', '==', deviceId],
+    ['timestamp', '>=', start],
+    ...(live ? [] : [['timestamp', '<=', end]]),
+  ],
+  orderBy: ['timestamp', 'asc'],
+});
+
+// Builds the query for the last value of a property recorded before `start`,
+// the state a boolean series is in when the range begins.
+export const buildPriorValueQuery = (deviceId, property, start) => ({
+  filters: [
+    ['deviceId', '==', deviceId],
+    ['property', '==', property],
+    ['timestamp', '<', start],
+  ],
+  orderBy: ['timestamp', 'desc'],
+  limit: 1,
+});
+
+// History written before entries carried a `property` belongs to the type's first recorded property.
+export const getEntryProperty = (entry, device) => entry.property || getHistoryMetrics(device)[0]?.property;
+
+// Converts history documents into the `{ time, value }` points of one property.
+// Booleans are charted as 0 and 1.
+export const toSeriesPoints = (entries, device, property) => entries
+  .filter(entry => getEntryProperty(entry, device) === property)
+  .map(entry => ({
+    time: new Date(entry.timestamp).getTime(),
+    value: typeof entry.value === 'boolean' ? Number(entry.value) : entry.value,
+  }));
+
+// Downsamples a series of `{ time, value }` points to at most `threshold` points with
+// Largest-Triangle-Three-Buckets, which keeps the peaks and troughs plain decimation drops.
+export const downsampleLTTB = (points, threshold) => {
+  if (threshold < 3 || points.length <= threshold) return points;
+
+  const sampled = [points[0]];
+  const bucketSize = (points.length - 2) / (threshold - 2);
+  let previous = 0;
+  for (let i = 0; i < threshold - 2; i++) {
+    const bucketStart = Math.floor(i * bucketSize) + 1;
+    const bucketEnd = Math.floor((i + 1) * bucketSize) + 1;
+
+    // The average of the next bucket is the triangle's third corner.
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, points.length);
+    let averageTime = 0;
+    let averageValue = 0;
+    for (let j = bucketEnd; j < nextEnd; j++) {
+      averageTime += points[j].time;
+      averageValue += points[j].value;
+    }
+    averageTime /= nextEnd - bucketEnd;
+    averageValue /= nextEnd - bucketEnd;
+
+    // Keep the point of this bucket that spans the largest triangle with the previous pick.
+    const anchor = points[previous];
+    let largestArea = -1;
+    for (let j = bucketStart; j < bucketEnd; j++) {
+      const area = Math.abs(
+        (anchor.time - averageTime) * (points[j].value - anchor.value) -
+        (anchor.time - points[j].time) * (averageValue - anchor.value)
+      );
+      if (area > largestArea) {
+        largestArea = area;
+        previous = j;
+      }
+    }
+    sampled.push(points[previous]);
+  }
+  sampled.push(points[points.length - 1]);
+  return sampled;
+};
+
+// Merges several `{ key, points }` series into chart rows `{ time, [key]: value }`, oldest first.
+export const mergeSeries = (series) => {
+  const rows = new Map();
+  series.forEach(({ key, points }) => {
+    points.forEach(({ time, value }) => {
+      if (!rows.has(time)) rows.set(time, { time });
+      rows.get(time)[key] = value;
+    });
+  });
+  return [...rows.values()].sort((a, b) => a.time - b.time);
+};
+
+// Adds up how long a boolean series was on between start and end,
+// given its state before the first point.
+export const getOnDuration = (points, initial, start, end) => {
+  let total = 0;
+  let on = Boolean(initial);
+  let since = start.getTime();
+  points.forEach(({ time, value }) => {
+    const at = Math.min(Math.max(time, since), end.getTime());
+    if (on) total += at - since;
+    on = Boolean(value);
+    since = at;
+  });
+  if (on) total += end.getTime() - since;
+  return total;
+};
+
+// Formats a duration as e.g. "2h 05m" or "12m".
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+// Returns the history entries for recorded properties that changed between two device snapshots.
+// Devices missing from the previous snapshot have nothing to compare against and are skipped.
+export const diffHistoryEntries = (previous, next, timestamp) => {
+  const previousById = new Map(previous.map(device => [device.id, device]));
+  return next.flatMap(device => {
+    const before = previousById.get(device.id);
+    if (!before) return [];
+    return getHistoryMetrics(device)
+      .filter(({ property }) => device[property] !== undefined && device[property] !== before[property])
+      .map(({ property }) => ({ deviceId: device.id, property, value: device[property], timestamp }));
+  });
+};
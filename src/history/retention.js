@@ -0,0 +1,182 @@
+import { getEntryProperty } from './history.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Raw history entries rolled up per compaction batch. Each entry adds at most one hourly
+// and one daily rollup write besides its own removal, which keeps a batch under 500 writes.
+const ROLLUP_BATCH_SIZE = 150;
+// Upper bound on batches per compaction run, so a large backlog is worked off over several runs.
+const MAX_ROLLUP_BATCHES = 20;
+// Expired hourly rollups removed per compaction run.
+const PRUNE_BATCH_SIZE = 450;
+
+// Rollup resolutions: the collection holding them and how to find a reading's bucket.
+// Hours and days are bucketed in local time.
+export const ROLLUP_RESOLUTIONS = {
+  hour: {
+    collection: 'historyHourly',
+    bucketStart: (time) => {
+      const date = new Date(time);
+      date.setMinutes(0, 0, 0);
+      return date;
+    },
+  },
+  day: {
+    collection: 'historyDaily',
+    bucketStart: (time) => {
+      const date = new Date(time);
+      date.setHours(0, 0, 0, 0);
+      return date;
+    },
+  },
+};
+
+// Rollup documents get deterministic IDs, so rolling up more readings for the same
+// bucket updates the existing document.
+const rollupId = (deviceId, property, bucketStart) => `${deviceId}_${property}_${bucketStart.getTime()}`;
+
+// Folds one value into `{ min, max, sum, count }` statistics.
+const addToStats = (stats, value) => ({
+  min: stats ? Math.min(stats.min, value) : value,
+  max: stats ? Math.max(stats.max, value) : value,
+  sum: (stats ? stats.sum : 0) + value,
+  count: (stats ? stats.count : 0) + 1,
+});
+
+// Combines two sets of statistics, either of which may be missing.
+const mergeStats = (a, b) => {
+  if (!a || !b) return a || b;
+  return { min: Math.min(a.min, b.min), max: Math.max(a.max, b.max), sum: a.sum + b.sum, count: a.count + b.count };
+};
+
+// Readings are rolled up as numbers; booleans count as 0 and 1, so their average is the
+// share of readings that were on. Other values can't be aggregated.
+const toNumber = (value) => {
+  if (typeof value === 'boolean') return Number(value);
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+// Builds the writes that roll raw history entries into hourly and daily rollups and delete
+// them. `existingRollups` are the stored rollup documents of the affected buckets, keyed by
+// collection name, so new readings are merged into them rather than replacing them.
+export const planHistoryRollup = (entries, existingRollups, devices) => {
+  const devicesById = Object.fromEntries(devices.map(d => [d.id, d]));
+  const rollups = new Map();
+
+  entries.forEach(entry => {
+    const property = getEntryProperty(entry, devicesById[entry.deviceId]);
+    const value = toNumber(entry.value);
+    if (!property || value === null) return;
+
+    Object.values(ROLLUP_RESOLUTIONS).forEach(({ collection, bucketStart }) => {
+      const start = bucketStart(entry.timestamp);
+      const key = `${collection}/${rollupId(entry.deviceId, property, start)}`;
+      const rollup = rollups.get(key) || { collection, deviceId: entry.deviceId, property, bucketStart: start, stats: null };
+      rollup.stats = addToStats(rollup.stats, value);
+      rollups.set(key, rollup);
+    });
+  });
+
+  const writes = [...rollups.values()].map(({ collection, deviceId, property, bucketStart, stats }) => {
+    const id = rollupId(deviceId, property, bucketStart);
+    const existing = (existingRollups[collection] || []).find(doc => doc.id === id);
+    const merged = mergeStats(existing && { min: existing.min, max: existing.max, sum: existing.sum, count: existing.count }, stats);
+    return {
+      type: 'set',
+      name: collection,
+      id,
+      data: { deviceId, property, bucketStart, ...merged, avg: merged.sum / merged.count },
+    };
+  });
+
+  return [...writes, ...entries.map(entry => ({ type: 'remove', name: 'history', id: entry.id }))];
+};
+
+// Fetches the stored rollups of the buckets the given entries fall into.
+const listExistingRollups = async (store, entries) => {
+  const times = entries.map(entry => new Date(entry.timestamp).getTime());
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const lists = await Promise.all(Object.values(ROLLUP_RESOLUTIONS).map(({ collection, bucketStart }) =>
+    store.list(collection, {
+      filters: [['bucketStart', '>=', bucketStart(first)], ['bucketStart', '<=', bucketStart(last)]],
+    })));
+  return Object.fromEntries(Object.values(ROLLUP_RESOLUTIONS).map(({ collection }, i) => [collection, lists[i]]));
+};
+
+// Applies the retention policy: raw entries older than `rawDays` are rolled up and deleted,
+// and hourly rollups older than `hourlyDays` are deleted. Each batch rolls up and deletes
+// its entries in one atomic write, so a reading is never counted twice.
+// Resolves with the number of entries rolled up and hourly rollups pruned.
+export const compactHistory = async (store, devices, { rawDays, hourlyDays }, now = new Date()) => {
+  const rawCutoff = new Date(now.getTime() - rawDays * DAY_MS);
+  let rolledUp = 0;
+  for (let i = 0; i < MAX_ROLLUP_BATCHES; i++) {
+    const entries = await store.list('history', {
+      filters: [['timestamp', '<', rawCutoff]],
+      orderBy: ['timestamp', 'asc'],
+      limit: ROLLUP_BATCH_SIZE,
+    });
+    if (entries.length === 0) break;
+    await store.batch(planHistoryRollup(entries, await listExistingRollups(store, entries), devices));
+    rolledUp += entries.length;
+    if (entries.length < ROLLUP_BATCH_SIZE) break;
+  }
+
+  const hourlyCutoff = new Date(now.getTime() - hourlyDays * DAY_MS);
+  const expired = await store.list(ROLLUP_RESOLUTIONS.hour.collection, {
+    filters: [['bucketStart', '<', hourlyCutoff]],
+    limit: PRUNE_BATCH_SIZE,
+  });
+  if (expired.length > 0) {
+    await store.batch(expired.map(doc => ({ type: 'remove', name: ROLLUP_RESOLUTIONS.hour.collection, id: doc.id })));
+  }
+  return { rolledUp, pruned: expired.length };
+};
+
+// Picks what the chart reads for a range: raw readings while the range spans at most a day
+// within the raw window, hourly rollups while it spans at most two weeks within the hourly
+// window, and daily rollups otherwise.
+export const chooseResolution = (bounds, { rawDays, hourlyDays }, now = new Date()) => {
+  const span = bounds.end - bounds.start;
+  const age = now - bounds.start;
+  if (span <= DAY_MS && age <= rawDays * DAY_MS) return 'raw';
+  if (span <= 14 * DAY_MS && age <= hourlyDays * DAY_MS) return 'hour';
+  return 'day';
+};
+
+// Builds the storage query for one device's rollups within the given bounds, oldest first.
+export const buildRollupQuery = (deviceId, { start, end }, resolution, live) => {
+  const { bucketStart } = ROLLUP_RESOLUTIONS[resolution];
+  return {
+    filters: [
+      ['deviceId', '==', deviceId],
+      ['bucketStart', '>=', bucketStart(start)],
+      ...(live ? [] : [['bucketStart', '<=', end]]),
+    ],
+    orderBy: ['bucketStart', 'asc'],
+  };
+};
+
+// Converts one property's rollups into `{ time, value }` points of the bucket averages.
+// Raw points not rolled up yet are bucketed the same way and merged in.
+export const toRollupPoints = (rollups, rawPoints, property, resolution) => {
+  const { bucketStart } = ROLLUP_RESOLUTIONS[resolution];
+  const buckets = new Map();
+  rollups
+    .filter(rollup => rollup.property === property)
+    .forEach(rollup => {
+      const time = new Date(rollup.bucketStart).getTime();
+      buckets.set(time, mergeStats(buckets.get(time), rollup));
+    });
+  rawPoints
+    .filter(({ value }) => Number.isFinite(value))
+    .forEach(({ time, value }) => {
+      const bucket = bucketStart(time).getTime();
+      buckets.set(bucket, addToStats(buckets.get(bucket), value));
+    });
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([time, stats]) => ({ time, value: stats.sum / stats.count }));
+};
@@ -0,0 +1,169 @@
+import { chunkOperations } from '../devices/management.js';
+
+// Shared households.
+// A home owns its devices, rules, history and the rest under `artifacts/<appId>/homes/<homeId>`.
+// Its members are `homes/<homeId>/members/<userId>` documents `{ role, name, joinedAt, inviteCode }`,
+// and every user lists the homes they belong to in `users/<userId>/memberships/<homeId>`
+// documents `{ homeName, joinedAt }`, which the home switcher shows. Collection names here
+// are relative to the app scope (see storage/index.js), so one batch can span both.
+// firestore.rules enforces the same roles and invites on the server.
+
+export const HOMES_COLLECTION = 'homes';
+export const MEMBERS_COLLECTION = 'members';
+export const INVITES_COLLECTION = 'invites';
+export const MEMBERSHIPS_COLLECTION = 'memberships';
+
+const membersPath = (homeId) => `${HOMES_COLLECTION}/${homeId}/${MEMBERS_COLLECTION}`;
+export const membershipsPath = (userId) => `users/${userId}/${MEMBERSHIPS_COLLECTION}`;
+
+export const ROLES = [
+  { value: 'owner', label: 'Owner', description: 'Everything, including members, invites and deleting devices' },
+  { value: 'member', label: 'Member', description: 'Controls devices and edits devices, rooms, rules, schedules, scenes and alerts' },
+  { value: 'guest', label: 'Guest', description: 'Controls devices, applies scenes and switches the house mode' },
+];
+
+// Roles an invite can grant. A home has a single owner.
+export const INVITE_ROLES = ['member', 'guest'];
+
+// What each role may do. Keep in step with firestore.rules.
+const PERMISSIONS = {
+  controlDevices: ['owner', 'member', 'guest'],
+  editAutomations: ['owner', 'member'],
+  editDevices: ['owner', 'member'],
+  deleteDevices: ['owner'],
+  manageHome: ['owner'],
+  // Running the home's simulator, rules, schedules and history writers (see `claimHub`).
+  runHub: ['owner', 'member'],
+};
+
+export const can = (role, permission) => Boolean(role) && PERMISSIONS[permission].includes(role);
+
+export const getRoleLabel = (role) => ROLES.find(r => r.value === role)?.label || role;
+
+// How long an invite code can be used, once.
+export const INVITE_TTL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unambiguous characters only, so a code read out loud or retyped works.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const randomString = (alphabet, length) =>
+  Array.from(crypto.getRandomValues(new Uint32Array(length)), n => alphabet[n % alphabet.length]).join('');
+
+export const createHomeId = () => randomString(ID_ALPHABET, 20);
+
+// Uppercases a typed code and drops spaces and dashes.
+export const normalizeInviteCode = (code) => code.toUpperCase().replace(/[\s-]/g, '');
+
+export const formatInviteCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`;
+
+// The name a member is shown by until they choose one.
+export const getDefaultMemberName = (userId) => `Member ${userId.slice(0, 6)}`;
+
+// Builds the writes that create a home owned by `userId`.
+export const planHomeCreation = (homeId, homeName, userId, memberName, timestamp = new Date()) => [
+  { type: 'set', name: HOMES_COLLECTION, id: homeId, data: { name: homeName, ownerId: userId, createdAt: timestamp } },
+  { type: 'set', name: membersPath(homeId), id: userId, data: { role: 'owner', name: memberName, joinedAt: timestamp, inviteCode: null } },
+  { type: 'set', name: membershipsPath(userId), id: homeId, data: { homeName, joinedAt: timestamp } },
+];
+
+// Creates an invite to a home for the given role. Returns `{ code, data }` for the
+// `invites` collection; the code is the document ID.
+export const createInvite = (home, role, userId, now = new Date()) => ({
+  code: randomString(CODE_ALPHABET, INVITE_CODE_LENGTH),
+  data: {
+    homeId: home.id,
+    homeName: home.name,
+    role,
+    createdBy: userId,
+    expiresAt: new Date(now.getTime() + INVITE_TTL_DAYS * DAY_MS),
+  },
+});
+
+// Returns a message explaining why an invite (null when the code is unknown) can't be
+// used by someone already in `memberships`, or null if it can.
+export const validateInvite = (invite, memberships, now = new Date()) => {
+  if (!invite) return 'No invite with that code. Check it with the person who sent it.';
+  if (new Date(invite.expiresAt) <= now) return 'This invite has expired. Ask for a new one.';
+  if (memberships.some(m => m.id === invite.homeId)) return `You're already in ${invite.homeName}.`;
+  return null;
+};
+
+// Builds the writes that join the invite's home. The invite is used up.
+export const planJoin = (invite, userId, memberName, timestamp = new Date()) => [
+  {
+    type: 'set',
+    name: membersPath(invite.homeId),
+    id: userId,
+    data: { role: invite.role, name: memberName, joinedAt: timestamp, inviteCode: invite.id },
+  },
+  { type: 'set', name: membershipsPath(userId), id: invite.homeId, data: { homeName: invite.homeName, joinedAt: timestamp } },
+  { type: 'remove', name: INVITES_COLLECTION, id: invite.id },
+];
+
+// Builds the writes that take a user out of a home: leaving it, or being removed by the
+// owner. The owner can't write to other users' memberships; a removed member's stale
+// membership is dropped when they next open the home.
+export const planLeave = (homeId, userId, isSelf) => [
+  { type: 'remove', name: membersPath(homeId), id: userId },
+  ...(isSelf ? [{ type: 'remove', name: membershipsPath(userId), id: homeId }] : []),
+];
+
+// Picks the home to open: the last one used, if the user still belongs to it.
+export const pickHome = (memberships, lastHomeId) =>
+  memberships.find(m => m.id === lastHomeId)?.id || memberships[0]?.id || null;
+
+const LAST_HOME_KEY = 'smartHome.homeId';
+
+export const getLastHome = () => window.localStorage.getItem(LAST_HOME_KEY);
+
+export const setLastHome = (homeId) => window.localStorage.setItem(LAST_HOME_KEY, homeId);
+
+// Collections that used to live under each user and now belong to their home.
+// Notifications stay with the user.
+const LEGACY_COLLECTIONS = [
+  'devices', 'rooms', 'rules', 'ruleRuns', 'schedules', 'scenes', 'alerts',
+  'history', 'historyHourly', 'historyDaily', 'energyUsage', 'audit',
+];
+
+// Creates a user's first home and copies their data from before households into it. The
+// home's ID is the user's, so creating it twice (e.g. from two tabs) writes the same documents.
+// The old documents are left in place.
+export const createFirstHome = async (appStore, userId, timestamp = new Date()) => {
+  const homeId = userId;
+  await appStore.batch(planHomeCreation(homeId, 'My Home', userId, getDefaultMemberName(userId), timestamp));
+  for (const name of LEGACY_COLLECTIONS) {
+    const docs = await appStore.list(`users/${userId}/${name}`);
+    const operations = docs.map(({ id, ...data }) => ({ type: 'set', name: `${HOMES_COLLECTION}/${homeId}/${name}`, id, data }));
+    for (const chunk of chunkOperations(operations)) {
+      await appStore.batch(chunk);
+    }
+  }
+  return homeId;
+};
+
+// Hub lease. Every open dashboard shows the home, but only one of them, the hub, runs the
+// simulator, rules, schedules, history recorder, energy meter and device bridge, so nothing
+// runs twice. The hub renews a lease document; when it stops, another dashboard takes over
+// once the lease expires.
+const HUB_COLLECTION = 'hub';
+const HUB_LEASE_ID = 'lease';
+const HUB_LEASE_MS = 60 * 1000;
+export const HUB_RENEW_INTERVAL_MS = 20 * 1000;
+
+// Takes or renews the lease for this dashboard's `sessionId` unless another session holds
+// an unexpired one. Resolves to true when this dashboard is the hub.
+export const claimHub = async (store, sessionId, userId, now = new Date()) => {
+  const lease = await store.get(HUB_COLLECTION, HUB_LEASE_ID);
+  if (lease && lease.sessionId !== sessionId && new Date(lease.expiresAt) > now) return false;
+  await store.set(HUB_COLLECTION, HUB_LEASE_ID, { sessionId, userId, expiresAt: new Date(now.getTime() + HUB_LEASE_MS) });
+  return true;
+};
+
+// Gives up the lease, if this dashboard holds it, so another can take over straight away.
+export const releaseHub = async (store, sessionId) => {
+  const lease = await store.get(HUB_COLLECTION, HUB_LEASE_ID);
+  if (lease?.sessionId === sessionId) await store.remove(HUB_COLLECTION, HUB_LEASE_ID);
+};
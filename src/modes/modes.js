@@ -0,0 +1,120 @@
+import { Home, DoorOpen, Moon, Plane } from 'lucide-react';
+import { resolveActionChanges } from '../rules/actions.js';
+import { planStateWrites } from '../audit/audit.js';
+import { getSunTimes } from '../schedules/sun.js';
+
+// House modes.
+// A home is in one of HOUSE_MODES at a time, kept in `houseMode/current`:
+//   { mode, changedAt, source, sourceName }
+// and switched by people from the dashboard or by a schedule with a `mode`. Rules and
+// scenes can be limited to some modes with a `modes` list (none means every mode): a rule
+// outside its modes doesn't run, and primes again when the home returns to one of them,
+// like a paused rule; a scene outside its modes can't be applied. Each mode can carry
+// default device states in a `modes/<mode>` document `{ name, actions }`, set whenever the
+// home switches to it.
+
+export const HOUSE_MODES = [
+  { value: 'home', label: 'Home', icon: Home },
+  { value: 'away', label: 'Away', icon: DoorOpen },
+  { value: 'sleep', label: 'Sleep', icon: Moon },
+  { value: 'vacation', label: 'Vacation', icon: Plane },
+];
+
+// The mode of a home that has never been switched.
+export const DEFAULT_MODE = 'home';
+
+export const MODES_COLLECTION = 'modes';
+export const HOUSE_MODE_COLLECTION = 'houseMode';
+export const CURRENT_MODE_ID = 'current';
+
+export const getModeLabel = (mode) => HOUSE_MODES.find(m => m.value === mode)?.label || mode;
+
+// Returns true when a rule or scene applies in the given mode.
+export const isActiveInMode = (doc, mode) => !doc.modes?.length || doc.modes.includes(mode);
+
+// Describes the modes a rule or scene is limited to, e.g. "Away or Vacation", or null.
+export const describeModes = (modes) => (modes?.length ? modes.map(getModeLabel).join(' or ') : null);
+
+// Resolves a mode's default device states into per-device changes, like a rule's actions.
+export const resolveModeDefaults = (mode, { devices, modeDocs, scenes }) =>
+  resolveActionChanges(modeDocs.find(doc => doc.id === mode)?.actions || [], devices, scenes.filter(scene => isActiveInMode(scene, mode)));
+
+// Builds the writes that switch the home to `mode`, made by `source` (`{ type, name, actorId }`):
+// the mode document, and the mode's default device states, audited as made by the mode.
+export const planModeChange = (mode, source, context, timestamp = new Date()) => {
+  const changes = resolveModeDefaults(mode, context);
+  return [
+    {
+      type: 'set',
+      name: HOUSE_MODE_COLLECTION,
+      id: CURRENT_MODE_ID,
+      data: { mode, changedAt: timestamp, source: source.type, sourceName: source.name || null },
+    },
+    ...planStateWrites(changes, { type: 'mode', name: getModeLabel(mode), actorId: source.actorId }, timestamp),
+  ];
+};
+
+// Vacation presence simulation. While the home is on vacation, lights go on and off at
+// random through the evening, from sunset (PRESENCE_START_HOUR without a home location)
+// until PRESENCE_END_HOUR, so the home looks lived in. Only lights that were off are
+// switched on, and only those are switched off again.
+export const PRESENCE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const PRESENCE_START_HOUR = 18;
+const PRESENCE_END_HOUR = 23;
+// Chance that a light is switched at each check, and how many can be on at once.
+const PRESENCE_SWITCH_CHANCE = 0.2;
+const PRESENCE_MAX_LIT = 2;
+
+// Plans one presence check. `lit` lists the IDs of the lights presence simulation has
+// switched on. Returns `{ changes, lit }`, with `changes` in the `{ deviceId, changes,
+// previous }` shape of `planStateWrites`.
+export const planPresence = (devices, lit, now, location, random = Math.random) => {
+  const atHour = (hour) => new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour);
+  const start = location ? getSunTimes(now, location.latitude, location.longitude).sunset : atHour(PRESENCE_START_HOUR);
+  const isEvening = Boolean(start) && now >= start && now < atHour(PRESENCE_END_HOUR);
+
+  // Lights someone has switched off or removed since are no longer ours.
+  let next = lit.filter(id => devices.some(d => d.id === id && d.isOn));
+  const changes = [];
+  devices.filter(d => d.type === 'light').forEach(light => {
+    if (next.includes(light.id)) {
+      if (isEvening && random() >= PRESENCE_SWITCH_CHANCE) return;
+      next = next.filter(id => id !== light.id);
+      changes.push({ deviceId: light.id, changes: { isOn: false }, previous: { isOn: true } });
+    } else if (isEvening && !light.isOn && next.length < PRESENCE_MAX_LIT && random() < PRESENCE_SWITCH_CHANCE) {
+      next = [...next, light.id];
+      changes.push({ deviceId: light.id, changes: { isOn: true }, previous: { isOn: false } });
+    }
+  });
+  return { changes, lit: next };
+};
+
+// Starts presence simulation, checking every PRESENCE_CHECK_INTERVAL_MS. Stopping it switches
+// off the lights it left on, audited as written by `actorId`. Returns `{ stop }`.
+export const createPresenceSimulator = ({ store, getDevices, actorId, location }) => {
+  const source = { type: 'mode', name: getModeLabel('vacation'), actorId };
+  let lit = [];
+
+  const write = (changes) => {
+    if (changes.length === 0) return;
+    store.batch(planStateWrites(changes, source)).catch(e => console.error("Error simulating presence:", e));
+  };
+
+  const check = () => {
+    const result = planPresence(getDevices(), lit, new Date(), location);
+    lit = result.lit;
+    write(result.changes);
+  };
+
+  check();
+  const intervalId = setInterval(check, PRESENCE_CHECK_INTERVAL_MS);
+  return {
+    stop: () => {
+      clearInterval(intervalId);
+      write(lit
+        .filter(id => getDevices().some(d => d.id === id && d.isOn))
+        .map(id => ({ deviceId: id, changes: { isOn: false }, previous: { isOn: true } })));
+      lit = [];
+    },
+  };
+};
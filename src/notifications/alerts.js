@@ -0,0 +1,109 @@
+import { COMPARATORS, evaluateCondition, describeConditions } from '../rules/engine.js';
+import { getPropertyDefinition, formatPropertyValue } from '../devices/registry.js';
+
+// User-defined alert conditions, stored in the `alerts` collection:
+//   { name, type, severity: 'warning' | 'error', enabled, ...type fields }
+// with the type fields:
+//   threshold    { deviceId, property, comparator, value, valueMax }  a reading crosses a threshold
+//   offline      { deviceId, minutes }  a device (or any device, with no deviceId) hasn't
+//                reported for `minutes`; devices that never reported are ignored
+//   ruleFailure  { ruleId }  a rule (or any rule, with no ruleId) fails to write its actions
+// Threshold and offline alerts are edge-triggered like rules: they raise a notification
+// when their condition becomes true and again only after it has cleared.
+
+export const ALERT_TYPES = [
+  { value: 'threshold', label: 'Reading crosses a threshold' },
+  { value: 'offline', label: 'Device stops reporting' },
+  { value: 'ruleFailure', label: 'Rule fails' },
+];
+
+export const ALERT_SEVERITIES = ['warning', 'error'];
+
+export const DEFAULT_OFFLINE_MINUTES = 10;
+
+// Creates an empty alert for the alert form.
+export const createEmptyAlert = () => ({
+  name: '',
+  type: 'threshold',
+  severity: 'warning',
+  enabled: true,
+  deviceId: '',
+  property: '',
+  comparator: '>',
+  value: '',
+  valueMax: '',
+  minutes: DEFAULT_OFFLINE_MINUTES,
+  ruleId: '',
+});
+
+// Checks that an alert is fully specified. Returns an error message, or null when valid.
+export const validateAlert = (alert) => {
+  if (!alert.name?.trim()) return 'Give the alert a name.';
+  if (!ALERT_TYPES.some(t => t.value === alert.type)) return `Unknown alert type: ${alert.type}`;
+  if (alert.type === 'threshold') {
+    if (!alert.deviceId || !alert.property || alert.value === '') return 'Pick a device, property and threshold.';
+    if (!COMPARATORS.some(c => c.value === alert.comparator)) return `Unknown comparison: ${alert.comparator}`;
+  }
+  if (alert.type === 'offline' && !(Number(alert.minutes) > 0)) return 'Enter how many minutes without a report count as offline.';
+  return null;
+};
+
+const getMinutesSince = (time, now) => (now - new Date(time).getTime()) / 60000;
+
+// Describes what an alert watches, e.g. "Bathroom Sensor humidity > 60".
+export const describeAlert = (alert, devices, rules) => {
+  const deviceName = devices.find(d => d.id === alert.deviceId)?.name || 'Any device';
+  if (alert.type === 'threshold') return describeConditions(alert, devices);
+  if (alert.type === 'offline') return `${deviceName} silent for ${alert.minutes} min`;
+  return `${rules.find(r => r.id === alert.ruleId)?.name || 'Any rule'} fails`;
+};
+
+// Lists the conditions an alert is watching as `{ key, active, message }`, one per device
+// it covers. Rule failure alerts are raised by `getRuleFailureAlerts` instead.
+const watchAlert = (alert, devices, devicesById, now) => {
+  if (alert.type === 'threshold') {
+    const device = devicesById[alert.deviceId];
+    if (!device) return [];
+    const value = formatPropertyValue(getPropertyDefinition(device, alert.property), device[alert.property]);
+    return [{
+      key: alert.id,
+      active: evaluateCondition(alert, devicesById),
+      message: `${alert.name}: ${device.name} ${alert.property} is ${value}`,
+    }];
+  }
+  if (alert.type === 'offline') {
+    return devices
+      .filter(device => device.lastSeen && (!alert.deviceId || device.id === alert.deviceId))
+      .map(device => ({
+        key: `${alert.id}:${device.id}`,
+        active: getMinutesSince(device.lastSeen, now) >= Number(alert.minutes),
+        message: `${alert.name}: ${device.name} hasn't reported for ${alert.minutes} minutes`,
+      }));
+  }
+  return [];
+};
+
+// Advances the edge-triggered state of every enabled alert by one device snapshot.
+// `previousState` maps condition keys to whether they were active. Conditions seen for
+// the first time are primed without firing, so problems that existed before the dashboard
+// loaded aren't all raised at once.
+// Returns the alerts that fired as `[{ alert, message }]` and the state for the next call.
+export const stepAlerts = (alerts, devices, previousState = {}, now = Date.now()) => {
+  const devicesById = Object.fromEntries(devices.map(device => [device.id, device]));
+  const state = {};
+  const fired = [];
+
+  alerts.filter(alert => alert.enabled !== false).forEach(alert => {
+    watchAlert(alert, devices, devicesById, now).forEach(({ key, active, message }) => {
+      if (key in previousState && active && !previousState[key]) fired.push({ alert, message });
+      state[key] = active;
+    });
+  });
+
+  return { fired, state };
+};
+
+// Returns the enabled rule failure alerts covering a rule that failed, as `[{ alert, message }]`.
+export const getRuleFailureAlerts = (alerts, rule) => alerts
+  .filter(alert => alert.enabled !== false && alert.type === 'ruleFailure' && (!alert.ruleId || alert.ruleId === rule.id))
+  .map(alert => ({ alert, message: `${alert.name}: rule "${rule.name}" failed to update its devices` }));
@@ -0,0 +1,65 @@
+// Notifications: toasts, the notification history and browser delivery.
+// Toasts are queued and shown a few at a time, each dismissing itself after a time that
+// depends on its severity. Notifications worth keeping (rule and schedule runs, alerts)
+// are also added to the user's `notifications` collection:
+//   { message, severity, source: 'rule' | 'schedule' | 'alert', timestamp, read }
+
+export const NOTIFICATIONS_COLLECTION = 'notifications';
+
+// How long a toast of each severity stays on screen.
+export const SEVERITIES = {
+  info: { label: 'Info', durationMs: 4000 },
+  success: { label: 'Success', durationMs: 4000 },
+  warning: { label: 'Warning', durationMs: 8000 },
+  error: { label: 'Error', durationMs: 10000 },
+};
+
+// Toasts past this many wait their turn.
+export const MAX_VISIBLE_TOASTS = 3;
+
+// How many notifications the notification center lists.
+export const NOTIFICATION_HISTORY_LIMIT = 50;
+
+let lastToastId = 0;
+
+// Creates a toast for the queue.
+export const createToast = (message, severity = 'info') => ({
+  id: ++lastToastId,
+  message,
+  severity,
+  durationMs: (SEVERITIES[severity] || SEVERITIES.info).durationMs,
+});
+
+// Builds the writes that mark notifications as read.
+export const planMarkRead = (notifications) => notifications
+  .filter(notification => !notification.read)
+  .map(notification => ({ type: 'update', name: NOTIFICATIONS_COLLECTION, id: notification.id, data: { read: true } }));
+
+// Browser delivery is opted into per browser, as notification permission is per browser too.
+const BROWSER_DELIVERY_KEY = 'smartHome.browserNotifications';
+
+export const isBrowserDeliverySupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Returns true when notifications should also be shown by the browser.
+export const getBrowserDelivery = () => isBrowserDeliverySupported()
+  && Notification.permission === 'granted'
+  && window.localStorage.getItem(BROWSER_DELIVERY_KEY) === 'on';
+
+// Turns browser delivery on or off, asking for permission when turning it on.
+// Resolves to whether delivery is now on.
+export const setBrowserDelivery = async (enabled) => {
+  const permission = enabled && isBrowserDeliverySupported() ? await Notification.requestPermission() : 'denied';
+  const isOn = enabled && permission === 'granted';
+  window.localStorage.setItem(BROWSER_DELIVERY_KEY, isOn ? 'on' : 'off');
+  return isOn;
+};
+
+// Shows a notification through the browser, if the user turned that on.
+export const deliverToBrowser = (message, severity) => {
+  if (!getBrowserDelivery()) return;
+  try {
+    new Notification(`Smart Home ${(SEVERITIES[severity] || SEVERITIES.info).label.toLowerCase()}`, { body: message });
+  } catch (e) {
+    console.error("Error showing browser notification:", e);
+  }
+};
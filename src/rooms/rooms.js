@@ -0,0 +1,84 @@
+import { DEVICE_TYPES, getTypeProperties } from '../devices/registry.js';
+
+// Rooms.
+// A room is identified by its name, which every device carries in its `room` field.
+// Rooms created before they have any devices are kept as `{ name }` documents in the
+// `rooms` collection, so the room list is the union of both.
+
+// Lists every room name, sorted.
+export const getRooms = (devices, roomDocs = []) =>
+  [...new Set([...roomDocs.map(r => r.name), ...devices.map(d => d.room)].filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+
+// Groups devices by room, keeping their order within each room.
+// Rooms without devices are included with an empty list.
+export const groupDevicesByRoom = (devices, rooms) =>
+  rooms.map(room => ({ room, devices: devices.filter(d => d.room === room) }));
+
+const average = (values) =>
+  values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Summarises a room's devices: average temperature and humidity, and lights on.
+export const summarizeRoom = (devices) => {
+  const lights = devices.filter(d => d.type === 'light');
+  return {
+    temperature: average(devices.filter(d => typeof d.currentTemp === 'number').map(d => d.currentTemp)),
+    humidity: average(devices.filter(d => typeof d.humidity === 'number').map(d => d.humidity)),
+    lightsOn: lights.filter(d => d.isOn).length,
+    lightsTotal: lights.length,
+  };
+};
+
+// Lists what a room-wide action can set: each controllable property of each device type
+// present in the room, e.g. "Light: Set brightness".
+export const getRoomActionOptions = (devices, room) => {
+  const types = [...new Set(devices.filter(d => d.room === room).map(d => d.type))].filter(type => DEVICE_TYPES[type]);
+  return types.flatMap(deviceType =>
+    getTypeProperties(deviceType)
+      .filter(definition => definition.controllable)
+      .map(definition => ({
+        ...definition,
+        deviceType,
+        label: `${DEVICE_TYPES[deviceType].label}: ${definition.actionLabel || `Set ${definition.label.toLowerCase()}`}`,
+      })));
+};
+
+// Expands room-wide actions (`{ room, deviceType, property, value }`) into one action per
+// matching device in the room.
+export const expandRoomActions = (actions, devices) =>
+  actions.flatMap(action => {
+    if (!action.room) return [action];
+    return devices
+      .filter(d => d.room === action.room && d.type === action.deviceType)
+      .map(d => ({ deviceId: d.id, property: action.property, value: action.value }));
+  });
+
+// Renames actions that target a room, leaving all other actions untouched.
+const renameRoomInActions = (actions = [], from, to) =>
+  actions.map(action => (action.room === from ? { ...action, room: to } : action));
+
+// Builds the writes that rename a room. Renaming to an existing room's name merges the two:
+// devices, room documents and room-wide rule, schedule and scene actions all move across.
+export const planRoomRename = (from, to, { devices, roomDocs, rules, schedules, scenes }) => {
+  const target = to.trim();
+  if (!target || target === from) return [];
+
+  const targetExists = roomDocs.some(r => r.name === target) || devices.some(d => d.room === target);
+  const sourceDocs = roomDocs.filter(r => r.name === from);
+  const usesRoom = (item) => (item.actions || []).some(action => action.room === from);
+
+  return [
+    ...devices
+      .filter(d => d.room === from)
+      .map(d => ({ type: 'update', name: 'devices', id: d.id, data: { room: target } })),
+    ...sourceDocs.map((doc, index) => (targetExists || index > 0
+      ? { type: 'remove', name: 'rooms', id: doc.id }
+      : { type: 'update', name: 'rooms', id: doc.id, data: { name: target } })),
+    ...rules.filter(usesRoom)
+      .map(rule => ({ type: 'update', name: 'rules', id: rule.id, data: { actions: renameRoomInActions(rule.actions, from, target) } })),
+    ...schedules.filter(usesRoom)
+      .map(schedule => ({ type: 'update', name: 'schedules', id: schedule.id, data: { actions: renameRoomInActions(schedule.actions, from, target) } })),
+    ...scenes.filter(usesRoom)
+      .map(scene => ({ type: 'update', name: 'scenes', id: scene.id, data: { actions: renameRoomInActions(scene.actions, from, target) } })),
+  ];
+};
@@ -0,0 +1,155 @@
+import { DEVICE_TYPES, getDeviceType, getTypeProperties } from '../devices/registry.js';
+import { getRoomActionOptions, expandRoomActions } from '../rooms/rooms.js';
+import { planStateWrites } from '../audit/audit.js';
+
+// Typed rule actions.
+// An action sets one property of one device:
+//   { deviceId, property, value }
+// and a rule can carry several of them in `rule.actions`.
+// An action can instead activate a scene, `{ sceneId }`, which expands into the
+// scene's own device actions when the rule runs, or target every device of one type in a
+// room, `{ room, deviceType, property, value }`.
+
+// Creates an empty action for the rule and schedule forms.
+export const createEmptyAction = () => ({ deviceId: '', property: '', value: '' });
+
+// Lists the controllable properties of a device, as declared in the device type registry.
+export const getActionOptions = (device) => {
+  if (!getDeviceType(device)) return [];
+  return getTypeProperties(device.type)
+    .filter(definition => definition.controllable)
+    .map(definition => ({ ...definition, label: definition.actionLabel || `Set ${definition.label.toLowerCase()}` }));
+};
+
+// Finds the definition of a single controllable property of a device.
+export const getActionOption = (device, property) =>
+  getActionOptions(device).find(option => option.property === property);
+
+// Replaces scene actions with the device actions of the scenes they refer to.
+export const expandSceneActions = (actions, scenes = []) =>
+  actions.flatMap(action => {
+    if (!action.sceneId) return [action];
+    return scenes.find(scene => scene.id === action.sceneId)?.actions || [];
+  });
+
+// Converts rules saved before typed actions existed
+// (`actionDevice`, `actionType`, `actionValue`) into an actions list.
+export const getRuleActions = (rule) => {
+  if (Array.isArray(rule.actions)) return rule.actions;
+  if (!rule.actionDevice) return [];
+  return [{ deviceId: rule.actionDevice, property: 'isOn', value: String(rule.actionValue).trim().toLowerCase() === 'on' }];
+};
+
+// Checks an action value against its property definition. Returns an error message or null.
+const validateValue = (option, value, targetName) => {
+  if (option.kind === 'boolean' && typeof value !== 'boolean') {
+    return `Choose on or off for ${targetName}.`;
+  }
+  if (option.kind === 'number') {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return `Enter a number for ${targetName} ${option.property}.`;
+    }
+    if (value < option.min || value > option.max) {
+      return `${targetName} ${option.property} must be between ${option.min} and ${option.max}.`;
+    }
+  }
+  return null;
+};
+
+// Checks that every action targets a controllable property with a value in range.
+// Returns an error message, or null when the actions are valid.
+export const validateActions = (actions, devices, scenes = []) => {
+  if (!actions || actions.length === 0) return 'Add at least one action.';
+
+  for (const action of actions) {
+    if (action.sceneId) {
+      if (!scenes.some(scene => scene.id === action.sceneId)) return 'Choose a scene that still exists.';
+      continue;
+    }
+
+    let option;
+    let targetName;
+    if (action.room) {
+      option = getRoomActionOptions(devices, action.room)
+        .find(o => o.deviceType === action.deviceType && o.property === action.property);
+      targetName = action.room;
+      if (!option) return `${action.room} has no devices that can "${action.property || '?'}".`;
+    } else {
+      const device = devices.find(d => d.id === action.deviceId);
+      if (!device) return 'Every action needs a device.';
+      option = getActionOption(device, action.property);
+      targetName = device.name;
+      if (!option) return `${device.name} has no controllable property "${action.property || '?'}".`;
+    }
+
+    const error = validateValue(option, action.value, targetName);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Groups a rule's actions into per-device changes `{ deviceId, changes, previous }`, with
+// the values they replace in `previous`. Properties already in the desired state are
+// dropped, so a rule never rewrites a device it has already updated.
+export const resolveActionChanges = (actions, devices, scenes = []) => {
+  const changesByDevice = {};
+  expandRoomActions(expandSceneActions(actions, scenes), devices).forEach(action => {
+    const device = devices.find(d => d.id === action.deviceId);
+    if (!device || device[action.property] === action.value) return;
+    const deviceChange = changesByDevice[action.deviceId] || { deviceId: action.deviceId, changes: {}, previous: {} };
+    deviceChange.changes[action.property] = action.value;
+    deviceChange.previous[action.property] = device[action.property] ?? null;
+    changesByDevice[action.deviceId] = deviceChange;
+  });
+  return Object.values(changesByDevice);
+};
+
+// Writes resolved per-device changes through a scoped store as one batch, so devices
+// never end up half-updated, and records them in the audit log as made by `source`
+// (`{ type, name, actorId }`). Resolves with the failure, or null when the batch succeeded.
+export const applyActionChanges = async (store, changes, source) => {
+  if (changes.length === 0) return null;
+  try {
+    await store.batch(planStateWrites(changes, source));
+    return null;
+  } catch (e) {
+    return e;
+  }
+};
+
+// Rule runs older than this are pruned, like the audit log.
+export const RULE_RUN_RETENTION_DAYS = 7;
+const PRUNE_BATCH_SIZE = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deletes rule runs past the retention window, a batch at a time.
+export const pruneRuleRuns = async (store, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RULE_RUN_RETENTION_DAYS * DAY_MS);
+  const expired = await store.list('ruleRuns', { filters: [['timestamp', '<', cutoff]], limit: PRUNE_BATCH_SIZE });
+  if (expired.length > 0) {
+    await store.batch(expired.map(run => ({ type: 'remove', name: 'ruleRuns', id: run.id })));
+  }
+  return expired.length;
+};
+
+// Builds a human-readable summary of an action list, e.g. "Bedroom Lamp brightness to 20%".
+export const describeActions = (actions, devices, scenes = []) =>
+  actions.map(action => {
+    if (action.sceneId) return `scene ${scenes.find(scene => scene.id === action.sceneId)?.name || '(deleted)'}`;
+    if (action.room) {
+      const definition = DEVICE_TYPES[action.deviceType]?.properties[action.property];
+      const typeLabel = `${(DEVICE_TYPES[action.deviceType]?.label || action.deviceType).toLowerCase()}s`;
+      if (typeof action.value === 'boolean') {
+        return `all ${action.room} ${typeLabel} ${(definition?.labels || ['off', 'on'])[action.value ? 1 : 0].toLowerCase()}`;
+      }
+      return `${action.room} ${typeLabel} ${action.property} to ${action.value}${definition?.unit || ''}`;
+    }
+    const device = devices.find(d => d.id === action.deviceId);
+    const name = device?.name || 'Device';
+    const option = getActionOption(device, action.property);
+    if (typeof action.value === 'boolean') {
+      return `${name} ${(option?.labels || ['off', 'on'])[action.value ? 1 : 0].toLowerCase()}`;
+    }
+    const unit = option?.unit || '';
+    return `${name} ${action.property} to ${action.value}${unit}`;
+  }).join(', ');
@@ -0,0 +1,141 @@
+import { stepRules, getRuleConditions, flattenConditions, getReferencedDevices, getTriggerSnapshot } from './engine.js';
+import { getRuleActions, expandSceneActions, resolveActionChanges } from './actions.js';
+import { expandRoomActions } from '../rooms/rooms.js';
+import { getHistoryMetrics, buildHistoryQuery, buildPriorValueQuery, getEntryProperty } from '../history/history.js';
+import { ENERGY_PROPERTIES } from '../energy/energy.js';
+
+// Rule dry runs.
+// A draft rule is replayed against the raw history the dashboard recorded: the devices
+// start from their last recorded values before the range, every history entry is applied
+// in order, and the rules engine is stepped after each one, exactly as the live engine is
+// stepped on every device snapshot. Nothing is written. The replay follows what the
+// devices actually did, so it doesn't include the effect the draft's own actions would
+// have had on later readings.
+//
+// Other enabled rules that set the same device properties are replayed alongside, to find
+// where the draft would fight them.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Two rules setting the same property to different values this close together conflict.
+export const CONFLICT_WINDOW_MS = 10 * 60 * 1000;
+
+// Ranges a rule can be replayed over. Raw history only goes back `rawDays` (older readings
+// are rolled up), so longer ranges aren't offered.
+export const getBacktestRanges = (retention) => [
+  { key: '6h', label: 'Last 6 hours', durationMs: 6 * HOUR_MS },
+  { key: '24h', label: 'Last 24 hours', durationMs: 24 * HOUR_MS },
+  ...(retention.rawDays > 1
+    ? [{ key: 'raw', label: `Last ${retention.rawDays} days`, durationMs: retention.rawDays * 24 * HOUR_MS }]
+    : []),
+];
+
+// Lists the `{ deviceId, property, value }` device actions a rule takes, with scenes and
+// room actions expanded against the given devices.
+const getTargetActions = (rule, devices, scenes) =>
+  expandRoomActions(expandSceneActions(getRuleActions(rule), scenes), devices);
+
+const targetKey = ({ deviceId, property }) => `${deviceId}.${property}`;
+
+// Finds the other enabled rules that set a property the draft sets, to a different value.
+// Returns `[{ rule, deviceId, property, value, otherValue }]`, one per clashing property.
+export const findActionConflicts = (draft, rules, devices, scenes = []) => {
+  const draftTargets = getTargetActions(draft, devices, scenes);
+  return rules
+    .filter(rule => rule.id !== draft.id && rule.enabled !== false)
+    .flatMap(rule => getTargetActions(rule, devices, scenes).flatMap(action => {
+      const clash = draftTargets.find(target => targetKey(target) === targetKey(action) && target.value !== action.value);
+      return clash ? [{ rule, deviceId: action.deviceId, property: action.property, value: clash.value, otherValue: action.value }] : [];
+    }));
+};
+
+// Lists the IDs of the devices a replay needs: the ones the draft refers to, and the ones
+// every rule it may conflict with refers to.
+export const getBacktestDevices = (draft, conflictingRules) =>
+  [...new Set([draft, ...conflictingRules].flatMap(getReferencedDevices))];
+
+// Loads the recorded history of the given devices over `{ start, end }`: the entries in
+// the range, oldest first, and the last value of every recorded property before it.
+export const loadBacktestHistory = async (store, devices, deviceIds, bounds) => {
+  const involved = devices.filter(device => deviceIds.includes(device.id));
+  const [entries, priors] = await Promise.all([
+    Promise.all(involved.map(device => store.list('history', buildHistoryQuery(device.id, bounds, false))
+      .then(docs => docs.map(entry => ({ ...entry, property: getEntryProperty(entry, device) }))))),
+    Promise.all(involved.flatMap(device => getHistoryMetrics(device).map(({ property }) =>
+      store.list('history', buildPriorValueQuery(device.id, property, bounds.start))
+        .then(([entry]) => (entry ? { deviceId: device.id, property, value: entry.value } : null))))),
+  ]);
+  return {
+    entries: entries.flat().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+    priors: priors.filter(Boolean),
+  };
+};
+
+// Lists the conditions of the draft that compare a property history doesn't record, such as
+// a thermostat's target temperature. The replay holds those at their current value.
+export const getUnrecordedConditions = (draft, devices) =>
+  flattenConditions(getRuleConditions(draft)).filter(({ deviceId, property }) =>
+    !getHistoryMetrics(devices.find(d => d.id === deviceId)).some(metric => metric.property === property));
+
+// Returns a message explaining why the draft can't be replayed, or null if it can. Energy
+// readings are only kept as daily totals, so there is nothing to replay them from.
+export const validateBacktest = (draft) =>
+  flattenConditions(getRuleConditions(draft)).some(({ property }) => ENERGY_PROPERTIES.includes(property))
+    ? "Energy readings aren't recorded over time, so rules with energy conditions can't be dry-run."
+    : null;
+
+// Replays the draft and the rules it may conflict with over recorded history.
+// The history is what `loadBacktestHistory` loaded; devices without a recorded value start from
+// their current state. Returns
+//   { firings: [{ time, trigger, actions, changes }], conflicts: [{ time, rule, deviceId, property, value, otherValue }], readings }
+// where `actions` are the draft's device actions and `changes` the per-device changes they
+// would have written (empty when the devices were already set), and `conflicts` are the
+// times a conflicting rule fired within CONFLICT_WINDOW_MS of the draft and set one of the
+// same properties differently.
+export const backtestRule = (draft, conflictingRules, devices, scenes, { entries, priors }, { start }) => {
+  const snapshot = new Map(devices.map(device => [device.id, { ...device }]));
+  priors.forEach(({ deviceId, property, value }) => {
+    if (snapshot.has(deviceId)) snapshot.get(deviceId)[property] = value;
+  });
+
+  const rules = [{ ...draft, id: draft.id || 'draft', enabled: true }, ...conflictingRules];
+  const draftId = rules[0].id;
+  const firings = [];
+  const otherFirings = [];
+
+  // Steps every rule against the devices as they were at `time`.
+  let state = {};
+  const step = (time) => {
+    const current = [...snapshot.values()];
+    const result = stepRules(rules, current, state, time);
+    state = result.state;
+    result.fired.forEach(rule => {
+      const actions = getTargetActions(rule, current, scenes);
+      if (rule.id === draftId) {
+        firings.push({ time, trigger: getTriggerSnapshot(rule, current), changes: resolveActionChanges(actions, current), actions });
+      } else {
+        otherFirings.push({ time, rule, actions });
+      }
+    });
+  };
+
+  // The first step primes the rules, as the live engine does when the dashboard opens.
+  step(start.getTime());
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    snapshot.get(entry.deviceId)[entry.property] = entry.value;
+    // Entries recorded together are one device snapshot.
+    const time = new Date(entry.timestamp).getTime();
+    if (i + 1 < entries.length && new Date(entries[i + 1].timestamp).getTime() === time) continue;
+    step(time);
+  }
+
+  const conflicts = firings.flatMap(firing => otherFirings
+    .filter(other => Math.abs(other.time - firing.time) <= CONFLICT_WINDOW_MS)
+    .flatMap(other => other.actions.flatMap(action => {
+      const clash = firing.actions.find(target => targetKey(target) === targetKey(action) && target.value !== action.value);
+      return clash ? [{ time: other.time, rule: other.rule, deviceId: action.deviceId, property: action.property, value: clash.value, otherValue: action.value }] : [];
+    })));
+
+  return { firings, conflicts, readings: entries.length };
+};
@@ -0,0 +1,248 @@
+import { getRuleActions } from './actions.js';
+import { getDeviceType, getTypeProperties } from '../devices/registry.js';
+import { HOME_METER, ENERGY_PROPERTIES } from '../energy/energy.js';
+
+// Automation rules engine.
+// Pure functions only: the engine is fed device snapshots and returns which rules match,
+// so rule behaviour can be exercised without React or a storage backend.
+// The snapshots carry each device's energy readings and the whole-home meter
+// (see `withEnergyReadings`), so conditions can test energy thresholds too.
+//
+// A rule's trigger is a condition group:
+//   { operator: 'and' | 'or', conditions: [condition | group, ...] }
+// and a condition compares one property of one device:
+//   { deviceId, property, comparator, value, valueMax }
+// `valueMax` is only used by the 'between' comparator (inclusive on both ends).
+//
+// Rules fire on the transition into their condition (see `stepRules`). Two optional
+// rule fields tune this: `hysteresis`, a band by which numeric thresholds are relaxed
+// while the rule is active so noisy readings don't re-trigger it, and `cooldownSeconds`,
+// the minimum time between two firings of the same rule. Rules with `enabled: false`
+// are skipped entirely.
+//
+// Readings of offline devices are stale (see devices/health.js): a condition on one is
+// neither true nor false, and a rule its conditions can't be settled without is left as
+// it was until fresh readings arrive.
+
+export const COMPARATORS = [
+  { value: '>', label: 'greater than' },
+  { value: '>=', label: 'at least' },
+  { value: '<', label: 'less than' },
+  { value: '<=', label: 'at most' },
+  { value: '==', label: 'equal to' },
+  { value: '!=', label: 'not equal to' },
+  { value: 'between', label: 'between' },
+];
+
+// Fields that describe a device rather than its state.
+const NON_STATE_FIELDS = ['id', 'name', 'type', 'room'];
+
+// Lists the properties of a device that conditions can compare against: every property
+// its registry type declares plus its energy readings, or for unknown types any number or
+// boolean field it has. The whole-home meter only has energy readings.
+export const getComparableProperties = (device) => {
+  if (!device) return [];
+  if (device.id === HOME_METER.id) return ENERGY_PROPERTIES;
+  if (getDeviceType(device)) {
+    return [...getTypeProperties(device.type).map(definition => definition.property), ...ENERGY_PROPERTIES];
+  }
+  return Object.keys(device).filter(key =>
+    !NON_STATE_FIELDS.includes(key) && ['number', 'boolean'].includes(typeof device[key]));
+};
+
+// Coerces a value entered in the rule form into a boolean or number where possible.
+export const parseValue = (value) => {
+  if (typeof value !== 'string') return value;
+  const normalized = value.trim().toLowerCase();
+  if (['on', 'true', 'yes'].includes(normalized)) return true;
+  if (['off', 'false', 'no'].includes(normalized)) return false;
+  if (normalized !== '' && !Number.isNaN(Number(normalized))) return Number(normalized);
+  return value.trim();
+};
+
+// Compares a device property value against a condition, returning false for missing values.
+// `slack` widens numeric thresholds in the direction that keeps the condition true.
+export const compare = (actual, comparator, value, valueMax, slack = 0) => {
+  if (actual === undefined || actual === null) return false;
+  const expected = parseValue(value);
+
+  switch (comparator) {
+    case '==':
+      return actual === expected;
+    case '!=':
+      return actual !== expected;
+    case '>':
+      return Number(actual) > Number(expected) - slack;
+    case '>=':
+      return Number(actual) >= Number(expected) - slack;
+    case '<':
+      return Number(actual) < Number(expected) + slack;
+    case '<=':
+      return Number(actual) <= Number(expected) + slack;
+    case 'between': {
+      const min = Number(expected);
+      const max = Number(parseValue(valueMax));
+      return Number(actual) >= Math.min(min, max) - slack && Number(actual) <= Math.max(min, max) + slack;
+    }
+    default:
+      return false;
+  }
+};
+
+const isGroup = (node) => Array.isArray(node?.conditions);
+
+// Converts rules saved before condition groups existed
+// (`triggerDevice`, `triggerCondition`, `triggerValue`) into a single-condition group.
+export const getRuleConditions = (rule) => {
+  if (isGroup(rule.conditions)) return rule.conditions;
+  if (!rule.triggerDevice) return { operator: 'and', conditions: [] };
+
+  const isStateCheck = rule.triggerCondition === '==';
+  return {
+    operator: 'and',
+    conditions: [{
+      deviceId: rule.triggerDevice,
+      property: isStateCheck ? 'isOn' : 'currentTemp',
+      comparator: rule.triggerCondition,
+      value: rule.triggerValue,
+    }],
+  };
+};
+
+// Evaluates a single condition or a nested group against a map of devices by ID.
+export const evaluateCondition = (node, devicesById, slack = 0) => {
+  if (isGroup(node)) {
+    if (node.conditions.length === 0) return false;
+    return node.operator === 'or'
+      ? node.conditions.some(child => evaluateCondition(child, devicesById, slack))
+      : node.conditions.every(child => evaluateCondition(child, devicesById, slack));
+  }
+
+  const device = devicesById[node.deviceId];
+  if (!device) return false; // A condition on a missing device never matches.
+  return compare(device[node.property], node.comparator, node.value, node.valueMax, slack);
+};
+
+// Evaluates a condition like `evaluateCondition`, but conditions on the devices in
+// `staleIds` are unknown (null), and so is a group its known conditions don't settle.
+const evaluateFreshCondition = (node, devicesById, slack, staleIds) => {
+  if (!isGroup(node)) return staleIds.has(node.deviceId) ? null : evaluateCondition(node, devicesById, slack);
+  if (node.conditions.length === 0) return false;
+  const results = node.conditions.map(child => evaluateFreshCondition(child, devicesById, slack, staleIds));
+  // Any true condition settles an 'or' group, any false one an 'and' group.
+  const settling = node.operator === 'or';
+  if (results.includes(settling)) return settling;
+  return results.includes(null) ? null : !settling;
+};
+
+const indexDevices = (devices) =>
+  Object.fromEntries(devices.map(device => [device.id, device]));
+
+// Returns true when the rule's trigger conditions hold for the given devices.
+export const evaluateRule = (rule, devices) =>
+  evaluateCondition(getRuleConditions(rule), indexDevices(devices));
+
+// Returns the rules whose trigger conditions currently hold.
+export const evaluateRules = (rules, devices) => {
+  const devicesById = indexDevices(devices);
+  return rules.filter(rule => evaluateCondition(getRuleConditions(rule), devicesById));
+};
+
+// Advances the edge-triggered state of every rule by one device snapshot.
+// `previousState` maps rule IDs to `{ active, lastFiredAt }` from the previous call.
+// A rule fires only when its condition goes from false to true and its cooldown has passed.
+// Rules seen for the first time are primed without firing, so conditions that were already
+// true when the dashboard loaded don't trigger actions. `staleDeviceIds` lists the devices
+// whose readings can't be trusted; a rule that depends on them keeps its state.
+// Returns the rules that fired and the state to pass into the next call.
+export const stepRules = (rules, devices, previousState = {}, now = Date.now(), staleDeviceIds = []) => {
+  const devicesById = indexDevices(devices);
+  const staleIds = new Set(staleDeviceIds);
+  const state = {};
+  const fired = [];
+
+  rules.forEach(rule => {
+    // Disabled rules drop their state, so re-enabling one primes it again instead of firing.
+    if (rule.enabled === false) return;
+
+    const previous = previousState[rule.id];
+    const slack = previous?.active ? Number(rule.hysteresis) || 0 : 0;
+    const active = evaluateFreshCondition(getRuleConditions(rule), devicesById, slack, staleIds);
+    if (active === null) {
+      if (previous) state[rule.id] = previous;
+      return;
+    }
+    const next = { active, lastFiredAt: previous?.lastFiredAt ?? null };
+
+    if (previous && active && !previous.active) {
+      const cooldownMs = (Number(rule.cooldownSeconds) || 0) * 1000;
+      if (next.lastFiredAt === null || now - next.lastFiredAt >= cooldownMs) {
+        next.lastFiredAt = now;
+        fired.push(rule);
+      }
+    }
+    state[rule.id] = next;
+  });
+
+  return { fired, state };
+};
+
+// Lists the conditions of a group without nesting.
+export const flattenConditions = (node) =>
+  isGroup(node) ? node.conditions.flatMap(flattenConditions) : [node];
+
+// Lists the IDs of the devices a rule refers to, in its conditions or its actions.
+export const getReferencedDevices = (rule) => [...new Set([
+  ...flattenConditions(getRuleConditions(rule)).map(c => c.deviceId),
+  ...getRuleActions(rule).map(a => a.deviceId),
+].filter(Boolean))];
+
+// Lists the IDs of devices a rule refers to that are not in the given device list.
+export const findMissingDevices = (rule, devices) =>
+  getReferencedDevices(rule).filter(id => !devices.some(d => d.id === id));
+
+// Captures the device values a rule's conditions looked at, for the execution log.
+export const getTriggerSnapshot = (rule, devices) =>
+  flattenConditions(getRuleConditions(rule)).map(({ deviceId, property }) => ({
+    deviceId,
+    property,
+    value: devices.find(d => d.id === deviceId)?.[property] ?? null,
+  }));
+
+// Builds a human-readable summary of a condition group, e.g.
+// "Living Room Thermostat currentTemp > 75 and Ceiling Fan isOn == off".
+export const describeConditions = (node, devices) => {
+  if (isGroup(node)) {
+    const parts = node.conditions.map(child =>
+      isGroup(child) ? `(${describeConditions(child, devices)})` : describeConditions(child, devices));
+    return parts.join(node.operator === 'or' ? ' or ' : ' and ');
+  }
+
+  const deviceName = devices.find(d => d.id === node.deviceId)?.name || 'Device';
+  const value = node.comparator === 'between' ? `${node.value}–${node.valueMax}` : node.value;
+  return `${deviceName} ${node.property} ${node.comparator} ${value}`;
+};
+
+// Checks that every condition in a group is fully specified.
+// Returns an error message, or null when the group is valid.
+export const validateConditions = (node) => {
+  if (isGroup(node)) {
+    if (node.conditions.length === 0) return 'Add at least one condition.';
+    for (const child of node.conditions) {
+      const error = validateConditions(child);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  if (!node.deviceId || !node.property || !node.comparator || node.value === '') {
+    return 'Every condition needs a device, property, comparison and value.';
+  }
+  if (!COMPARATORS.some(c => c.value === node.comparator)) {
+    return `Unknown comparison: ${node.comparator}`;
+  }
+  if (node.comparator === 'between' && (node.valueMax === undefined || node.valueMax === '')) {
+    return '"Between" conditions need both a lower and an upper value.';
+  }
+  return null;
+};
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { compare, stepRules } from './engine.js';
+
+const thermostat = (currentTemp) => ({ id: 't', name: 'Thermostat', type: 'thermostat', room: 'Living Room', currentTemp });
+const fan = (isOn) => ({ id: 'f', name: 'Fan', type: 'fan', room: 'Living Room', isOn });
+
+const hotRule = (fields = {}) => ({
+  id: 'hot',
+  name: 'Too hot',
+  conditions: { operator: 'and', conditions: [{ deviceId: 't', property: 'currentTemp', comparator: '>', value: '75' }] },
+  ...fields,
+});
+
+// Feeds one device snapshot after another to stepRules, returning the IDs of the rules
+// fired at each step. Snapshots are a minute apart unless given as `{ devices, at }`.
+const run = (rules, snapshots, staleAt = {}) => {
+  let state = {};
+  return snapshots.map((snapshot, i) => {
+    const { devices, at = i * 60 * 1000 } = Array.isArray(snapshot) ? { devices: snapshot } : snapshot;
+    const result = stepRules(rules, devices, state, at, staleAt[i] || []);
+    state = result.state;
+    return result.fired.map(rule => rule.id);
+  });
+};
+
+describe('compare', () => {
+  it('includes both ends of a between range', () => {
+    expect(compare(60, 'between', '60', '70')).toBe(true);
+    expect(compare(70, 'between', '60', '70')).toBe(true);
+    expect(compare(70.5, 'between', '60', '70')).toBe(false);
+    expect(compare(59, 'between', '60', '70')).toBe(false);
+  });
+
+  it('accepts a between range given upside down', () => {
+    expect(compare(65, 'between', '70', '60')).toBe(true);
+  });
+
+  it('widens a between range by the slack', () => {
+    expect(compare(71, 'between', '60', '70', 2)).toBe(true);
+    expect(compare(58, 'between', '60', '70', 2)).toBe(true);
+    expect(compare(57, 'between', '60', '70', 2)).toBe(false);
+  });
+
+  it('never matches a missing value', () => {
+    expect(compare(undefined, 'between', '60', '70')).toBe(false);
+    expect(compare(null, '!=', 'on')).toBe(false);
+  });
+
+  it('compares form values as booleans and numbers', () => {
+    expect(compare(true, '==', 'on')).toBe(true);
+    expect(compare(76, '>', '75')).toBe(true);
+  });
+});
+
+describe('stepRules', () => {
+  it('primes a rule without firing when its condition already holds', () => {
+    expect(run([hotRule()], [[thermostat(80)], [thermostat(81)]])).toEqual([[], []]);
+  });
+
+  it('fires only when the condition becomes true', () => {
+    expect(run([hotRule()], [[thermostat(70)], [thermostat(80)], [thermostat(81)], [thermostat(70)], [thermostat(80)]]))
+      .toEqual([[], ['hot'], [], [], ['hot']]);
+  });
+
+  it('keeps an active rule active within its hysteresis', () => {
+    const snapshots = [[thermostat(70)], [thermostat(76)], [thermostat(74)], [thermostat(76)]];
+    expect(run([hotRule()], snapshots)).toEqual([[], ['hot'], [], ['hot']]);
+    expect(run([hotRule({ hysteresis: 2 })], snapshots)).toEqual([[], ['hot'], [], []]);
+  });
+
+  it('releases a rule once a reading leaves the hysteresis band', () => {
+    const snapshots = [[thermostat(70)], [thermostat(76)], [thermostat(72)], [thermostat(76)]];
+    expect(run([hotRule({ hysteresis: 2 })], snapshots)).toEqual([[], ['hot'], [], ['hot']]);
+  });
+
+  it('does not fire again until the cooldown has passed', () => {
+    const rule = hotRule({ cooldownSeconds: 300 });
+    const at = (minutes, temp) => ({ devices: [thermostat(temp)], at: minutes * 60 * 1000 });
+    expect(run([rule], [at(0, 70), at(1, 80), at(2, 70), at(3, 80), at(4, 70), at(6, 80)]))
+      .toEqual([[], ['hot'], [], [], [], ['hot']]);
+  });
+
+  it('drops the state of a disabled rule, so re-enabling it primes it again', () => {
+    let { state } = stepRules([hotRule()], [thermostat(70)], {}, 0);
+    ({ state } = stepRules([hotRule({ enabled: false })], [thermostat(80)], state, 1));
+    expect(state).toEqual({});
+    const { fired } = stepRules([hotRule()], [thermostat(80)], state, 2);
+    expect(fired).toEqual([]);
+  });
+
+  describe('with stale devices', () => {
+    it('leaves a rule as it was while its readings are stale', () => {
+      const previousState = { hot: { active: false, lastFiredAt: null } };
+      const { fired, state } = stepRules([hotRule()], [thermostat(80)], previousState, 0, ['t']);
+      expect(fired).toEqual([]);
+      expect(state).toEqual(previousState);
+    });
+
+    it('does not prime a new rule on stale readings', () => {
+      const { state } = stepRules([hotRule()], [thermostat(80)], {}, 0, ['t']);
+      expect(state).toEqual({});
+    });
+
+    it('fires once fresh readings arrive', () => {
+      expect(run([hotRule()], [[thermostat(70)], [thermostat(80)], [thermostat(80)]], { 1: ['t'] }))
+        .toEqual([[], [], ['hot']]);
+    });
+
+    it('settles a group on the conditions that are fresh', () => {
+      const group = (operator) => hotRule({
+        conditions: {
+          operator,
+          conditions: [
+            { deviceId: 't', property: 'currentTemp', comparator: '>', value: '75' },
+            { deviceId: 'f', property: 'isOn', comparator: '==', value: 'on' },
+          ],
+        },
+      });
+      const previousState = { hot: { active: false, lastFiredAt: null } };
+
+      // A fresh true condition settles 'or'; a fresh false one settles 'and'.
+      expect(stepRules([group('or')], [thermostat(70), fan(true)], previousState, 0, ['t']).fired).toHaveLength(1);
+      expect(stepRules([group('and')], [thermostat(80), fan(false)], previousState, 0, ['t']).state.hot.active).toBe(false);
+      // Otherwise the group depends on the stale condition and is unknown.
+      expect(stepRules([group('and')], [thermostat(80), fan(true)], previousState, 0, ['t']).state).toEqual(previousState);
+    });
+  });
+});
@@ -0,0 +1,13 @@
+import { getActionOptions } from '../rules/actions.js';
+
+// Scenes are named multi-device presets, stored in their own `scenes` collection:
+//   { name, actions: [{ deviceId, property, value }, ...] }
+// They use the same action shape as rules and schedules, and are applied as one batched
+// write through `applyActionChanges`.
+
+// Captures the controllable state of every device as a list of scene actions.
+export const captureScene = (devices) =>
+  devices.flatMap(device =>
+    getActionOptions(device)
+      .filter(option => device[option.property] !== undefined)
+      .map(option => ({ deviceId: device.id, property: option.property, value: device[option.property] })));
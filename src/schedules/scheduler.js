@@ -0,0 +1,119 @@
+import { getSunTimes } from './sun.js';
+
+// Time-based schedules.
+// A schedule runs a list of device actions (the same shape as rule actions) when its trigger
+// comes due:
+//   { type: 'recurring', time: 'HH:MM', days: [0-6] }           e.g. weekdays at 06:30
+//   { type: 'once', at: <ms since epoch> }                       e.g. in 30 minutes
+//   { type: 'sun', event: 'sunrise' | 'sunset', offsetMinutes, days: [0-6] }
+// Days follow Date#getDay (0 is Sunday). Schedules remember `lastRunAt`, so a run is never
+// repeated across reloads.
+
+export const DAY_PRESETS = [
+  { label: 'Every day', days: [0, 1, 2, 3, 4, 5, 6] },
+  { label: 'Weekdays', days: [1, 2, 3, 4, 5] },
+  { label: 'Weekends', days: [0, 6] },
+];
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Runs missed by more than this (e.g. while the dashboard was closed) are skipped, not replayed.
+export const MISSED_RUN_GRACE_MS = 5 * 60 * 1000;
+
+// How far ahead to look for the next run of a recurring or sun trigger.
+const SEARCH_DAYS = 8;
+
+const allowedDays = (trigger) => (Array.isArray(trigger.days) && trigger.days.length > 0 ? trigger.days : [0, 1, 2, 3, 4, 5, 6]);
+
+// Returns the first time on or after the day of `from` that the trigger fires strictly after `from`.
+const nextDailyRun = (trigger, from, timeOfDay) => {
+  const days = allowedDays(trigger);
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    if (!days.includes(day.getDay())) continue;
+    const candidate = timeOfDay(day);
+    if (candidate && candidate > from) return candidate;
+  }
+  return null;
+};
+
+// Computes the next time a schedule should run after `from`, or null if it never will.
+// `location` ({ latitude, longitude }) is only needed for sun triggers.
+export const getNextRun = (schedule, from, location) => {
+  const { trigger } = schedule;
+  switch (trigger?.type) {
+    case 'once': {
+      const at = new Date(trigger.at);
+      return at > from ? at : null;
+    }
+    case 'recurring': {
+      const [hours, minutes] = String(trigger.time).split(':').map(Number);
+      return nextDailyRun(trigger, from, day =>
+        new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes));
+    }
+    case 'sun': {
+      if (!location) return null;
+      const offsetMs = (Number(trigger.offsetMinutes) || 0) * 60 * 1000;
+      return nextDailyRun(trigger, from, day => {
+        const eventTime = getSunTimes(day, location.latitude, location.longitude)[trigger.event];
+        return eventTime ? new Date(eventTime.getTime() + offsetMs) : null;
+      });
+    }
+    default:
+      return null;
+  }
+};
+
+// Decides what to do with a schedule at time `now`:
+//   { status: 'idle' }                  nothing due
+//   { status: 'due', runAt }            run the actions now
+//   { status: 'missed', runAt }         a run was missed by more than the grace period
+export const checkSchedule = (schedule, now, location) => {
+  if (schedule.enabled === false) return { status: 'idle' };
+  const since = new Date(schedule.lastRunAt || schedule.createdAt || 0);
+  const runAt = getNextRun(schedule, since, location);
+  if (!runAt || runAt > now) return { status: 'idle' };
+  return { status: now - runAt > MISSED_RUN_GRACE_MS ? 'missed' : 'due', runAt };
+};
+
+// Describes which days a trigger runs on, e.g. "Weekdays" or "Mon, Wed".
+const describeDays = (trigger) => {
+  const days = [...allowedDays(trigger)].sort();
+  const preset = DAY_PRESETS.find(p => p.days.length === days.length && p.days.every(d => days.includes(d)));
+  return preset ? preset.label : days.map(d => DAY_NAMES[d]).join(', ');
+};
+
+// Builds a human-readable summary of a trigger, e.g. "Weekdays at 06:30" or "Sunset +15 min".
+export const describeTrigger = (trigger) => {
+  switch (trigger?.type) {
+    case 'once':
+      return `Once at ${new Date(trigger.at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`;
+    case 'recurring':
+      return `${describeDays(trigger)} at ${trigger.time}`;
+    case 'sun': {
+      const offset = Number(trigger.offsetMinutes) || 0;
+      const eventName = trigger.event === 'sunrise' ? 'Sunrise' : 'Sunset';
+      const offsetText = offset === 0 ? '' : ` ${offset > 0 ? '+' : '−'}${Math.abs(offset)} min`;
+      return `${describeDays(trigger)} at ${eventName}${offsetText}`;
+    }
+    default:
+      return 'Unknown trigger';
+  }
+};
+
+// Checks that a trigger is fully specified. Returns an error message, or null when valid.
+export const validateTrigger = (trigger, location) => {
+  switch (trigger?.type) {
+    case 'once':
+      return Number.isFinite(trigger.at) ? null : 'Choose when the timer should run.';
+    case 'recurring':
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(trigger.time || '')) return 'Enter a time as HH:MM.';
+      return allowedDays(trigger).length > 0 ? null : 'Choose at least one day.';
+    case 'sun':
+      if (!location) return 'Sunrise and sunset schedules need a home latitude and longitude in the config.';
+      if (!['sunrise', 'sunset'].includes(trigger.event)) return 'Choose sunrise or sunset.';
+      return Number.isFinite(Number(trigger.offsetMinutes)) ? null : 'Enter the offset in minutes.';
+    default:
+      return 'Choose a schedule type.';
+  }
+};
@@ -0,0 +1,74 @@
+// Local sunrise/sunset calculation, so sun-based schedules need no network service.
+// Adapted from SunCalc (https://github.com/mourner/suncalc), which implements the sunrise
+// equation from the astronomy formulas at aa.quae.nl; accurate to about a minute at
+// non-polar latitudes. SunCalc's license:
+//
+// Copyright (c) 2014, Vladimir Agafonkin
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without modification, are
+// permitted provided that the following conditions are met:
+//
+//    1. Redistributions of source code must retain the above copyright notice, this list of
+//       conditions and the following disclaimer.
+//
+//    2. Redistributions in binary form must reproduce the above copyright notice, this list
+//       of conditions and the following disclaimer in the documentation and/or other materials
+//       provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND ANY
+// EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE
+// COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL,
+// EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+// SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION)
+// HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+// TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const JULIAN_1970 = 2440588;
+const JULIAN_2000 = 2451545;
+const JULIAN_CYCLE_OFFSET = 0.0009;
+const OBLIQUITY = RAD * 23.4397;
+const SUN_ALTITUDE = RAD * -0.833; // Sun's upper limb on the horizon, corrected for refraction.
+
+const toJulian = (date) => date.valueOf() / DAY_MS - 0.5 + JULIAN_1970;
+const fromJulian = (j) => new Date((j + 0.5 - JULIAN_1970) * DAY_MS);
+
+const solarMeanAnomaly = (d) => RAD * (357.5291 + 0.98560028 * d);
+
+const eclipticLongitude = (M) => {
+  const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const perihelion = RAD * 102.9372;
+  return M + center + perihelion + Math.PI;
+};
+
+const approxTransit = (hourAngle, lw, n) => JULIAN_CYCLE_OFFSET + (hourAngle + lw) / (2 * Math.PI) + n;
+
+const solarTransitJ = (ds, M, L) => JULIAN_2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+// Computes sunrise and sunset for the local calendar day of `date`.
+// Either value is null on days when the sun never rises or never sets.
+export const getSunTimes = (date, latitude, longitude) => {
+  const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+
+  const d = toJulian(noon) - JULIAN_2000;
+  const n = Math.round(d - JULIAN_CYCLE_OFFSET - lw / (2 * Math.PI));
+  const ds = approxTransit(0, lw, n);
+  const M = solarMeanAnomaly(ds);
+  const L = eclipticLongitude(M);
+  const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+  const jNoon = solarTransitJ(ds, M, L);
+
+  const cosHourAngle = (Math.sin(SUN_ALTITUDE) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+  if (cosHourAngle < -1 || cosHourAngle > 1) return { sunrise: null, sunset: null };
+
+  const jSet = solarTransitJ(approxTransit(Math.acos(cosHourAngle), lw, n), M, L);
+  const jRise = jNoon - (jSet - jNoon);
+  return { sunrise: fromJulian(jRise), sunset: fromJulian(jSet) };
+};
@@ -0,0 +1,77 @@
+// Physical models behind the simulated devices, wired to device types in the registry.
+// Each model receives the device and a simulation context:
+//   minutes       simulated time elapsed since the last step
+//   time          the simulated clock, a Date
+//   outdoorTemp   outdoor temperature in °F at that time
+//   roomDevices   the other devices in the same room
+//   random        the simulator's random number generator
+// and returns the readings the device reports.
+
+// Rate at which the HVAC pulls the room toward its target, per minute.
+const HVAC_RATE = 0.08;
+// Rate at which the room leaks heat toward the outdoor temperature, per minute.
+const LEAK_RATE = 0.01;
+// Degrees a running fan lowers the room's equilibrium temperature per speed step.
+const FAN_COOLING_F = 0.75;
+// Rate at which indoor humidity settles toward its daily baseline, per minute.
+const HUMIDITY_RATE = 0.02;
+// Percentage points a running fan lowers the room's humidity.
+const FAN_DRYING = 3;
+// Percentage points of charge a battery-powered device uses per simulated day.
+const BATTERY_DRAIN_PER_DAY = 0.5;
+
+// Moves `value` toward `target` as exponential decay, so large steps never overshoot.
+const approach = (value, target, rate, minutes) => target + (value - target) * Math.exp(-rate * minutes);
+
+// Random noise that grows with the square root of elapsed time, like a random walk,
+// up to ten minutes' worth, since the readings it's added to keep settling.
+const noise = (random, scale, minutes) => (random() - 0.5) * scale * Math.sqrt(Math.min(Math.max(minutes, 0), 10));
+
+const roundTo = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Fraction of the day since midnight, 0 to 1.
+const dayFraction = (time) => (time.getHours() * 60 + time.getMinutes()) / (24 * 60);
+
+// Total cooling speed of the running fans among the given devices.
+const runningFanSpeed = (devices) => devices
+  .filter(d => d.type === 'fan' && d.isOn)
+  .reduce((sum, fan) => sum + Math.max(1, fan.speed ?? 1), 0);
+
+// Room temperature settles at a balance between the HVAC target and the outdoor
+// temperature, lowered by any running fans in the room.
+export const simulateThermostat = (device, { minutes, outdoorTemp, roomDevices, random }) => {
+  const current = device.currentTemp ?? 72;
+  const target = device.targetTemp ?? current;
+  const equilibrium = (HVAC_RATE * target + LEAK_RATE * outdoorTemp) / (HVAC_RATE + LEAK_RATE)
+    - FAN_COOLING_F * runningFanSpeed(roomDevices);
+  const next = approach(current, equilibrium, HVAC_RATE + LEAK_RATE, minutes) + noise(random, 0.2, minutes);
+  return { currentTemp: roundTo(next, 1) };
+};
+
+// Humidity follows a daily cycle, highest in the early morning, and drops while a fan runs.
+export const simulateHumidity = (device, { minutes, time, roomDevices, random }) => {
+  const baseline = 45 + 8 * Math.cos(2 * Math.PI * (dayFraction(time) - 0.2))
+    - FAN_DRYING * Math.min(1, runningFanSpeed(roomDevices));
+  const next = approach(device.humidity ?? 45, baseline, HUMIDITY_RATE, minutes) + noise(random, 0.5, minutes);
+  return { humidity: roundTo(Math.min(100, Math.max(0, next)), 1) };
+};
+
+// Lights report their state and brightness on every step.
+export const simulateLight = (device) => ({ isOn: Boolean(device.isOn), brightness: device.brightness ?? 0 });
+
+// Motion is detected with a fixed chance per simulated minute.
+export const simulateMotion = (device, { minutes, random }) => ({ motion: random() < 1 - 0.8 ** minutes });
+
+// A plug draws power with some jitter while it's switched on.
+export const simulatePlug = (device, { random }) => ({ power: device.isOn ? Math.round(40 + random() * 20) : 0 });
+
+// Batteries drain by whole percentage points, at random with BATTERY_DRAIN_PER_DAY as the
+// average rate, so they don't report a fraction of a point on every step.
+export const simulateBattery = (device, { minutes, random }) => {
+  const battery = device.battery ?? 100;
+  const drained = random() < (BATTERY_DRAIN_PER_DAY * minutes) / (24 * 60) ? 1 : 0;
+  return { battery: Math.max(0, battery - drained) };
+};
+
+// Outdoor temperature in °F on a daily cycle, coolest before dawn and warmest mid-afternoon.
+export const getOutdoorTemperature = (time) => 60 + 12 * Math.sin(2 * Math.PI * (dayFraction(time) - 0.375));
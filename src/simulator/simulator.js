@@ -0,0 +1,76 @@
+import { getDeviceType, getPropertyDefinition } from '../devices/registry.js';
+import { applyDeviceReport } from '../devices/reports.js';
+import { SIMULATOR_SOURCE } from '../audit/audit.js';
+import { getOutdoorTemperature, simulateBattery } from './models.js';
+
+// Turns a seed string or number into a 32-bit integer.
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Returns a random number generator. With a seed it's a deterministic mulberry32
+// generator, so a simulation can be replayed; without one it's Math.random.
+export const createRandom = (seed) => {
+  if (seed === null || seed === undefined || seed === '') return Math.random;
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Each simulated device has a steady link quality of its own, from 40 to 100%, that
+// wavers a little from report to report.
+const simulateSignal = (device, random) => {
+  const baseline = 40 + (hashSeed(device.id) % 61);
+  return Math.round(Math.min(100, Math.max(0, baseline + (random() - 0.5) * 10)));
+};
+
+// Advances every simulated device by `minutes` of simulated time ending at `time`.
+// Every device reports on every step, with its type's model readings if it has one, its
+// battery if it has one, and its signal, so it stays online. Devices connected through the
+// device bridge report their own state and are skipped.
+// Returns the reports as `[{ device, readings, health }]`.
+export const stepSimulation = (devices, { minutes, time, random }) => {
+  const outdoorTemp = getOutdoorTemperature(time);
+  return devices.flatMap(device => {
+    const deviceType = getDeviceType(device);
+    if (!deviceType || device.bridged) return [];
+    const roomDevices = devices.filter(d => d.id !== device.id && (d.room || '') === (device.room || ''));
+    const context = { minutes, time, outdoorTemp, roomDevices, random };
+    const readings = {
+      ...deviceType.simulate?.(device, context),
+      ...(getPropertyDefinition(device, 'battery') && simulateBattery(device, context)),
+    };
+    return [{ device, readings, health: { signal: simulateSignal(device, random) } }];
+  });
+};
+
+// Starts the device simulator. Every `intervalSeconds` of real time it advances the
+// simulation by `intervalSeconds * speed` and applies the readings as device reports.
+// The simulated clock drives the daily cycles; history is timestamped in real time.
+// `actorId` is the user the readings are audited as written by. Returns `{ tick, stop }`.
+export const createSimulator = ({ store, getDevices, actorId, seed, speed = 1, intervalSeconds = 60 }) => {
+  const source = { ...SIMULATOR_SOURCE, actorId };
+  const random = createRandom(seed);
+  const minutesPerTick = (intervalSeconds * speed) / 60;
+  let simulatedTime = Date.now();
+
+  const tick = () => {
+    simulatedTime += minutesPerTick * 60 * 1000;
+    const timestamp = new Date();
+
+    stepSimulation(getDevices(), { minutes: minutesPerTick, time: new Date(simulatedTime), random })
+      .forEach(({ device, readings, health }) => applyDeviceReport(store, device, readings, timestamp, source, health));
+  };
+
+  const intervalId = speed > 0 ? setInterval(tick, intervalSeconds * 1000) : null;
+  return { tick, stop: () => clearInterval(intervalId) };
+};
@@ -0,0 +1,88 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithCustomToken, signInAnonymously, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, doc, getDoc, setDoc, updateDoc, deleteDoc, collection, onSnapshot, addDoc, writeBatch, getDocs, query, where, orderBy, limit, increment } from 'firebase/firestore';
+
+// Converts Firestore Timestamps to plain Dates, in nested maps and arrays too, so the app
+// never has to know which backend a document came from.
+const toPlainValue = (value) => {
+  if (!value || typeof value !== 'object') return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, toPlainValue(field)]));
+};
+
+const fromFirestore = (snapshot) => ({ id: snapshot.id, ...toPlainValue(snapshot.data()) });
+
+// Storage backend backed by Cloud Firestore.
+// Firebase is only initialized when this backend is created, not at module load.
+// With `firebaseEmulator` set, Auth and Firestore talk to the local emulators instead.
+export const createFirestoreStorage = ({ firebaseConfig, initialAuthToken, firebaseEmulator }) => {
+  const app = initializeApp(firebaseConfig);
+  const db = getFirestore(app);
+  const auth = getAuth(app);
+  if (firebaseEmulator) {
+    connectAuthEmulator(auth, `http://${firebaseEmulator.host}:${firebaseEmulator.authPort}`, { disableWarnings: true });
+    connectFirestoreEmulator(db, firebaseEmulator.host, firebaseEmulator.firestorePort);
+  }
+
+  // Signs in with the provided custom token, or anonymously, and resolves with the user ID.
+  const signIn = async () => {
+    if (initialAuthToken) {
+      await signInWithCustomToken(auth, initialAuthToken);
+    } else {
+      await signInAnonymously(auth);
+    }
+    return auth.currentUser.uid;
+  };
+
+  // Returns the collection accessors for all documents under the given path.
+  const scoped = (basePath) => {
+    const collectionRef = (name) => collection(db, `${basePath}/${name}`);
+    // Builds a server-side query from `{ filters, orderBy: [field, direction], limit }` options.
+    const queryRef = (name, options = {}) => {
+      const constraints = (options.filters || []).map(([field, op, value]) => where(field, op, value));
+      if (options.orderBy) constraints.push(orderBy(options.orderBy[0], options.orderBy[1] || 'asc'));
+      if (options.limit) constraints.push(limit(options.limit));
+      return query(collectionRef(name), ...constraints);
+    };
+    const docRef = (name, id) => doc(db, `${basePath}/${name}/${id}`);
+
+    return {
+      subscribe: (name, callback, options, onError) =>
+        onSnapshot(
+          queryRef(name, options),
+          (snapshot) => callback(snapshot.docs.map(fromFirestore)),
+          (e) => {
+            console.error(`Error listening to ${name}:`, e);
+            onError?.(e);
+          }
+        ),
+      list: async (name, options) => (await getDocs(queryRef(name, options))).docs.map(fromFirestore),
+      get: async (name, id) => {
+        const snapshot = await getDoc(docRef(name, id));
+        return snapshot.exists() ? fromFirestore(snapshot) : null;
+      },
+      add: async (name, data) => (await addDoc(collectionRef(name), data)).id,
+      set: (name, id, data) => setDoc(docRef(name, id), data),
+      update: (name, id, changes) => updateDoc(docRef(name, id), changes),
+      remove: (name, id) => deleteDoc(docRef(name, id)),
+      batch: (operations) => {
+        const batch = writeBatch(db);
+        operations.forEach(({ type, name, id, data, fields }) => {
+          if (type === 'set') batch.set(docRef(name, id), data);
+          else if (type === 'update') batch.update(docRef(name, id), data);
+          else if (type === 'increment') {
+            const deltas = Object.fromEntries(Object.entries(data).map(([field, delta]) => [field, increment(delta)]));
+            batch.set(docRef(name, id), { ...fields, ...deltas }, { merge: true });
+          }
+          else if (type === 'remove') batch.delete(docRef(name, id));
+          else throw new Error(`Unknown batch operation: ${type}`);
+        });
+        return batch.commit();
+      },
+    };
+  };
+
+  return { name: 'firestore', signIn, scoped };
+};
@@ -0,0 +1,38 @@
+import { createFirestoreStorage } from './firestoreStorage.js';
+import { createLocalStorage } from './localStorage.js';
+
+// Data-access layer for the dashboard.
+// Every backend exposes the same shape:
+//   signIn() -> Promise<userId>
+//   scoped(basePath) -> { subscribe, list, get, add, set, update, remove, batch }
+// where subscribe(name, callback, options, onError) calls back with an array of `{ id, ...data }`
+// documents, or calls `onError` if the listener fails (say, a missing index or permission),
+// and returns an unsubscribe function, list(name, options) fetches them once,
+// get(name, id) fetches one document or null,
+// and batch(operations) applies a list of `{ type: 'set' | 'update' | 'remove', name, id, data }`
+// writes atomically. An `{ type: 'increment', name, id, data, fields }` operation adds the
+// numbers in `data` to the document's fields and sets `fields`, creating the document if needed,
+// so concurrent writers never lose each other's increments.
+// Query options are `{ filters: [[field, op, value], ...], orderBy: [field, 'asc' | 'desc'], limit }`
+// and are evaluated by the backend, so only matching documents are transferred.
+export const createStorage = (config) => {
+  switch (config.storageBackend) {
+    case 'firestore':
+      return createFirestoreStorage(config);
+    case 'local':
+      return createLocalStorage(config);
+    default:
+      throw new Error(`Unknown storage backend: ${config.storageBackend}`);
+  }
+};
+
+// Path under which the app's shared collections (homes, invites) and every user's are stored.
+// Collection names passed to a store of this scope may be nested paths, e.g. `homes/<id>/members`.
+export const appScope = (appId) => `artifacts/${appId}`;
+
+// Path under which a user's own collections (notifications, the homes they belong to) are
+// stored. Before households, every user's devices, history and rules were stored here too.
+export const userScope = (appId, userId) => `artifacts/${appId}/users/${userId}`;
+
+// Path under which all of a home's collections (devices, history, rules) are stored.
+export const homeScope = (appId, homeId) => `artifacts/${appId}/homes/${homeId}`;
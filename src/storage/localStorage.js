@@ -0,0 +1,135 @@
+// Storage backend that keeps every collection in memory.
+// Used for offline development, demos and tests when no Firebase project is configured.
+// Listeners are notified asynchronously to mirror Firestore's onSnapshot behaviour.
+
+// Filter operators supported by `list`, mirroring the Firestore `where` operators used here.
+const OPERATORS = {
+  '==': (a, b) => a === b || (a instanceof Date && b instanceof Date && a.getTime() === b.getTime()),
+  '!=': (a, b) => !OPERATORS['=='](a, b),
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  in: (a, b) => b.includes(a),
+};
+
+const matchesFilters = (data, filters) =>
+  filters.every(([field, op, value]) => {
+    if (!OPERATORS[op]) throw new Error(`Unsupported filter operator: ${op}`);
+    return data[field] !== undefined && OPERATORS[op](data[field], value);
+  });
+
+// Compares two field values for ordering, treating Dates by their time.
+const compareValues = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+// Applies `{ filters, orderBy: [field, direction], limit }` options to a list of documents.
+const applyQuery = (docs, { filters = [], orderBy, limit } = {}) => {
+  let result = docs.filter(data => matchesFilters(data, filters));
+  if (orderBy) {
+    const [field, direction = 'asc'] = orderBy;
+    result = result
+      .filter(data => data[field] !== undefined)
+      .sort((a, b) => compareValues(a[field], b[field]) * (direction === 'desc' ? -1 : 1));
+  }
+  return limit ? result.slice(0, limit) : result;
+};
+
+const generateId = () => Math.random().toString(36).slice(2, 12) + Date.now().toString(36);
+
+export const createLocalStorage = ({ userId = 'local-user' } = {}) => {
+  const collections = new Map(); // path -> Map(id -> data)
+  const listeners = new Map(); // path -> Set(callback)
+
+  const getCollection = (path) => {
+    if (!collections.has(path)) collections.set(path, new Map());
+    return collections.get(path);
+  };
+
+  const snapshot = (path) =>
+    Array.from(getCollection(path), ([id, data]) => ({ id, ...data }));
+
+  const notify = (path) => {
+    const callbacks = listeners.get(path);
+    if (!callbacks || callbacks.size === 0) return;
+    queueMicrotask(() => {
+      const docs = snapshot(path);
+      callbacks.forEach((callback) => callback(docs));
+    });
+  };
+
+  // Wraps a listener so it only receives the documents matching its query options.
+  const withQuery = (callback, options) => (docs) => callback(applyQuery(docs, options));
+
+  const signIn = async () => userId;
+
+  // Returns the collection accessors for all documents under the given path.
+  const scoped = (basePath) => {
+    const pathOf = (name) => `${basePath}/${name}`;
+
+    return {
+      subscribe: (name, callback, options) => {
+        const path = pathOf(name);
+        const listener = withQuery(callback, options);
+        if (!listeners.has(path)) listeners.set(path, new Set());
+        listeners.get(path).add(listener);
+        queueMicrotask(() => listener(snapshot(path)));
+        return () => listeners.get(path).delete(listener);
+      },
+      list: async (name, options) => applyQuery(snapshot(pathOf(name)), options),
+      get: async (name, id) => {
+        const docs = getCollection(pathOf(name));
+        return docs.has(id) ? { id, ...docs.get(id) } : null;
+      },
+      add: async (name, data) => {
+        const id = generateId();
+        getCollection(pathOf(name)).set(id, { ...data });
+        notify(pathOf(name));
+        return id;
+      },
+      set: async (name, id, data) => {
+        getCollection(pathOf(name)).set(id, { ...data });
+        notify(pathOf(name));
+      },
+      update: async (name, id, changes) => {
+        const docs = getCollection(pathOf(name));
+        if (!docs.has(id)) throw new Error(`No document to update: ${pathOf(name)}/${id}`);
+        docs.set(id, { ...docs.get(id), ...changes });
+        notify(pathOf(name));
+      },
+      remove: async (name, id) => {
+        getCollection(pathOf(name)).delete(id);
+        notify(pathOf(name));
+      },
+      batch: async (operations) => {
+        // Check every operation first so a failing one leaves all collections untouched.
+        operations.forEach(({ type, name, id }) => {
+          if (!['set', 'update', 'increment', 'remove'].includes(type)) throw new Error(`Unknown batch operation: ${type}`);
+          if (type === 'update' && !getCollection(pathOf(name)).has(id)) {
+            throw new Error(`No document to update: ${pathOf(name)}/${id}`);
+          }
+        });
+
+        const touched = new Set();
+        operations.forEach(({ type, name, id, data, fields }) => {
+          const docs = getCollection(pathOf(name));
+          if (type === 'set') docs.set(id, { ...data });
+          else if (type === 'update') docs.set(id, { ...docs.get(id), ...data });
+          else if (type === 'increment') {
+            const existing = docs.get(id) || {};
+            const totals = Object.fromEntries(Object.entries(data).map(([field, delta]) => [field, (existing[field] || 0) + delta]));
+            docs.set(id, { ...existing, ...fields, ...totals });
+          } else docs.delete(id);
+          touched.add(pathOf(name));
+        });
+        touched.forEach(notify);
+      },
+    };
+  };
+
+  return { name: 'local', signIn, scoped };
+};